@@ -9,63 +9,3036 @@
  * - Auto-context detection (e.g., detecting Municipality from text)
  * - Municipality caching with ZIP disambiguation
  * - Detailed callbacks for integration
+ * - <ruian-address> custom element
+ * - Headless RuianClient (Node, workers) with pluggable cache storage
+ * - Bulk validation of lists and CSV files (validateMany, validateCsv)
+ * - Standalone free-text address parser (parseAddress)
+ * - Address output formats: postal label, envelope, schema.org, vCard, GeoJSON (formatAddress)
+ * - Address point coordinates with offline S-JTSK <-> WGS84 conversion
+ * - Region of every validated place; district (okres), ORP and POU from config.municipalityData
  * 
  * Author: Gemini (Refactored from original source)
  * License: MIT
  */
 
+/**
+ * Error raised by API requests. `type` tells why the request failed:
+ * 'auth' (401/403), 'rate-limit' (429), 'server' (5xx, unreadable response),
+ * 'network', 'timeout' or 'request' (other 4xx).
+ */
+class RuianError extends Error {
+    /**
+     * @param {string} type - One of the RuianError type constants
+     * @param {string} message - Human readable description
+     * @param {Object} [details] - { status, path, retryAfter, cause }
+     */
+    constructor(type, message, details) {
+        super(message);
+        details = details || {};
+        this.name = 'RuianError';
+        this.type = type;
+        this.status = details.status || null;
+        this.path = details.path || null;
+        this.retryAfter = details.retryAfter !== undefined ? details.retryAfter : null;
+        this.cause = details.cause || null;
+        // Transient failures are worth another attempt
+        this.retryable = [RuianError.RATE_LIMIT, RuianError.SERVER, RuianError.NETWORK, RuianError.TIMEOUT].includes(type);
+    }
+
+    /**
+     * Creates an error from an HTTP status code
+     */
+    static fromStatus(status, message, details) {
+        let type = RuianError.REQUEST;
+        if (status === 401 || status === 403) type = RuianError.AUTH;
+        else if (status === 429) type = RuianError.RATE_LIMIT;
+        else if (status >= 500) type = RuianError.SERVER;
+        return new RuianError(type, message, Object.assign({}, details, { status: status }));
+    }
+
+    /**
+     * Wraps any thrown value (e.g. from a custom transport) into a RuianError.
+     * Errors carrying a numeric `status` are classified like HTTP responses.
+     */
+    static from(e, path) {
+        if (e instanceof RuianError) return e;
+        const message = (e && e.message) || String(e);
+        if (e && typeof e.status === 'number') {
+            return RuianError.fromStatus(e.status, message, { path: path, cause: e });
+        }
+        if (e && (e.name === 'TimeoutError' || e.name === 'AbortError')) {
+            return new RuianError(RuianError.TIMEOUT, message, { path: path, cause: e });
+        }
+        return new RuianError(RuianError.NETWORK, message, { path: path, cause: e });
+    }
+}
+
+RuianError.AUTH = 'auth';
+RuianError.RATE_LIMIT = 'rate-limit';
+RuianError.SERVER = 'server';
+RuianError.NETWORK = 'network';
+RuianError.TIMEOUT = 'timeout';
+RuianError.REQUEST = 'request';
+
+/**
+ * Parses a free-text Czech address into its parts. Pure function: no widget state, no API calls.
+ * Understands e.g. "Vodičkova 704/36, 110 00 Praha 1", "Praha, Vodičkova, 704/36", "č.p. 12, Lhota",
+ * "Nádražní 12a Brno", ZIP-first input and text pasted over several lines (recipient, country).
+ * @param {string} text - Address as typed or pasted
+ * @returns {{street: ?string, cp: ?string, co: ?string, coLetter: ?string, ce: ?string, zip: ?string,
+ *     municipality: ?string, part: ?string, cityDistrict: ?string, ignored: string[], confidence: number, formats: string[]}}
+ *     confidence is 0..1, formats lists the detected spellings (e.g. 'zip-city', 'city-first', 'multiline')
+ */
+function parseAddress(text) {
+    const result = {
+        street: null, cp: null, co: null, coLetter: null, ce: null, zip: null,
+        municipality: null, part: null, cityDistrict: null, ignored: [], confidence: 0, formats: []
+    };
+    const detect = (format) => {
+        if (!result.formats.includes(format)) result.formats.push(format);
+    };
+
+    let source = String(text || '').trim();
+    if (/[\r\n]/.test(source)) detect('multiline');
+    source = source.replace(/[\r\n;]+/g, ',');
+
+    const country = /(?:^|[,\s])(?:[čc]esk[áa]\s+republika|czech\s+republic|czechia|[čc]r|cz)\.?\s*,?\s*$/i;
+    if (country.test(source)) {
+        source = source.replace(country, '');
+        detect('country');
+    }
+    source = source.replace(/(?:^|[,\s])ps[čc]\s*:?(?=\s*\d)/gi, ' ');
+
+    const parts = source.split(',').map(s => s.replace(/\s+/g, ' ').trim());
+
+    // ZIP: the part after it names the municipality ("110 00 Praha 1", "Nádražní 12 602 00 Brno")
+    let zipCity = null;
+    let zipIndex = -1;
+    for (let i = 0; i < parts.length && !result.zip; i++) {
+        const match = parts[i].match(/(?:^|\s)(\d{3}) ?(\d{2})(?=\s|$)/);
+        if (!match) continue;
+        result.zip = match[1] + match[2];
+        detect('zip');
+        const before = parts[i].substring(0, match.index).trim();
+        const after = parts[i].substring(match.index + match[0].length).trim();
+        if (after) {
+            zipCity = after;
+            zipIndex = i;
+            detect(i === 0 && !before ? 'zip-first' : 'zip-city');
+        }
+        parts[i] = before;
+    }
+
+    // House number: explicit labels (č.p., č.ev., č.o.) or the most number-like token of a part
+    const markers = [
+        { key: 'ce', re: /(?:^|[\s,(])(?:[čc]\.?\s*ev\.?|ev\.?\s*[čc]\.?|ev\.)\s*(\d+)/i },
+        { key: 'cp', re: /(?:^|[\s,(])(?:[čc]\.?\s*p\.?|[čc]p\.?)\s*(\d+)/i },
+        { key: 'co', re: /(?:^|[\s,(])[čc]\.?\s*o\.?\s*(\d+)\s*([a-z])?(?=[\s,)]|$)/i }
+    ];
+    const fold = (s) => s.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    const districtTown = /^(?:praha|brno|ostrava|plzen) \d{1,2}(?: ?- ?\D.*)?$/;
+    let number = null;
+    parts.forEach((part, i) => {
+        if (i === zipIndex && !part) return;
+        let rest = part;
+        let found = null;
+        markers.forEach(marker => {
+            const match = rest.match(marker.re);
+            if (!match) return;
+            found = found || { index: i, score: 4, values: {} };
+            found.values[marker.key] = match[1];
+            if (marker.key === 'co' && match[2]) found.values.coLetter = match[2].toLowerCase();
+            detect(`marker-${marker.key}`);
+            rest = (rest.substring(0, match.index) + ' ' + rest.substring(match.index + match[0].length)).replace(/\s+/g, ' ').trim();
+        });
+        if (found) {
+            found.before = rest;
+            found.after = '';
+        } else {
+            const match = rest.match(/(?:^|\s)(\d+)(?:\s*\/\s*(\d+)\s*([a-z])?|\s*\/?\s*([a-z]))?(?=\s|$)/i);
+            if (!match) return;
+            // "Praha 1" names a city district, not a house number
+            if (!match[2] && !match[4] && districtTown.test(fold(rest))) return;
+            const values = {};
+            let score = match[1].length >= 3 ? 2 : 1;
+            if (match[2]) {
+                values.cp = match[1];
+                values.co = match[2];
+                if (match[3]) values.coLetter = match[3].toLowerCase();
+                score = 3;
+            } else if (match[4]) {
+                // Only orientation numbers carry a letter, also written "7/b"
+                values.co = match[1];
+                values.coLetter = match[4].toLowerCase();
+                score = 3;
+            } else {
+                values.cp = match[1];
+            }
+            found = {
+                index: i,
+                score: score,
+                values: values,
+                before: rest.substring(0, match.index).trim(),
+                after: rest.substring(match.index + match[0].length).trim()
+            };
+        }
+        if (!number || found.score > number.score) number = found;
+    });
+
+    if (number) {
+        Object.assign(result, number.values);
+        if (number.values.co && number.values.cp) detect('cp-co');
+        if (number.values.coLetter) detect('co-letter');
+        if (number.score < 3 && !result.formats.some(f => f.indexOf('marker-') === 0)) detect('single-number');
+    }
+
+    // Remaining text parts around the house number
+    const texts = [];
+    parts.forEach((part, i) => {
+        if (number && i === number.index) return;
+        if (part) texts.push({ index: i, text: part });
+    });
+    const at = number ? number.index : parts.length;
+    const before = texts.filter(t => t.index < at).map(t => t.text);
+    const after = texts.filter(t => t.index > at).map(t => t.text);
+
+    result.municipality = zipCity;
+    if (number && number.after) {
+        // No comma between number and municipality: "Nádražní 12a Brno"
+        detect('no-comma');
+        if (!result.municipality) result.municipality = number.after;
+        else result.ignored.push(number.after);
+    }
+
+    if (number && number.before) {
+        // "Street Number, [Part,] [ZIP] City" or "City, Street Number"
+        result.street = number.before;
+        detect('street-number');
+        if (!result.municipality && after.length) {
+            result.municipality = after.pop();
+        } else if (!result.municipality && before.length) {
+            result.municipality = before.pop();
+            detect('city-first');
+        }
+        if (after.length) result.part = after.shift();
+        result.ignored = result.ignored.concat(before, after);
+    } else if (number) {
+        // Number on its own: "Praha, Vodičkova, 704/36", "č.p. 12, Lhota", "Vodičkova, 12, Praha"
+        if (!result.municipality && before.length >= 2) {
+            result.municipality = before.shift();
+            detect('city-first');
+        } else if (!result.municipality && !before.length && after.length) {
+            result.municipality = after.pop();
+        } else if (!result.municipality && before.length === 1 && !after.length) {
+            result.municipality = before.shift();
+        } else if (!result.municipality && after.length) {
+            result.municipality = after.pop();
+        }
+        if (before.length) result.street = before.pop();
+        if (after.length) result.part = after.shift();
+        result.ignored = result.ignored.concat(before, after);
+    } else {
+        // No house number yet: "Praha, Vodičkova" as typed in the widget
+        const rest = before.concat(after);
+        const districtIndex = rest.findIndex(t => districtTown.test(fold(t)));
+        if (!result.municipality && districtIndex > 0) {
+            result.municipality = rest.splice(districtIndex, 1)[0];
+        } else if (!result.municipality && rest.length) {
+            result.municipality = rest.shift();
+            if (rest.length) detect('city-first');
+        }
+        if (rest.length) result.street = rest.shift();
+        result.ignored = result.ignored.concat(rest);
+    }
+
+    // Post town with a district number: "Praha 1", "Brno 2"; the big cities also add a district or part
+    // after a hyphen: "Brno-střed", "Praha 3 - Žižkov", "Praha-Nové Město" (but "Frýdek-Místek" is one town)
+    const town = result.municipality && result.municipality.match(/^(\D+?)(?:\s+(\d{1,2}))?(?:\s*-\s*(\D.*))?$/);
+    if (town && town[2] && !town[3]) {
+        result.cityDistrict = result.municipality;
+        result.municipality = town[1];
+        detect('district');
+    } else if (town && town[3]) {
+        const city = fold(town[1]);
+        const districts = Object.keys(RuianClient.cityDistricts).map(id => RuianClient.cityDistricts[id])
+            .find(names => names.some(name => fold(name).startsWith(`${city} `) || fold(name).startsWith(`${city}-`)));
+        if (districts) {
+            const numbered = town[2] ? `${town[1]} ${town[2]}` : null;
+            const named = fold(`${numbered || town[1]}-${town[3]}`);
+            const known = districts.find(name => fold(name) === named);
+            result.cityDistrict = known || numbered;
+            if (!known && !result.part) result.part = town[3];
+            else if (!known && fold(result.part) !== fold(town[3])) result.ignored.push(town[3]);
+            result.municipality = town[1];
+            detect('district');
+        }
+    }
+
+    let confidence = 1;
+    if (!result.municipality) confidence -= 0.35;
+    if (!result.cp && !result.co && !result.ce) confidence -= 0.3;
+    if (!result.zip) confidence -= 0.05;
+    if (result.formats.includes('single-number')) confidence -= 0.1;
+    confidence -= 0.1 * result.ignored.length;
+    result.confidence = Math.max(0, Math.round(confidence * 100) / 100);
+    return result;
+}
+
+/**
+ * Formats an address place for output. Pure function: no widget state, no API calls.
+ * Accepts a RUIANplace from the callback or a place of the API (/validate, /build/places).
+ * Text formats follow the Czech Post (Česká pošta) layout: a municipality without streets uses its
+ * (part) name in front of the number ("Lhota 12, 123 45 Lhota"), evidence numbers are written "č. ev. 15"
+ * and a municipality part with streets gets its own line ("Plzeňská 1, Smíchov, 150 00 Praha").
+ * @param {Object} place - Address place
+ * @param {string} [format='single-line'] - 'single-line' | 'envelope' (lines separated by "\n") |
+ *        'schema.org' (PostalAddress JSON-LD object) | 'vcard' (ADR property) | 'json' (structured object) |
+ *        'geojson' (Feature with a WGS84 Point, geometry null without coordinates)
+ * @returns {string|Object} Text for the text formats and 'vcard', an object for 'schema.org', 'json' and 'geojson'
+ */
+function formatAddress(place, format) {
+    const p = place || {};
+    const zipDigits = p.zip || p.placeZip ? String(p.zip || p.placeZip).replace(/\s/g, '') : '';
+    const zip = zipDigits.length === 5 ? `${zipDigits.substring(0, 3)} ${zipDigits.substring(3)}` : zipDigits;
+    const number = RuianClient.formatHouseNumber(p);
+    const orientation = RuianClient.splitOrientationNumber(p);
+    const street = [p.streetName || p.municipalityPartName || p.municipalityName, number].filter(Boolean).join(' ');
+    // A numbered city district is the post town ("150 00 Praha 5"), a named one stands in for a missing part
+    const district = p.cityDistrictName || null;
+    const numberedDistrict = !!(district && p.municipalityName && district.startsWith(p.municipalityName) && /\s\d+$/.test(district));
+    const partName = p.municipalityPartName || (!numberedDistrict && district) || null;
+    // The part is not repeated when it is already the first line or equals the municipality
+    const part = p.streetName && partName && partName !== p.municipalityName ? partName : null;
+    const town = [zip, numberedDistrict ? district : p.municipalityName].filter(Boolean).join(' ');
+    const lines = [street, part, town].filter(Boolean);
+
+    switch (format || 'single-line') {
+        case 'single-line':
+            return lines.join(', ');
+        case 'envelope':
+            return lines.join('\n');
+        case 'schema.org':
+            return {
+                '@context': 'https://schema.org',
+                '@type': 'PostalAddress',
+                streetAddress: part ? `${street}, ${part}` : street,
+                addressLocality: p.municipalityName || null,
+                addressRegion: p.regionName || null,
+                postalCode: zip || null,
+                addressCountry: 'CZ'
+            };
+        case 'vcard': {
+            // ADR: post office box; extended address; street; locality; region; postal code; country
+            const escape = value => String(value || '').replace(/([\\;,])/g, '\\$1').replace(/\n/g, '\\n');
+            return 'ADR:' + ['', part, street, p.municipalityName, p.regionName, zip, 'Česká republika']
+                .map(escape)
+                .join(';');
+        }
+        case 'json':
+            return {
+                street: p.streetName || null,
+                houseNumber: number || null,
+                cp: p.cp || p.placeCp || null,
+                co: orientation.co,
+                coLetter: orientation.coLetter,
+                ce: p.ce || p.placeCe || null,
+                municipalityPart: p.municipalityPartName || null,
+                cityDistrict: p.cityDistrictName || null,
+                municipality: p.municipalityName || null,
+                zip: zipDigits || null,
+                district: p.districtName || null,
+                region: p.regionName || null,
+                country: 'CZ',
+                ruianId: p.ruianId || p.id || p.placeId || null,
+                coordinates: RuianClient.readCoordinates(p)
+            };
+        case 'geojson': {
+            const coordinates = RuianClient.readCoordinates(p);
+            return {
+                type: 'Feature',
+                id: p.ruianId || p.id || p.placeId || null,
+                geometry: coordinates ? { type: 'Point', coordinates: [coordinates.lon, coordinates.lat] } : null,
+                properties: Object.assign(formatAddress(p, 'json'), { label: lines.join(', ') })
+            };
+        }
+        default:
+            throw new Error(`formatAddress: unknown format "${format}"`);
+    }
+}
+
+/**
+ * S-JTSK (EPSG:5514): Krovak projection on the Bessel 1841 ellipsoid. WGS84 is reached with the
+ * 7-parameter Helmert transformation of EPSG:1623, about 1 m accurate – enough for maps and routing.
+ */
+const SJTSK = {
+    a: 6377397.155,
+    f: 1 / 299.1528128,
+    latC: 49.5, // Latitude of the projection centre
+    lon0: 24 + 50 / 60, // Longitude of origin (Greenwich)
+    alphaC: 30 + 17 / 60 + 17.30311 / 3600, // Co-latitude of the cone axis
+    latP: 78.5, // Latitude of the pseudo standard parallel
+    kP: 0.9999,
+    // Position vector to WGS84: translations (m), rotations (arc seconds), scale (ppm)
+    toWgs84: [570.8, 85.7, 462.8, 4.998, 1.587, 5.261, 3.56]
+};
+const WGS84_ELLIPSOID = { a: 6378137, f: 1 / 298.257223563 };
+
+/**
+ * Converts S-JTSK coordinates to WGS84 (offline).
+ * Takes EPSG:5514 values (x ≈ -740000, y ≈ -1040000 in Prague) or the positive RUIAN Y/X pair in any order.
+ * @param {number} x
+ * @param {number} y
+ * @returns {{lat: number, lon: number}}
+ */
+function sjtskToWgs84(x, y) {
+    // Over Czechia the westing (RUIAN Y) is always smaller than the southing (RUIAN X)
+    const westing = Math.min(Math.abs(x), Math.abs(y));
+    const southing = Math.max(Math.abs(x), Math.abs(y));
+    const k = krovakConstants();
+    const rad = Math.PI / 180;
+
+    const r = Math.sqrt(southing * southing + westing * westing);
+    const d = Math.atan2(westing, southing) / k.n;
+    const t = 2 * (Math.atan(Math.pow(k.r0 / r, 1 / k.n) * Math.tan(Math.PI / 4 + SJTSK.latP * rad / 2)) - Math.PI / 4);
+    const u = Math.asin(Math.cos(SJTSK.alphaC * rad) * Math.sin(t) - Math.sin(SJTSK.alphaC * rad) * Math.cos(t) * Math.cos(d));
+    const v = Math.asin(Math.cos(t) * Math.sin(d) / Math.cos(u));
+    const lon = SJTSK.lon0 * rad - v / k.B;
+
+    let lat = u;
+    for (let i = 0; i < 10; i++) {
+        const esin = k.e * Math.sin(lat);
+        lat = 2 * (Math.atan(Math.pow(k.t0, -1 / k.B) * Math.pow(Math.tan(u / 2 + Math.PI / 4), 1 / k.B)
+            * Math.pow((1 + esin) / (1 - esin), k.e / 2)) - Math.PI / 4);
+    }
+
+    const xyz = helmertTransform(geodeticToCartesian(lat, lon, SJTSK), SJTSK.toWgs84, 1);
+    const wgs = cartesianToGeodetic(xyz, WGS84_ELLIPSOID);
+    return {
+        lat: Math.round(wgs.lat / rad * 1e7) / 1e7,
+        lon: Math.round(wgs.lon / rad * 1e7) / 1e7
+    };
+}
+
+/**
+ * Converts WGS84 coordinates to S-JTSK (offline)
+ * @param {number} lat
+ * @param {number} lon
+ * @returns {{x: number, y: number}} EPSG:5514 coordinates (both negative)
+ */
+function wgs84ToSjtsk(lat, lon) {
+    const k = krovakConstants();
+    const rad = Math.PI / 180;
+    const xyz = helmertTransform(geodeticToCartesian(lat * rad, lon * rad, WGS84_ELLIPSOID), SJTSK.toWgs84, -1);
+    const bessel = cartesianToGeodetic(xyz, SJTSK);
+
+    const esin = k.e * Math.sin(bessel.lat);
+    const u = 2 * (Math.atan(k.t0 * Math.pow(Math.tan(bessel.lat / 2 + Math.PI / 4), k.B)
+        / Math.pow((1 + esin) / (1 - esin), k.e * k.B / 2)) - Math.PI / 4);
+    const v = k.B * (SJTSK.lon0 * rad - bessel.lon);
+    const t = Math.asin(Math.cos(SJTSK.alphaC * rad) * Math.sin(u) + Math.sin(SJTSK.alphaC * rad) * Math.cos(u) * Math.cos(v));
+    const d = Math.asin(Math.cos(u) * Math.sin(v) / Math.cos(t));
+    const theta = k.n * d;
+    const r = k.r0 * Math.pow(Math.tan(Math.PI / 4 + SJTSK.latP * rad / 2), k.n) / Math.pow(Math.tan(t / 2 + Math.PI / 4), k.n);
+    return {
+        x: -Math.round(r * Math.sin(theta) * 100) / 100,
+        y: -Math.round(r * Math.cos(theta) * 100) / 100
+    };
+}
+
+/**
+ * Derived constants of the Krovak projection (EPSG method 9819), computed once
+ */
+function krovakConstants() {
+    if (!SJTSK.constants) {
+        const rad = Math.PI / 180;
+        const e2 = SJTSK.f * (2 - SJTSK.f);
+        const e = Math.sqrt(e2);
+        const latC = SJTSK.latC * rad;
+        const A = SJTSK.a * Math.sqrt(1 - e2) / (1 - e2 * Math.pow(Math.sin(latC), 2));
+        const B = Math.sqrt(1 + e2 * Math.pow(Math.cos(latC), 4) / (1 - e2));
+        const gamma0 = Math.asin(Math.sin(latC) / B);
+        const t0 = Math.tan(Math.PI / 4 + gamma0 / 2)
+            * Math.pow((1 + e * Math.sin(latC)) / (1 - e * Math.sin(latC)), e * B / 2)
+            / Math.pow(Math.tan(Math.PI / 4 + latC / 2), B);
+        SJTSK.constants = {
+            e: e,
+            B: B,
+            t0: t0,
+            n: Math.sin(SJTSK.latP * rad),
+            r0: SJTSK.kP * A / Math.tan(SJTSK.latP * rad)
+        };
+    }
+    return SJTSK.constants;
+}
+
+function geodeticToCartesian(lat, lon, ellipsoid) {
+    const e2 = ellipsoid.f * (2 - ellipsoid.f);
+    const N = ellipsoid.a / Math.sqrt(1 - e2 * Math.pow(Math.sin(lat), 2));
+    return [
+        N * Math.cos(lat) * Math.cos(lon),
+        N * Math.cos(lat) * Math.sin(lon),
+        N * (1 - e2) * Math.sin(lat)
+    ];
+}
+
+function cartesianToGeodetic(xyz, ellipsoid) {
+    const e2 = ellipsoid.f * (2 - ellipsoid.f);
+    const p = Math.sqrt(xyz[0] * xyz[0] + xyz[1] * xyz[1]);
+    let lat = Math.atan2(xyz[2], p * (1 - e2));
+    for (let i = 0; i < 10; i++) {
+        const N = ellipsoid.a / Math.sqrt(1 - e2 * Math.pow(Math.sin(lat), 2));
+        lat = Math.atan2(xyz[2] + e2 * N * Math.sin(lat), p);
+    }
+    return { lat: lat, lon: Math.atan2(xyz[1], xyz[0]) };
+}
+
+/**
+ * Applies (direction 1) or reverts (direction -1) a position vector Helmert transformation
+ */
+function helmertTransform(xyz, params, direction) {
+    const sec = Math.PI / 180 / 3600;
+    const [tx, ty, tz] = params.slice(0, 3).map(v => v * direction);
+    const [rx, ry, rz] = params.slice(3, 6).map(v => v * sec * direction);
+    const m = 1 + params[6] * 1e-6 * direction;
+    const [x, y, z] = xyz;
+    return [
+        tx + m * (x - rz * y + ry * z),
+        ty + m * (rz * x + y - rx * z),
+        tz + m * (-ry * x + rx * y + z)
+    ];
+}
+
+/**
+ * UI-free core of the widget: API access with retries, caching, municipality search with ZIP
+ * disambiguation, municipality parts, ZIP-first search, address parsing and validation.
+ * Needs no DOM, so it runs in browsers, workers and Node (e.g. to re-validate submitted addresses
+ * on the server with the same rules as the browser).
+ *
+ * Methods that depend on what the user has already chosen take a `context`
+ * {municipalityId, municipalityName, municipalityPartName, cityDistrictName, zip, streetName}.
+ */
+class RuianClient {
+    /**
+     * @param {Object} [config] - Configuration object
+     * @param {string} [config.apiKey] - Your RUIAN FNX API Key (optional when a proxy baseUrl or transport is used)
+     * @param {string} [config.baseUrl='https://ruian.fnx.io/api/v1/'] - API root, e.g. your own backend proxy that injects the key
+     * @param {Function} [config.transport] - Custom transport (path, params, { signal }) => Promise<json>, replaces the built-in fetch
+     * @param {Object} [config.storage] - Store of the municipality and ZIP caches {getItem, setItem, removeItem, keys}, sync or async:
+     *        RuianClient.webStorage(), RuianClient.memoryStorage() or RuianClient.fileStorage(path) (defaults to localStorage if available)
+     * @param {string|Object} [config.listCacheStore='memory'] - Where street/house-number lists are kept: 'memory' | 'localStorage' | 'indexedDB'
+     *        or a store object like config.storage
+     * @param {Function} [config.onLog] - Callback (message, type: 'INFO'|'WARN'|'ERROR'|'SUCCESS')
+     * @param {Function} [config.onProgress] - Callback (loadedRegions, totalRegions) while the municipality list is being prepared
+     * @param {Function} [config.onError] - Callback (RuianError) when a request finally fails
+     * @param {number} [config.timeout=10000] - Per-request timeout in ms (0 = none)
+     * @param {number} [config.retries=2] - Retries of transient failures (rate limit, server, network, timeout)
+     * @param {number} [config.retryDelay=500] - Initial backoff delay in ms, doubled on every retry
+     * @param {number} [config.cachePreservation=24] - Cache duration in hours
+     * @param {boolean} [config.cacheReset=false] - Force cache reload on init
+     * @param {boolean} [config.fuzzySearch=true] - Tolerate typos in municipality search
+     * @param {number} [config.listCachePreservation=24] - Street/house-number list cache duration in hours
+     * @param {number} [config.preloadConcurrency=4] - Number of regions loaded in parallel
+     * @param {string|Function} [config.zipData] - ZIP directory for ZIP-first search (see RuianAddressWidget)
+     * @param {string|Function} [config.partsData] - Directory of municipality parts and city districts (see RuianAddressWidget)
+     * @param {string|Function} [config.pointsData] - Address point lookup for places the API returns without coordinates (see RuianAddressWidget)
+     * @param {string|Function} [config.municipalityData] - Administrative units of municipalities (see RuianAddressWidget)
+     * @param {Object} [config.diagnosticMessages] - Message templates per diagnostics reason, placeholders in {braces}
+     */
+    constructor(config) {
+        config = config || {};
+        this.apiKey = config.apiKey;
+        this.baseUrl = (config.baseUrl || 'https://ruian.fnx.io/api/v1/').replace(/\/?$/, '/');
+        this.transport = typeof config.transport === 'function' ? config.transport : null;
+        // Proxy mode: the key is injected server-side, so it is not required in the browser
+        this.proxyMode = !!(this.transport || config.baseUrl);
+        this.onLog = config.onLog || function () { };
+        this.onProgress = config.onProgress || function () { };
+        this.onError = config.onError || function () { };
+        this.eventHandlers = {}; // on()/off() subscriptions by event name
+
+        // Request error handling
+        this.timeout = config.timeout !== undefined ? config.timeout : 10000;
+        this.retries = config.retries !== undefined ? config.retries : 2;
+        this.retryDelay = config.retryDelay !== undefined ? config.retryDelay : 500;
+
+        this.diagnosticMessages = Object.assign({
+            'missing-municipality': 'The municipality is missing.',
+            'missing-number': 'The house number is missing.',
+            'municipality-not-found': 'Municipality "{municipality}" was not found.',
+            'street-not-found': 'Street "{street}" does not exist in {municipality}.',
+            'number-not-found': 'House number {number} was not found in {place}.',
+            'zip-mismatch': 'ZIP {zip} does not match {address} — did you mean {suggestion}?',
+            'lookup-failed': 'The address could not be verified right now.',
+            'not-found': 'The address was not found.'
+        }, config.diagnosticMessages || {});
+
+        // Cache configuration
+        this.storage = config.storage || (typeof localStorage !== 'undefined'
+            ? RuianClient.webStorage(localStorage)
+            : RuianClient.memoryStorage());
+        this.cachePreservation = config.cachePreservation !== undefined ? config.cachePreservation : 24;
+        this.fuzzySearch = config.fuzzySearch !== undefined ? !!config.fuzzySearch : true;
+        this.listCachePreservation = config.listCachePreservation !== undefined ? config.listCachePreservation : 24;
+        this.listStore = this.createListStore(config.listCacheStore || 'memory');
+        this.preloadConcurrency = Math.max(1, config.preloadConcurrency || 4);
+        this.zipData = config.zipData || null;
+        this.partsData = config.partsData || null;
+        this.seenZips = new Map(); // ZIPs of validated addresses: "zip|municipalityId|part" -> directory entry
+        this.pointsData = config.pointsData || null;
+        this.municipalityData = config.municipalityData || null;
+        this.municipalityDirectory = null; // municipalityId -> municipalityData entry
+        this.municipalityDirectoryPromise = null;
+        this.municipalitiesById = new Map();
+        this.administrativeSource = null;
+        this.administrativeCacheChecked = false;
+        this.directoryPromises = new Map(); // URL -> loaded zipData/partsData/pointsData entries
+        this.pointPromises = new Map(); // RUIAN ID -> address point from pointsData
+        this.partIndex = null;
+
+        // Municipality cache
+        this.allMunicipalities = null;
+        this.municipalityIndex = null;
+        this.municipalitiesPromise = null;
+        this.regionIds = ['CZ010', 'CZ020', 'CZ031', 'CZ032', 'CZ041', 'CZ042', 'CZ051', 'CZ052', 'CZ053', 'CZ063', 'CZ064', 'CZ071', 'CZ072', 'CZ080'];
+        this.loadedRegions = {}; // regionId -> municipalities (survives a failed load, so it can resume)
+        this.partialMunicipalities = [];
+        this.regionWaiters = [];
+        this.regionsRetryAt = 0;
+
+        // Street/house-number list cache (memory first, optional persistent store)
+        this.listCache = new Map();
+        this.inflight = new Map(); // Shared promises of identical pending requests
+
+        // Handle cache reset
+        const reset = config.cacheReset
+            ? Promise.all([
+                this.storage.removeItem('ruian_municipalities_cache'),
+                this.storage.removeItem('ruian_zip_cache'),
+                this.clearListCache()
+            ]).then(() => this.log("Cache reset on init", "INFO"), () => { })
+            : Promise.resolve();
+        this.zipCache = {};
+        this.zipCacheTimestamp = Date.now();
+        this.zipCacheReady = reset.then(() => this.loadZipCache());
+    }
+
+    // --- Storage ---
+
+    /**
+     * Store backed by a Web Storage object (localStorage by default)
+     * @param {Storage} [storage=localStorage]
+     */
+    static webStorage(storage) {
+        storage = storage || localStorage;
+        return {
+            getItem: key => storage.getItem(key),
+            setItem: (key, value) => storage.setItem(key, value),
+            removeItem: key => storage.removeItem(key),
+            keys: () => Object.keys(storage)
+        };
+    }
+
+    /**
+     * Store that lives as long as the client (workers, tests, short-lived scripts)
+     */
+    static memoryStorage() {
+        const items = new Map();
+        return {
+            getItem: key => items.has(key) ? items.get(key) : null,
+            setItem: (key, value) => { items.set(key, String(value)); },
+            removeItem: key => { items.delete(key); },
+            keys: () => Array.from(items.keys())
+        };
+    }
+
+    /**
+     * Store kept in a JSON file (Node only), so batch jobs and servers reuse the caches between runs.
+     * Clients of one process share the store of a path.
+     * @param {string} path - File path, created on the first write
+     */
+    static fileStorage(path) {
+        RuianClient.fileStores = RuianClient.fileStores || new Map();
+        if (RuianClient.fileStores.has(path)) return RuianClient.fileStores.get(path);
+        const fs = require('fs');
+        let items = null;
+        const load = () => {
+            if (!items) {
+                try {
+                    items = JSON.parse(fs.readFileSync(path, 'utf8'));
+                } catch (e) {
+                    items = {};
+                }
+            }
+            return items;
+        };
+        const save = () => fs.writeFileSync(path, JSON.stringify(items));
+        const store = {
+            getItem: key => Object.prototype.hasOwnProperty.call(load(), key) ? load()[key] : null,
+            setItem: (key, value) => { load()[key] = String(value); save(); },
+            removeItem: key => { delete load()[key]; save(); },
+            keys: () => Object.keys(load())
+        };
+        RuianClient.fileStores.set(path, store);
+        return store;
+    }
+
+    /**
+     * Store backed by IndexedDB (resolves nothing if unavailable)
+     * @param {string} [name='ruian_widget_cache'] - Database name
+     */
+    static indexedDBStorage(name) {
+        let dbPromise = null;
+        const open = () => {
+            if (!dbPromise) {
+                dbPromise = new Promise(resolve => {
+                    if (typeof indexedDB === 'undefined') return resolve(null);
+                    const request = indexedDB.open(name || 'ruian_widget_cache', 1);
+                    request.onupgradeneeded = () => request.result.createObjectStore('lists');
+                    request.onsuccess = () => resolve(request.result);
+                    request.onerror = () => resolve(null);
+                });
+            }
+            return dbPromise;
+        };
+        const run = async (mode, action) => {
+            const db = await open();
+            if (!db) return null;
+            return new Promise((resolve, reject) => {
+                const request = action(db.transaction('lists', mode).objectStore('lists'));
+                request.onsuccess = () => resolve(request.result === undefined ? null : request.result);
+                request.onerror = () => reject(request.error);
+            });
+        };
+        return {
+            getItem: key => run('readonly', store => store.get(key)),
+            setItem: (key, value) => run('readwrite', store => store.put(value, key)),
+            removeItem: key => run('readwrite', store => store.delete(key)),
+            keys: async () => (await run('readonly', store => store.getAllKeys())) || []
+        };
+    }
+
+    /**
+     * Resolves the listCacheStore option to a store (null = memory only)
+     */
+    createListStore(option) {
+        if (option && typeof option === 'object') return option;
+        if (option === 'localStorage' && typeof localStorage !== 'undefined') return RuianClient.webStorage(localStorage);
+        if (option === 'indexedDB') return RuianClient.indexedDBStorage();
+        return null;
+    }
+
+    /**
+     * Updates the API Key dynamically
+     * @param {string} key
+     */
+    setApiKey(key) {
+        this.apiKey = key;
+    }
+
+    /**
+     * Switches the API root, e.g. to another proxy
+     * @param {string} [url] - API root; omit for the public API (the key is then required again)
+     */
+    setBaseUrl(url) {
+        this.baseUrl = (url || 'https://ruian.fnx.io/api/v1/').replace(/\/?$/, '/');
+        this.proxyMode = !!(this.transport || url);
+    }
+
+    /**
+     * Validates free text with the same parsing, context rules and diagnostics as the widget
+     * @param {string} text - Address as typed or pasted
+     * @param {Object} [options] - { context, signal, diagnostics: true }
+     * @returns {Promise<Object>} { valid, status, place (RUIANplace), label (postal label), diagnostics }
+     */
+    async validate(text, options) {
+        options = options || {};
+        if (!text || !String(text).trim()) {
+            return { valid: null, status: null, place: null, label: null, diagnostics: null };
+        }
+        return this.validateParams(this.buildValidateParams(text, options.context), options);
+    }
+
+    /**
+     * Validates parsed /validate parameters (see buildValidateParams)
+     * @param {Object} params - {municipalityName, street, cp, co, coLetter, ce, zip}
+     * @param {Object} [options] - { context, signal, diagnostics: true }
+     * @returns {Promise<Object>} { valid, status, place, label, diagnostics }
+     */
+    async validateParams(params, options) {
+        options = options || {};
+        const context = options.context || {};
+        let result = null;
+        if (this.canQuery()) {
+            result = await this.apiRequest('ruian/validate', this.toValidateQuery(params), options.signal);
+        } else {
+            this.log("Missing API Key!", "ERROR");
+        }
+
+        if (result && result.status === 'MATCH') {
+            this.log("Address is VALID (MATCH)", "SUCCESS");
+            await this.ensureAdministrativeData();
+            // The label includes the part or city district chosen in the context
+            const place = this.mapToRuianPlace(await this.withCoordinates(result.place), context);
+            this.rememberZip(place);
+            return {
+                valid: true,
+                status: result.status,
+                place: place,
+                label: this.buildPostalLabel(place),
+                diagnostics: null
+            };
+        }
+
+        const aborted = options.signal && options.signal.aborted;
+        const diagnostics = options.diagnostics !== false && !aborted
+            ? await this.diagnoseValidation(params, result, options.signal, context)
+            : null;
+        return { valid: false, status: result ? result.status || null : null, place: null, label: null, diagnostics: diagnostics };
+    }
+
+    /**
+     * Turns field values (multi-field mode, CSV columns) into /validate parameters
+     * @param {Object} values - {city, street, number, zip}
+     * @param {Object} [context] - Chosen municipality; wins over values.city
+     */
+    fieldsToValidateParams(values, context) {
+        context = context || {};
+        const number = parseAddress(String(values.number || ''));
+        return {
+            municipalityName: context.municipalityName || String(values.city || '').trim() || null,
+            street: String(values.street || '').trim() || null,
+            cp: number.cp,
+            co: number.co,
+            coLetter: number.coLetter,
+            ce: number.ce,
+            zip: String(values.zip || '').replace(/\s/g, '') || null
+        };
+    }
+
+    // --- Batch validation ---
+
+    /**
+     * Validates many addresses, streaming the results in input order.
+     * Each address costs one /validate request (more with diagnostics).
+     * @param {Array<string|Object>} addresses - Free text, or field values {city, street, number, zip}
+     * @param {Object} [options]
+     * @param {number} [options.concurrency=4] - Validations running in parallel
+     * @param {number} [options.rateLimit=5] - Validations started per second at most (0 = unlimited), keeps the batch within the API quota
+     * @param {boolean} [options.diagnostics=false] - Explain failures (extra requests per failed address)
+     * @param {string} [options.resume] - Job name: finished results are checkpointed in config.storage, so running the
+     *        same job again after an interruption skips them
+     * @param {Object} [options.context] - Context applied to every address
+     * @param {AbortSignal} [options.signal] - Stops the batch
+     * @returns {AsyncGenerator<Object>} {index, input, status: 'MATCH'|'NO-MATCH'|'EMPTY'|'ERROR', valid, label, ruianId,
+     *          place, diagnostics, apiStatus}
+     */
+    async *validateMany(addresses, options) {
+        options = options || {};
+        const items = Array.from(addresses || []);
+        const signal = options.signal;
+        const concurrency = Math.max(1, options.concurrency || 4);
+        const rateLimit = options.rateLimit !== undefined ? options.rateLimit : 5;
+        const interval = rateLimit > 0 ? 1000 / rateLimit : 0;
+        const jobKey = options.resume ? `ruian_batch:${options.resume}` : null;
+        const done = jobKey ? await this.loadBatch(jobKey) : {};
+
+        // Results of an interrupted run are reused while the row still holds the same input
+        const results = items.map((item, index) => done[index] && JSON.stringify(done[index].input) === JSON.stringify(item)
+            ? done[index]
+            : null);
+        const pending = items.map((item, index) => index).filter(index => !results[index]);
+        if (jobKey && pending.length < items.length) {
+            this.log(`Resuming batch "${options.resume}": ${items.length - pending.length} of ${items.length} already done`, "INFO");
+        }
+
+        let wake = null;
+        let stopped = false;
+        let finished = false;
+        const notify = () => wake && wake();
+
+        // Spaces out the starts of validations
+        let nextStart = 0;
+        const throttle = async () => {
+            const now = Date.now();
+            const wait = nextStart - now;
+            nextStart = Math.max(now, nextStart) + interval;
+            if (wait > 0) await new Promise(r => setTimeout(r, wait));
+        };
+
+        let next = 0;
+        let unsaved = 0;
+        const worker = async () => {
+            while (next < pending.length && !stopped && !(signal && signal.aborted)) {
+                const index = pending[next++];
+                await throttle();
+                if (stopped || (signal && signal.aborted)) break;
+
+                const result = await this.validateBatchItem(items[index], index, options);
+                if (signal && signal.aborted) break;
+                // Failed lookups are retried when the job is resumed
+                if (jobKey && result.status !== 'ERROR') {
+                    done[index] = result;
+                    if (++unsaved >= 25) {
+                        unsaved = 0;
+                        await this.saveBatch(jobKey, done);
+                    }
+                }
+                results[index] = result;
+                notify();
+            }
+        };
+
+        const workers = [];
+        for (let i = 0; i < Math.min(concurrency, pending.length); i++) {
+            workers.push(worker());
+        }
+        const running = Promise.all(workers).then(() => {
+            finished = true;
+            notify();
+        });
+
+        try {
+            for (let index = 0; index < items.length; index++) {
+                while (!results[index]) {
+                    if (finished) return; // Aborted
+                    await new Promise(resolve => { wake = resolve; });
+                }
+                yield results[index];
+            }
+        } finally {
+            // Also reached when the consumer stops iterating early
+            stopped = true;
+            await running;
+            if (jobKey) await this.saveBatch(jobKey, done);
+        }
+    }
+
+    /**
+     * Validates one batch row into a result of validateMany()
+     */
+    async validateBatchItem(item, index, options) {
+        const text = typeof item === 'string' ? item : (item && item.address) || null;
+        const fields = text === null && item && typeof item === 'object' ? item : null;
+        const validateOptions = { context: options.context, signal: options.signal, diagnostics: !!options.diagnostics };
+
+        let result;
+        try {
+            if (fields && [fields.city, fields.street, fields.number, fields.zip].some(v => v && String(v).trim())) {
+                result = await this.validateParams(this.fieldsToValidateParams(fields, options.context), validateOptions);
+            } else {
+                result = await this.validate(text, validateOptions);
+            }
+        } catch (e) {
+            this.log(`Batch row ${index} failed: ${e.message}`, "ERROR");
+            result = { valid: false, status: null, place: null, label: null, diagnostics: null };
+        }
+
+        let status = 'ERROR';
+        if (result.valid) status = 'MATCH';
+        else if (result.valid === null) status = 'EMPTY';
+        else if (result.status) status = 'NO-MATCH';
+
+        return {
+            index: index,
+            input: item,
+            status: status,
+            valid: result.valid,
+            label: result.label,
+            ruianId: result.place ? result.place.ruianId : null,
+            place: result.place,
+            diagnostics: result.diagnostics,
+            apiStatus: result.status
+        };
+    }
+
+    /**
+     * Reads the checkpoint of a batch job (index -> result)
+     */
+    async loadBatch(jobKey) {
+        try {
+            const saved = await this.storage.getItem(jobKey);
+            return saved ? JSON.parse(saved) : {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    async saveBatch(jobKey, done) {
+        try {
+            await this.storage.setItem(jobKey, JSON.stringify(done));
+        } catch (e) {
+            this.log(`Could not save batch progress: ${e.message}`, "WARN");
+        }
+    }
+
+    /**
+     * Forgets the checkpoint of a batch job, so the next run starts over
+     * @param {string} name - Job name given as options.resume
+     */
+    async clearBatch(name) {
+        await this.storage.removeItem(`ruian_batch:${name}`);
+    }
+
+    /**
+     * Validates a CSV file, streaming the output CSV: the input columns plus the results.
+     * Rows are validated like validateMany() (same options).
+     * @param {string} csv - CSV text with a header row; ',' or ';' separated (detected from the header)
+     * @param {Object} options
+     * @param {Object} options.columns - Input columns by header name or 0-based index:
+     *        { address } for one free-text column, or { city, street, number, zip }
+     * @param {Object} [options.output] - Names of the added columns; a falsy name leaves the column out
+     *        (defaults { status: 'ruian_status', label: 'ruian_label', ruianId: 'ruian_id', message: 'ruian_message' },
+     *        add lat and lon for the WGS84 address point)
+     * @param {string} [options.delimiter] - Overrides the detected delimiter
+     * @returns {AsyncGenerator<string>} CSV lines ending with "\r\n", the header first
+     */
+    async *validateCsv(csv, options) {
+        options = options || {};
+        const delimiter = options.delimiter || RuianClient.detectCsvDelimiter(csv);
+        const rows = RuianClient.parseCsv(csv, delimiter);
+        const header = rows.shift() || [];
+
+        const columns = options.columns || {};
+        const find = name => {
+            const index = typeof name === 'number'
+                ? name
+                : header.findIndex(h => h.trim().toLowerCase() === String(name).trim().toLowerCase());
+            if (index < 0 || index >= header.length) throw new Error(`RuianClient: CSV column "${name}" not found`);
+            return index;
+        };
+        const mapping = {};
+        ['address', 'city', 'street', 'number', 'zip'].forEach(key => {
+            if (columns[key] !== undefined && columns[key] !== null) mapping[key] = find(columns[key]);
+        });
+        if (mapping.address === undefined && (mapping.city === undefined || mapping.number === undefined)) {
+            throw new Error("RuianClient: CSV columns need 'address', or 'city' and 'number'");
+        }
+
+        const output = Object.assign({
+            status: 'ruian_status', label: 'ruian_label', ruianId: 'ruian_id', message: 'ruian_message'
+        }, options.output || {});
+        const added = Object.keys(output).filter(key => output[key]);
+
+        const addresses = rows.map(row => {
+            if (mapping.address !== undefined) return row[mapping.address] || '';
+            const values = {};
+            ['city', 'street', 'number', 'zip'].forEach(key => {
+                values[key] = mapping[key] !== undefined ? row[mapping[key]] || '' : '';
+            });
+            return values;
+        });
+
+        yield RuianClient.toCsv([header.concat(added.map(key => output[key]))], delimiter);
+        for await (const result of this.validateMany(addresses, options)) {
+            const values = {
+                status: result.status,
+                label: result.label || '',
+                ruianId: result.ruianId || '',
+                message: result.diagnostics ? result.diagnostics.message : '',
+                lat: result.place && result.place.coordinates ? result.place.coordinates.lat : '',
+                lon: result.place && result.place.coordinates ? result.place.coordinates.lon : ''
+            };
+            yield RuianClient.toCsv([rows[result.index].concat(added.map(key => values[key]))], delimiter);
+        }
+    }
+
+    /**
+     * Guesses the CSV delimiter from the header line (Czech spreadsheets export ';')
+     */
+    static detectCsvDelimiter(csv) {
+        const header = String(csv).split(/\r?\n/)[0];
+        const count = ch => header.split(ch).length - 1;
+        if (count('\t') > Math.max(count(';'), count(','))) return '\t';
+        return count(';') > count(',') ? ';' : ',';
+    }
+
+    /**
+     * Parses CSV text (quoted fields, doubled quotes, line breaks inside quotes) into rows of strings
+     * @param {string} csv
+     * @param {string} [delimiter=',']
+     * @returns {string[][]}
+     */
+    static parseCsv(csv, delimiter) {
+        delimiter = delimiter || ',';
+        const text = String(csv).replace(/^\uFEFF/, '');
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if (quoted) {
+                if (ch === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (ch === '"') {
+                    quoted = false;
+                } else {
+                    field += ch;
+                }
+            } else if (ch === '"' && field === '') {
+                quoted = true;
+            } else if (ch === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (ch === '\n' || ch === '\r') {
+                if (ch === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += ch;
+            }
+        }
+        if (field !== '' || row.length) {
+            row.push(field);
+            rows.push(row);
+        }
+        // Blank lines carry no address
+        return rows.filter(r => r.length > 1 || r[0] !== '');
+    }
+
+    /**
+     * Serializes rows to CSV, quoting fields where needed
+     * @param {Array<Array>} rows
+     * @param {string} [delimiter=',']
+     * @returns {string} Lines ending with "\r\n"
+     */
+    static toCsv(rows, delimiter) {
+        delimiter = delimiter || ',';
+        return rows.map(row => row.map(value => {
+            const s = value === null || value === undefined ? '' : String(value);
+            return s.includes(delimiter) || /["\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+        }).join(delimiter) + '\r\n').join('');
+    }
+
+    // --- Events ---
+
+    /**
+     * Subscribes to a client event: 'error' ({error}) and 'cache-loaded' ({count, source})
+     * @returns {RuianClient} this
+     */
+    on(name, handler) {
+        (this.eventHandlers[name] = this.eventHandlers[name] || []).push(handler);
+        return this;
+    }
+
+    /**
+     * Removes a subscription added by on()
+     * @returns {RuianClient} this
+     */
+    off(name, handler) {
+        if (this.eventHandlers[name]) {
+            this.eventHandlers[name] = this.eventHandlers[name].filter(h => h !== handler);
+        }
+        return this;
+    }
+
+    /**
+     * Notifies on() subscribers
+     */
+    emit(name, detail) {
+        (this.eventHandlers[name] || []).slice().forEach(handler => {
+            try {
+                handler(detail);
+            } catch (e) {
+                this.log(`Handler of ${name} failed: ${e.message}`, "WARN");
+            }
+        });
+    }
+
+    log(msg, type) {
+        this.onLog(msg, type);
+    }
+
+    // --- API and caches ---
+
+    /**
+     * Converts a place of either API shape (/validate "place" or /build/places item) to the /validate shape
+     */
+    normalizePlace(raw) {
+        const pick = (a, b) => raw[a] !== undefined && raw[a] !== null ? raw[a] : (raw[b] !== undefined ? raw[b] : null);
+        return {
+            id: pick('id', 'placeId'),
+            municipalityId: raw.municipalityId,
+            municipalityName: raw.municipalityName,
+            municipalityPartId: raw.municipalityPartId || null,
+            municipalityPartName: raw.municipalityPartName || null,
+            streetName: raw.streetName || null,
+            cp: pick('cp', 'placeCp'),
+            co: RuianClient.splitOrientationNumber(raw).co,
+            coLetter: RuianClient.splitOrientationNumber(raw).coLetter,
+            ce: pick('ce', 'placeCe'),
+            zip: pick('zip', 'placeZip'),
+            regionId: raw.regionId || null,
+            regionName: raw.regionName || null,
+            districtId: raw.districtId || null,
+            districtName: raw.districtName || null,
+            orpId: raw.orpId || null,
+            orpName: raw.orpName || null,
+            pouId: raw.pouId || null,
+            pouName: raw.pouName || null,
+            coordinates: RuianClient.readCoordinates(raw)
+        };
+    }
+
+    /**
+     * Returns true if the widget is able to query the API (API key or proxy configured)
+     */
+    canQuery() {
+        return !!(this.apiKey || this.proxyMode);
+    }
+
+    /**
+     * Format ZIP code to postal format (xxx xx)
+     */
+    formatZip(zip) {
+        if (!zip) return "";
+        const s = String(zip).replace(/\s/g, '');
+        if (s.length === 5) {
+            return `${s.substring(0, 3)} ${s.substring(3)}`;
+        }
+        return s;
+    }
+
+    /**
+     * Load municipalities from the storage cache
+     */
+    async loadMunicipalitiesFromCache() {
+        try {
+            const cached = await this.storage.getItem('ruian_municipalities_cache');
+            if (!cached) return null;
+
+            const data = JSON.parse(cached);
+            const ageHours = (Date.now() - data.timestamp) / (1000 * 60 * 60);
+
+            if (ageHours > this.cachePreservation) {
+                this.log(`Cache expired (${ageHours.toFixed(1)}h > ${this.cachePreservation}h)`, "INFO");
+                return null;
+            }
+
+            this.log(`Loaded ${data.municipalities.length} municipalities from cache (${ageHours.toFixed(1)}h old)`, "SUCCESS");
+            return data.municipalities;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Save municipalities to the storage cache
+     */
+    async saveMunicipalitiesToCache(municipalities) {
+        try {
+            const data = {
+                timestamp: Date.now(),
+                municipalities: municipalities
+            };
+            await this.storage.setItem('ruian_municipalities_cache', JSON.stringify(data));
+            this.log(`Saved ${municipalities.length} municipalities to cache`, "SUCCESS");
+        } catch (e) {
+            this.log(`Failed to cache municipalities: ${e.message}`, "WARN");
+        }
+    }
+
+    /**
+     * Returns true if a cache entry created at timestamp is younger than the given hours
+     */
+    isFresh(timestamp, hours) {
+        return (Date.now() - timestamp) / (1000 * 60 * 60) <= hours;
+    }
+
+    /**
+     * Load municipality ZIP codes from the storage cache (ZIPs found meanwhile are kept)
+     */
+    async loadZipCache() {
+        try {
+            const cached = JSON.parse(await this.storage.getItem('ruian_zip_cache'));
+            if (cached && this.isFresh(cached.timestamp, this.cachePreservation)) {
+                this.zipCacheTimestamp = cached.timestamp;
+                this.zipCache = Object.assign(cached.zips || {}, this.zipCache);
+            }
+        } catch (e) {
+            // Corrupted cache, start over
+        }
+        return this.zipCache;
+    }
+
+    /**
+     * Save municipality ZIP codes to the storage cache
+     */
+    async saveZipCache() {
+        try {
+            await this.storage.setItem('ruian_zip_cache', JSON.stringify({
+                timestamp: this.zipCacheTimestamp,
+                zips: this.zipCache
+            }));
+        } catch (e) {
+            this.log(`Failed to cache ZIP codes: ${e.message}`, "WARN");
+        }
+    }
+
+    /**
+     * Read a list cache entry ({timestamp, data}) from the persistent store
+     */
+    async readPersistent(key) {
+        if (!this.listStore) return null;
+        try {
+            const stored = await this.listStore.getItem('ruian_list_cache:' + key);
+            return stored ? JSON.parse(stored) : null;
+        } catch (e) {
+            this.log(`Failed to read list cache: ${e.message}`, "WARN");
+        }
+        return null;
+    }
+
+    /**
+     * Write a list cache entry ({timestamp, data}) to the persistent store
+     */
+    async writePersistent(key, entry) {
+        if (!this.listStore) return;
+        try {
+            await this.listStore.setItem('ruian_list_cache:' + key, JSON.stringify(entry));
+        } catch (e) {
+            this.log(`Failed to cache list: ${e.message}`, "WARN");
+        }
+    }
+
+    /**
+     * Clears the street/house-number list cache (memory and persistent store)
+     */
+    async clearListCache() {
+        this.listCache.clear();
+        if (!this.listStore) return;
+        try {
+            const keys = await this.listStore.keys();
+            await Promise.all(keys
+                .filter(key => String(key).indexOf('ruian_list_cache:') === 0)
+                .map(key => this.listStore.removeItem(key)));
+        } catch (e) {
+            this.log(`Failed to clear list cache: ${e.message}`, "WARN");
+        }
+    }
+
+    /**
+     * Shares one pending promise between identical calls (same key)
+     */
+    shareInflight(key, factory) {
+        if (!this.inflight.has(key)) {
+            const promise = factory();
+            this.inflight.set(key, promise);
+            const release = () => this.inflight.delete(key);
+            promise.then(release, release);
+        }
+        return this.inflight.get(key);
+    }
+
+    /**
+     * Resolves with null as soon as the signal aborts; the shared promise keeps running
+     */
+    untilAborted(promise, signal) {
+        if (!signal) return promise;
+        if (signal.aborted) return Promise.resolve(null);
+        return new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => resolve(null), { once: true });
+            promise.then(resolve, reject);
+        });
+    }
+
+    /**
+     * API request for list endpoints (streets, places) with TTL caching and in-flight de-duplication.
+     * The download is shared, so aborting one input cycle does not cancel it for the others.
+     */
+    async cachedRequest(path, params, signal) {
+        const key = path + '?' + JSON.stringify(this.cleanParams(params));
+        const hit = this.listCache.get(key);
+        if (hit && this.isFresh(hit.timestamp, this.listCachePreservation)) {
+            return hit.data;
+        }
+
+        const pending = this.shareInflight(key, async () => {
+            const stored = await this.readPersistent(key);
+            if (stored && this.isFresh(stored.timestamp, this.listCachePreservation)) {
+                this.listCache.set(key, stored);
+                return stored.data;
+            }
+
+            const data = await this.apiRequest(path, params);
+            if (data) {
+                const entry = { timestamp: Date.now(), data: data };
+                this.listCache.set(key, entry);
+                this.writePersistent(key, entry);
+            }
+            return data;
+        });
+        return this.untilAborted(pending, signal);
+    }
+
+    /**
+     * Load all municipalities from API (with caching).
+     * Regions are loaded concurrently; the list is cached only when every region succeeded.
+     * If some regions failed, the partial list is returned and the missing regions are retried on a later call.
+     */
+    async loadAllMunicipalities() {
+        if (this.allMunicipalities) {
+            return this.allMunicipalities;
+        }
+
+        // Share the running load
+        if (this.municipalitiesPromise) {
+            return this.municipalitiesPromise;
+        }
+
+        this.municipalitiesPromise = this.loadMunicipalities();
+        try {
+            return await this.municipalitiesPromise;
+        } finally {
+            this.municipalitiesPromise = null;
+        }
+    }
+
+    /**
+     * Reads the municipality list from the cache, or loads the missing regions
+     */
+    async loadMunicipalities() {
+        // Check cache first
+        const cached = await this.loadMunicipalitiesFromCache();
+        if (cached) {
+            this.setMunicipalities(cached);
+            this.reportProgress(this.regionIds.length, this.regionIds.length);
+            this.emit('cache-loaded', { count: cached.length, source: 'cache' });
+            return cached;
+        }
+
+        // Do not hammer the API with retries of failed regions on every keystroke
+        if (Date.now() < this.regionsRetryAt) {
+            return this.partialMunicipalities;
+        }
+        return this.loadRegions();
+    }
+
+    /**
+     * Municipalities available for searching right now: the full list, or the regions
+     * loaded so far while the preload is still running
+     */
+    async getSearchableMunicipalities() {
+        if (this.allMunicipalities) {
+            return this.allMunicipalities;
+        }
+
+        const loading = this.loadAllMunicipalities();
+        if (this.partialMunicipalities.length === 0) {
+            // Wait for the first region (or the end of the load, also a failed one)
+            let wake = null;
+            const firstRegion = new Promise(resolve => {
+                wake = resolve;
+                this.regionWaiters.push(resolve);
+            });
+            try {
+                await Promise.race([loading, firstRegion]);
+            } finally {
+                this.regionWaiters = this.regionWaiters.filter(resolve => resolve !== wake);
+            }
+        }
+        return this.allMunicipalities || this.partialMunicipalities;
+    }
+
+    /**
+     * Loads the missing regions with limited concurrency
+     */
+    async loadRegions() {
+        const total = this.regionIds.length;
+        const pending = this.regionIds.filter(regionId => !this.loadedRegions[regionId]);
+        this.log(`Loading municipalities of ${pending.length} regions from API...`, "INFO");
+        this.reportProgress(total - pending.length, total);
+
+        let next = 0;
+        const worker = async () => {
+            while (next < pending.length) {
+                const regionId = pending[next++];
+                const municipalities = await this.loadRegion(regionId);
+                if (!municipalities) continue;
+
+                this.loadedRegions[regionId] = municipalities;
+                this.partialMunicipalities = this.collectLoadedRegions();
+                this.reportProgress(Object.keys(this.loadedRegions).length, total);
+
+                // Wake up searches waiting for data
+                this.regionWaiters.splice(0).forEach(resolve => resolve());
+            }
+        };
+
+        const workers = [];
+        for (let i = 0; i < Math.min(this.preloadConcurrency, pending.length); i++) {
+            workers.push(worker());
+        }
+        await Promise.all(workers);
+
+        const missing = this.regionIds.filter(regionId => !this.loadedRegions[regionId]);
+        if (missing.length > 0) {
+            // Never cache an incomplete set
+            this.regionsRetryAt = Date.now() + 30000;
+            this.log(`Municipality list incomplete, failed regions: ${missing.join(', ')} (not cached, will retry)`, "ERROR");
+            return this.partialMunicipalities;
+        }
+
+        const allMunicipalities = this.collectLoadedRegions();
+        this.setMunicipalities(allMunicipalities);
+        this.log(`Loaded ${allMunicipalities.length} municipalities`, "SUCCESS");
+        this.emit('cache-loaded', { count: allMunicipalities.length, source: 'api' });
+
+        // Save to the storage cache
+        await this.saveMunicipalitiesToCache(allMunicipalities);
+        return allMunicipalities;
+    }
+
+    /**
+     * Loads municipalities of one region (apiRequest retries transient failures)
+     * @returns {Promise<Array|null>} Municipalities or null if the region failed
+     */
+    async loadRegion(regionId) {
+        const data = await this.apiRequest('ruian/build/municipalities', { regionId: regionId });
+        if (!data || !data.data) return null;
+        return data.data.map(m => {
+            const municipality = {
+                municipalityId: m.municipalityId,
+                municipalityName: m.municipalityName,
+                regionId: regionId,
+                regionName: this.getRegionName(regionId)
+            };
+            // Administrative units, where the API names them
+            ['districtId', 'districtName', 'orpId', 'orpName', 'pouId', 'pouName'].forEach(key => {
+                if (m[key] !== undefined && m[key] !== null) municipality[key] = m[key];
+            });
+            return municipality;
+        });
+    }
+
+    /**
+     * Concatenates the loaded regions in the fixed region order
+     */
+    collectLoadedRegions() {
+        return this.regionIds
+            .filter(regionId => this.loadedRegions[regionId])
+            .reduce((all, regionId) => all.concat(this.loadedRegions[regionId]), []);
+    }
+
+    /**
+     * Reports municipality preload progress (loaded regions / total regions)
+     */
+    reportProgress(loaded, total) {
+        try {
+            this.onProgress(loaded, total);
+        } catch (e) {
+            this.log(`onProgress callback failed: ${e.message}`, "WARN");
+        }
+    }
+
+    /**
+     * Stores the municipality list and builds its search index
+     */
+    setMunicipalities(municipalities) {
+        this.allMunicipalities = municipalities;
+        this.municipalityIndex = this.buildMunicipalityIndex(municipalities);
+    }
+
+    /**
+     * Builds the in-memory search index: normalized names plus a bigram index,
+     * so lookups only rank the municipalities sharing enough bigrams with the query
+     * @param {Object[]} municipalities - Items to index
+     * @param {string} [nameKey='municipalityName'] - Property holding the searchable name
+     */
+    buildMunicipalityIndex(municipalities, nameKey) {
+        const started = Date.now();
+        const names = municipalities.map(m => this.normalizeText(m[nameKey || 'municipalityName']));
+        const grams = new Map();
+
+        names.forEach((name, i) => {
+            this.bigrams(name).forEach(gram => {
+                let postings = grams.get(gram);
+                if (!postings) {
+                    postings = [];
+                    grams.set(gram, postings);
+                }
+                postings.push(i);
+            });
+        });
+
+        this.log(`Indexed ${municipalities.length} ${nameKey ? 'names' : 'municipalities'} in ${Date.now() - started} ms`, "INFO");
+        return {
+            source: municipalities,
+            names: names,
+            grams: grams,
+            lookups: new Map() // Recent lookup results (handleInput, auto-select and fallback repeat queries)
+        };
+    }
+
+    /**
+     * Makes sure the index belongs to the given list (e.g. a partial list during preload)
+     */
+    ensureMunicipalityIndex(municipalities) {
+        if (!this.municipalityIndex || this.municipalityIndex.source !== municipalities) {
+            this.municipalityIndex = this.buildMunicipalityIndex(municipalities);
+        }
+    }
+
+    /**
+     * Returns the set of distinct character bigrams of a normalized string
+     */
+    bigrams(str) {
+        const result = new Set();
+        for (let i = 0; i < str.length - 1; i++) {
+            result.add(str.substring(i, i + 2));
+        }
+        return result;
+    }
+
+    /**
+     * Finds ranked municipality matches for a normalized query using the index
+     * @param {Object} [index] - Another index built by buildMunicipalityIndex (e.g. municipality parts)
+     * @returns {Array<{municipality: Object, rank: Object}>} Unsorted matches
+     */
+    lookupMunicipalities(query, maxTypos, index) {
+        index = index || this.municipalityIndex;
+        const key = `${maxTypos}|${query}`;
+        if (index.lookups.has(key)) return index.lookups.get(key);
+
+        const matches = [];
+        this.indexCandidates(query, maxTypos, index).forEach(i => {
+            const rank = this.rankName(index.names[i], query, maxTypos);
+            if (rank) matches.push({ municipality: index.source[i], rank: rank });
+        });
+
+        index.lookups.set(key, matches);
+        if (index.lookups.size > 50) {
+            index.lookups.delete(index.lookups.keys().next().value);
+        }
+        return matches;
+    }
+
+    /**
+     * Positions of the index names that can match the query: they share enough bigrams with it
+     * @returns {number[]} Positions in index.names
+     */
+    indexCandidates(query, maxTypos, index) {
+        const queryGrams = this.bigrams(query);
+        // A single character has no bigrams
+        if (!queryGrams.size) return index.names.map((name, i) => i);
+
+        // Each typo destroys at most two bigrams of the query, an adjacent transposition (one typo for
+        // editDistance) three (q-gram lemma). The swapped pair of a transposition is in the name, so the
+        // swapped pairs are looked up too: with them a transposition costs two as well, unless a swapped
+        // pair repeats a bigram. One shared bigram is always required ("msot" shares "os" with Most).
+        const swapped = new Set();
+        if (maxTypos) {
+            for (let i = 0; i < query.length - 1; i++) swapped.add(query[i + 1] + query[i]);
+        }
+        const distinct = swapped.size === query.length - 1 && !Array.from(swapped).some(gram => queryGrams.has(gram));
+        const minShared = Math.max(1, queryGrams.size - (distinct ? 2 : 3) * maxTypos);
+        swapped.forEach(gram => queryGrams.add(gram));
+
+        const lists = Array.from(queryGrams, gram => index.grams.get(gram) || []).sort((a, b) => a.length - b.length);
+        const counts = new Uint8Array(index.names.length);
+        lists.forEach(list => list.forEach(i => { counts[i]++; }));
+
+        // A name in minShared lists is in one of the shortest (lists.length - minShared + 1)
+        const candidates = [];
+        lists.slice(0, lists.length - minShared + 1).forEach(list => list.forEach(i => {
+            if (counts[i] >= minShared) {
+                candidates.push(i);
+                counts[i] = 0; // Taken
+            }
+        }));
+        return candidates;
+    }
+
+    /**
+     * Get region name from region ID
+     */
+    getRegionName(regionId) {
+        const regions = {
+            'CZ010': 'Hlavní město Praha',
+            'CZ020': 'Středočeský kraj',
+            'CZ031': 'Jihočeský kraj',
+            'CZ032': 'Plzeňský kraj',
+            'CZ041': 'Karlovarský kraj',
+            'CZ042': 'Ústecký kraj',
+            'CZ051': 'Liberecký kraj',
+            'CZ052': 'Královéhradecký kraj',
+            'CZ053': 'Pardubický kraj',
+            'CZ063': 'Kraj Vysočina',
+            'CZ064': 'Jihomoravský kraj',
+            'CZ071': 'Olomoucký kraj',
+            'CZ072': 'Zlínský kraj',
+            'CZ080': 'Moravskoslezský kraj'
+        };
+        return regions[regionId] || regionId;
+    }
+
+    /**
+     * Get district (okres) name from its LAU 1 code, e.g. 'CZ0201'
+     */
+    getDistrictName(districtId) {
+        const districts = {
+            'CZ0100': 'Praha',
+            'CZ0201': 'Benešov', 'CZ0202': 'Beroun', 'CZ0203': 'Kladno', 'CZ0204': 'Kolín', 'CZ0205': 'Kutná Hora',
+            'CZ0206': 'Mělník', 'CZ0207': 'Mladá Boleslav', 'CZ0208': 'Nymburk', 'CZ0209': 'Praha-východ',
+            'CZ020A': 'Praha-západ', 'CZ020B': 'Příbram', 'CZ020C': 'Rakovník',
+            'CZ0311': 'České Budějovice', 'CZ0312': 'Český Krumlov', 'CZ0313': 'Jindřichův Hradec', 'CZ0314': 'Písek',
+            'CZ0315': 'Prachatice', 'CZ0316': 'Strakonice', 'CZ0317': 'Tábor',
+            'CZ0321': 'Domažlice', 'CZ0322': 'Klatovy', 'CZ0323': 'Plzeň-město', 'CZ0324': 'Plzeň-jih',
+            'CZ0325': 'Plzeň-sever', 'CZ0326': 'Rokycany', 'CZ0327': 'Tachov',
+            'CZ0411': 'Cheb', 'CZ0412': 'Karlovy Vary', 'CZ0413': 'Sokolov',
+            'CZ0421': 'Děčín', 'CZ0422': 'Chomutov', 'CZ0423': 'Litoměřice', 'CZ0424': 'Louny', 'CZ0425': 'Most',
+            'CZ0426': 'Teplice', 'CZ0427': 'Ústí nad Labem',
+            'CZ0511': 'Česká Lípa', 'CZ0512': 'Jablonec nad Nisou', 'CZ0513': 'Liberec', 'CZ0514': 'Semily',
+            'CZ0521': 'Hradec Králové', 'CZ0522': 'Jičín', 'CZ0523': 'Náchod', 'CZ0524': 'Rychnov nad Kněžnou',
+            'CZ0525': 'Trutnov',
+            'CZ0531': 'Chrudim', 'CZ0532': 'Pardubice', 'CZ0533': 'Svitavy', 'CZ0534': 'Ústí nad Orlicí',
+            'CZ0631': 'Havlíčkův Brod', 'CZ0632': 'Jihlava', 'CZ0633': 'Pelhřimov', 'CZ0634': 'Třebíč',
+            'CZ0635': 'Žďár nad Sázavou',
+            'CZ0641': 'Blansko', 'CZ0642': 'Brno-město', 'CZ0643': 'Brno-venkov', 'CZ0644': 'Břeclav',
+            'CZ0645': 'Hodonín', 'CZ0646': 'Vyškov', 'CZ0647': 'Znojmo',
+            'CZ0711': 'Jeseník', 'CZ0712': 'Olomouc', 'CZ0713': 'Prostějov', 'CZ0714': 'Přerov', 'CZ0715': 'Šumperk',
+            'CZ0721': 'Kroměříž', 'CZ0722': 'Uherské Hradiště', 'CZ0723': 'Vsetín', 'CZ0724': 'Zlín',
+            'CZ0801': 'Bruntál', 'CZ0802': 'Frýdek-Místek', 'CZ0803': 'Karviná', 'CZ0804': 'Nový Jičín',
+            'CZ0805': 'Opava', 'CZ0806': 'Ostrava-město'
+        };
+        return districts[districtId] || districtId;
+    }
+
+    /**
+     * Administrative units of a municipality from the loaded municipality list and config.municipalityData
+     * (no API calls; see ensureAdministrativeData)
+     * @returns {{regionId, regionName, districtId, districtName, orpId, orpName, pouId, pouName}} Unknown values are null
+     */
+    administrativeData(municipalityId) {
+        const list = this.allMunicipalities || this.partialMunicipalities;
+        if (this.administrativeSource !== list) {
+            this.administrativeSource = list;
+            this.municipalitiesById = new Map(list.map(m => [String(m.municipalityId), m]));
+        }
+        const id = String(municipalityId);
+        const entry = Object.assign({},
+            this.municipalitiesById.get(id),
+            this.municipalityDirectory && this.municipalityDirectory.get(id));
+
+        const districtId = entry.districtId || null;
+        // The LAU 1 district code starts with the code of its region
+        const regionId = entry.regionId || (districtId ? String(districtId).substring(0, 5) : null);
+        return {
+            regionId: regionId,
+            regionName: entry.regionName || (regionId ? this.getRegionName(regionId) : null),
+            districtId: districtId,
+            districtName: entry.districtName || (districtId ? this.getDistrictName(districtId) : null),
+            orpId: entry.orpId || null,
+            orpName: entry.orpName || null,
+            pouId: entry.pouId || null,
+            pouName: entry.pouName || null
+        };
+    }
+
+    /**
+     * Makes the data of administrativeData() available without API calls: reads the municipality list
+     * from the storage cache once if nothing is loaded, and loads config.municipalityData
+     */
+    async ensureAdministrativeData() {
+        if (!this.allMunicipalities && !this.municipalitiesPromise && !this.administrativeCacheChecked) {
+            this.administrativeCacheChecked = true;
+            const cached = await this.loadMunicipalitiesFromCache();
+            if (cached && !this.allMunicipalities) {
+                this.setMunicipalities(cached);
+                this.emit('cache-loaded', { count: cached.length, source: 'cache' });
+            }
+        }
+        if (this.municipalityData && !this.municipalityDirectory) {
+            if (!this.municipalityDirectoryPromise) {
+                const source = typeof this.municipalityData === 'function'
+                    ? Promise.resolve().then(() => this.municipalityData()).catch(e => {
+                        this.log(`Failed to load municipalityData: ${e.message}`, "WARN");
+                        return [];
+                    })
+                    : this.loadDirectory(this.municipalityData);
+                this.municipalityDirectoryPromise = source.then(entries => {
+                    this.municipalityDirectoryPromise = null;
+                    if (!entries || !entries.length) return;
+                    this.municipalityDirectory = new Map(entries.map(e => [String(e.municipalityId), e]));
+                });
+            }
+            await this.municipalityDirectoryPromise;
+        }
+    }
+
+    /**
+     * Fetch ZIP code for a municipality (cached) with robust fallback
+     * 1. /validate?cp=1 - works if house #1 exists
+     * 2. /places?streetName=- - works for villages without streets
+     * 3. /streets → /places - works for municipalities with streets
+     */
+    async fetchMunicipalityZip(municipalityId) {
+        await this.zipCacheReady;
+        if (this.zipCache[municipalityId]) {
+            return this.zipCache[municipalityId];
+        }
+        return this.shareInflight(`zip:${municipalityId}`, () => this.lookupMunicipalityZip(municipalityId));
+    }
+
+    /**
+     * Runs the ZIP fallback chain of fetchMunicipalityZip and stores the result
+     */
+    async lookupMunicipalityZip(municipalityId) {
+        let zip = null;
+
+        // Try #1: /validate with cp=1 (fastest)
+        try {
+            const data = await this.apiRequest('ruian/validate', { municipalityId: municipalityId, cp: 1 });
+            if (data && data.place) {
+                zip = data.place.zip || data.place.placeZip;
+            }
+        } catch (e) {
+            // Ignore, try fallback
+        }
+
+        // Try #2: /places with streetName=- (for villages without streets)
+        if (!zip) {
+            try {
+                const data = await this.apiRequest('ruian/build/places', { municipalityId: municipalityId, streetName: '-', limit: 1 });
+                if (data && data.data && data.data.length > 0) {
+                    zip = data.data[0].placeZip || data.data[0].zip;
+                } else if (data && data.length > 0) {
+                    zip = data[0].placeZip || data[0].zip;
+                }
+            } catch (e) {
+                // Ignore, try fallback
+            }
+        }
+
+        // Try #3: Get first street, then get place from that street (for municipalities with streets)
+        if (!zip) {
+            try {
+                const streetsData = await this.apiRequest('ruian/build/streets', { municipalityId: municipalityId, limit: 1 });
+                const streets = streetsData && streetsData.data ? streetsData.data : streetsData;
+                if (streets && streets.length > 0) {
+                    const streetName = streets[0].streetName;
+                    const placesData = await this.apiRequest('ruian/build/places', { municipalityId: municipalityId, streetName: streetName, limit: 1 });
+                    const places = placesData && placesData.data ? placesData.data : placesData;
+                    if (places && places.length > 0) {
+                        zip = places[0].placeZip || places[0].zip;
+                    }
+                }
+            } catch (e) {
+                this.log(`Error fetching ZIP for ${municipalityId}: ${e.message}`, "ERROR");
+            }
+        }
+
+        if (zip) {
+            this.zipCache[municipalityId] = zip;
+            this.saveZipCache();
+            return zip;
+        }
+        return null;
+    }
+
+    /**
+     * Helper: Maps raw API response to the requested RUIANplace structure
+     * @param {Object} p - API place
+     * @param {Object} [context] - Chosen municipality/part/district
+     */
+    mapToRuianPlace(p, context) {
+        context = context || {};
+        // Part or city district chosen by the user, unless the API names them
+        const sameContext = String(p.municipalityId) === String(context.municipalityId);
+        const orientation = RuianClient.splitOrientationNumber(p);
+        const admin = this.administrativeData(p.municipalityId);
+        return {
+            valid: true,
+            municipalityId: p.municipalityId,
+            municipalityName: p.municipalityName,
+            municipalityPartId: p.municipalityPartId || null,
+            municipalityPartName: p.municipalityPartName || (sameContext && context.municipalityPartName) || null,
+            cityDistrictName: p.cityDistrictName || (sameContext && context.cityDistrictName) || null,
+            streetName: p.streetName || null,
+            ce: p.ce || null,
+            cp: p.cp || null,
+            co: orientation.co,
+            coLetter: orientation.coLetter,
+            zip: p.zip,
+            id: p.id || p.ruianId,
+            ruianId: p.ruianId || p.id, // Usually same as ID in this context; stored places may carry only ruianId
+            // Administrative units: from the API place, else the municipality list and municipalityData
+            regionId: p.regionId || admin.regionId,
+            regionName: p.regionName || admin.regionName,
+            districtId: p.districtId || admin.districtId,
+            districtName: p.districtName || admin.districtName,
+            orpId: p.orpId || admin.orpId,
+            orpName: p.orpName || admin.orpName,
+            pouId: p.pouId || admin.pouId,
+            pouName: p.pouName || admin.pouName,
+            coordinates: RuianClient.readCoordinates(p) // Address point {x, y (S-JTSK), lat, lon (WGS84)} if known
+        };
+    }
+
+    /**
+     * Parses free text (plus the current context) into /validate parameters
+     * @param {string} fullQuery - Address text
+     * @param {Object} [context] - Chosen municipality/part/district/street; wins over the text
+     * @returns {{municipalityName: ?string, street: ?string, cp: ?string, co: ?string, coLetter: ?string, ce: ?string, zip: ?string}}
+     */
+    buildValidateParams(fullQuery, context) {
+        context = context || {};
+        const parsed = parseAddress(fullQuery);
+        if (parsed.formats.length) this.log(`Format detected: ${parsed.formats.join(', ')}`, "INFO");
+
+        let munName = parsed.municipality;
+        let streetName = context.streetName || parsed.street;
+        if (context.municipalityName) {
+            // The selected context wins; a lone name in front of the number is then the street ("Vodičkova, 704/36")
+            const known = [context.municipalityName, context.municipalityPartName, context.cityDistrictName]
+                .filter(Boolean)
+                .map(name => this.normalizeText(name));
+            if (munName && !streetName && !known.includes(this.normalizeText(munName))
+                && !known.includes(this.normalizeText(parsed.cityDistrict || ''))) {
+                streetName = munName;
+            }
+            munName = context.municipalityName;
+        } else if (!munName && streetName && !context.streetName) {
+            // "Lhota 12": a village without streets
+            munName = streetName;
+        }
+        // The village name in front of its number is not a street ("Lhota 12" in Lhota)
+        if (munName && streetName && this.normalizeText(munName) === this.normalizeText(streetName)) streetName = null;
+
+        return {
+            municipalityName: munName || null,
+            street: streetName || null,
+            cp: parsed.cp,
+            co: parsed.co,
+            coLetter: parsed.coLetter,
+            ce: parsed.ce,
+            zip: parsed.zip || context.zip || null
+        };
+    }
+
+    /**
+     * Builds the preferred postal label "Street Number, ZIP City" of a place.
+     * A numbered city district replaces the city ("150 00 Praha 5").
+     */
+    buildPostalLabel(p) {
+        return formatAddress(p, 'single-line');
+    }
+
+    /**
+     * Explains why an address did not validate. Uses the parsed query, the partial match of the API,
+     * the municipality list and the (cached) street/place lists.
+     * @param {Object} parsed - /validate parameters that were sent (see buildValidateParams)
+     * @param {Object|null} result - /validate response (null if the request failed)
+     * @param {AbortSignal} [signal] - Abort signal of the input cycle
+     * @param {Object} [context] - Chosen municipality
+     * @returns {Promise<Object>} { valid, status, reason, message, parsed, partialMatch, apiMessage, suggestions }
+     */
+    async diagnoseValidation(parsed, result, signal, context) {
+        context = context || {};
+        const diagnostics = {
+            valid: false,
+            status: result ? result.status || null : null,
+            reason: 'not-found',
+            message: null,
+            parsed: parsed,
+            partialMatch: result && result.place ? result.place : null,
+            apiMessage: result && result.message ? result.message : null,
+            suggestions: []
+        };
+        const number = RuianClient.formatHouseNumber(parsed);
+        const values = {
+            municipality: parsed.municipalityName,
+            street: parsed.street,
+            number: number,
+            zip: this.formatZip(parsed.zip),
+            place: parsed.street || parsed.municipalityName
+        };
+        const finish = (reason) => {
+            diagnostics.reason = reason;
+            diagnostics.message = this.formatMessage(this.diagnosticMessages[reason], values);
+            this.log(`Invalid address: ${diagnostics.message}`, "WARN");
+            return diagnostics;
+        };
+
+        if (!result) return finish('lookup-failed');
+        if (!parsed.municipalityName) return finish('missing-municipality');
+        if (!parsed.cp && !parsed.co && !parsed.ce) return finish('missing-number');
+
+        try {
+            // 1. Municipality (only decisive when the complete list is known)
+            const municipalities = await this.getSearchableMunicipalities();
+            this.ensureMunicipalityIndex(municipalities);
+            const exact = this.lookupMunicipalities(this.normalizeText(parsed.municipalityName), 0)
+                .filter(match => match.rank.tier === 0)
+                .map(match => match.municipality);
+            if (exact.length === 0 && this.allMunicipalities) {
+                diagnostics.suggestions = (await this.searchMunicipality(parsed.municipalityName)).slice(0, 3);
+                return finish('municipality-not-found');
+            }
+
+            // 2. ZIP: does the address exist without it?
+            if (parsed.zip) {
+                const probe = await this.apiRequest('ruian/validate', this.toValidateQuery(Object.assign({}, parsed, { zip: null })), signal);
+                const partial = diagnostics.partialMatch;
+                const place = probe && probe.status === 'MATCH' ? probe.place
+                    : (partial && partial.zip && String(partial.zip) !== String(parsed.zip) ? partial : null);
+                if (place) {
+                    const label = this.buildPostalLabel(place);
+                    values.address = [parsed.street || place.municipalityName, number].join(' ');
+                    values.suggestion = `${this.formatZip(place.zip)} ${place.municipalityName}`;
+                    diagnostics.suggestions = [{ type: 'complete', label: label, value: label, data: place }];
+                    return finish('zip-mismatch');
+                }
+            }
+
+            const municipalityId = context.municipalityId || (exact[0] && exact[0].municipalityId);
+            if (!municipalityId) return finish('not-found');
+
+            // 3. Street within the municipality
+            if (parsed.street) {
+                const json = await this.cachedRequest('ruian/build/streets', { municipalityId: municipalityId }, signal);
+                const streets = json && json.data ? json.data.map(s => s.streetName || s.streetLessPartName).filter(Boolean) : [];
+                const wanted = this.normalizeText(parsed.street);
+                if (streets.length > 0 && !streets.some(name => this.normalizeText(name) === wanted)) {
+                    diagnostics.suggestions = streets
+                        .map(name => ({ name: name, rank: this.rankName(this.normalizeText(name), wanted, this.maxTyposFor(wanted)) }))
+                        .filter(s => s.rank)
+                        .sort((a, b) => a.rank.tier - b.rank.tier || a.rank.distance - b.rank.distance)
+                        .slice(0, 3)
+                        .map(s => ({ type: 'street', label: s.name, value: s.name, data: { streetName: s.name } }));
+                    return finish('street-not-found');
+                }
+            }
+
+            // 4. House number: offer numbers sharing the leading digits
+            const prefix = parsed.ce
+                ? `ev. ${String(parsed.ce).slice(0, -1)}`
+                : String(parsed.co || parsed.cp).slice(0, -1);
+            diagnostics.suggestions = (await this.searchPlace(municipalityId, parsed.street, prefix, signal, context)).slice(0, 5);
+            return finish('number-not-found');
+        } catch (e) {
+            this.log(`Diagnostics Error: ${e.message}`, "ERROR");
+            return finish('not-found');
+        }
+    }
+
+    /**
+     * Replaces {placeholders} in a message template
+     */
+    formatMessage(template, values) {
+        return String(template || '').replace(/\{(\w+)\}/g, (m, key) => {
+            return values[key] !== undefined && values[key] !== null ? values[key] : '';
+        });
+    }
+
+    /**
+     * Formats a house number the way parseAddress reads it back: "704/36a", "12", "č. ev. 15"
+     * @param {Object} p - Place or parsed address with cp, co, coLetter, ce (or placeCp, placeCo, placeCe)
+     */
+    static formatHouseNumber(p) {
+        const ce = p.ce || p.placeCe;
+        if (ce) return `č. ev. ${ce}`;
+        const orientation = RuianClient.splitOrientationNumber(p);
+        const co = orientation.co ? orientation.co + (orientation.coLetter || '') : '';
+        const cp = p.cp || p.placeCp;
+        if (cp) return co ? `${cp}/${co}` : String(cp);
+        return co;
+    }
+
+    /**
+     * Reads the orientation number of a place as digits and letter, whether the API
+     * sends them apart (co/coLetter) or together ("36a")
+     * @returns {{co: ?string, coLetter: ?string}}
+     */
+    static splitOrientationNumber(p) {
+        const raw = p.co !== undefined && p.co !== null ? p.co : p.placeCo;
+        const letter = p.coLetter || p.placeCoLetter || null;
+        if (raw === undefined || raw === null || raw === '') return { co: null, coLetter: letter };
+        const match = String(raw).trim().match(/^(\d+)\s*([a-z])?$/i);
+        if (!match) return { co: String(raw), coLetter: letter };
+        return { co: match[1], coLetter: (match[2] || letter || '').toLowerCase() || null };
+    }
+
+    /**
+     * Reads the address point of a place in either system: {x, y} (S-JTSK, also placeX/placeY) or {lat, lon}
+     * (also lng, latitude/longitude), at the top level or under `coordinates`; the other system is computed
+     * @returns {{x: number, y: number, lat: number, lon: number}|null} x/y as EPSG:5514 (negative)
+     */
+    static readCoordinates(p) {
+        const c = p && p.coordinates && typeof p.coordinates === 'object' ? p.coordinates : p || {};
+        const pick = (...keys) => {
+            const key = keys.find(k => c[k] !== undefined && c[k] !== null && c[k] !== '' && isFinite(c[k]));
+            return key ? Number(c[key]) : null;
+        };
+        const x = pick('x', 'placeX');
+        const y = pick('y', 'placeY');
+        let lat = pick('lat', 'latitude');
+        let lon = pick('lon', 'lng', 'longitude');
+
+        if (x !== null && y !== null) {
+            if (lat === null || lon === null) {
+                const wgs = sjtskToWgs84(x, y);
+                lat = wgs.lat;
+                lon = wgs.lon;
+            }
+            // RUIAN also publishes the positive Y/X pair
+            return { x: -Math.min(Math.abs(x), Math.abs(y)), y: -Math.max(Math.abs(x), Math.abs(y)), lat: lat, lon: lon };
+        }
+        if (lat !== null && lon !== null) {
+            const sjtsk = wgs84ToSjtsk(lat, lon);
+            return { x: sjtsk.x, y: sjtsk.y, lat: lat, lon: lon };
+        }
+        return null;
+    }
+
+    /**
+     * Converts parsed /validate parameters to the API query; the orientation number keeps its letter
+     */
+    toValidateQuery(params) {
+        return {
+            municipalityName: params.municipalityName,
+            street: params.street,
+            cp: params.cp,
+            co: params.co ? params.co + (params.coLetter || '') : null,
+            ce: params.ce,
+            zip: params.zip
+        };
+    }
+
+    /**
+     * API: Search Municipality - uses cached municipalities with ZIP disambiguation.
+     * Queries starting with a ZIP ("602 00", "39701 Písek") are searched by ZIP.
+     */
+    async searchMunicipality(query) {
+        const zipQuery = this.splitZip(query);
+        if (zipQuery && this.canQuery()) return this.searchByZip(zipQuery.zip, zipQuery.rest);
+        if (/^\d/.test(query) || query.length < 2 || !this.canQuery()) return [];
+
+        const municipalities = await this.getSearchableMunicipalities();
+        this.ensureMunicipalityIndex(municipalities);
+        const normalized = this.normalizeText(query);
+        const maxTypos = this.fuzzySearch ? this.maxTyposFor(normalized) : 0;
+
+        // Indexed lookup (accent-insensitive, with typo tolerance)
+        const ranks = new Map();
+        const matches = this.lookupMunicipalities(normalized, maxTypos).map(match => {
+            ranks.set(match.municipality, match.rank);
+            return match.municipality;
+        });
+
+        // Sort: exact matches first, then prefix, substring and typo matches,
+        // then by name length (shorter first), then alphabetically
+        matches.sort((a, b) => {
+            const aRank = ranks.get(a);
+            const bRank = ranks.get(b);
+            if (aRank.tier !== bRank.tier) return aRank.tier - bRank.tier;
+            if (aRank.distance !== bRank.distance) return aRank.distance - bRank.distance;
+
+            if (a.municipalityName.length !== b.municipalityName.length) {
+                return a.municipalityName.length - b.municipalityName.length;
+            }
+            return a.municipalityName.localeCompare(b.municipalityName);
+        });
+
+        // Identify duplicates: same name + same region = need ZIP to distinguish
+        const nameRegionGroups = {};
+        matches.forEach(m => {
+            const key = m.municipalityName.toLowerCase() + '|' + m.regionId;
+            nameRegionGroups[key] = (nameRegionGroups[key] || 0) + 1;
+        });
+
+        // Check if there are multiple municipalities with the same name (across all regions)
+        const nameGroups = {};
+        matches.forEach(m => {
+            const name = m.municipalityName.toLowerCase();
+            nameGroups[name] = (nameGroups[name] || 0) + 1;
+        });
+
+        // Get top 15 matches
+        const topMatches = matches.slice(0, 15);
+        const bestTier = matches.length ? ranks.get(matches[0]).tier : 4;
+
+        // Fetch ZIP codes for duplicates in same region (concurrently)
+        const zipPromises = topMatches.map(async m => {
+            const key = m.municipalityName.toLowerCase() + '|' + m.regionId;
+            const needsZip = nameRegionGroups[key] > 1;
+            if (needsZip) {
+                return await this.fetchMunicipalityZip(m.municipalityId);
+            }
+            return null;
+        });
+        const zips = await Promise.all(zipPromises);
+
+        const suggestions = topMatches.map((m, i) => {
+            const hasDuplicates = nameGroups[m.municipalityName.toLowerCase()] > 1;
+            const key = m.municipalityName.toLowerCase() + '|' + m.regionId;
+            const sameRegionDuplicates = nameRegionGroups[key] > 1;
+            const zip = zips[i];
+
+            // Build label based on duplication level
+            let label;
+            const formattedZip = this.formatZip(zip);
+            if (sameRegionDuplicates && formattedZip) {
+                // Same name + same region = show ZIP + region
+                label = `${m.municipalityName}, ${formattedZip} (${m.regionName})`;
+            } else if (hasDuplicates) {
+                // Same name in different regions = show region only
+                label = `${m.municipalityName} (${m.regionName})`;
+            } else {
+                // Unique name = show name only
+                label = m.municipalityName;
+            }
+
+            return {
+                type: 'municipality',
+                label: label,
+                value: m.municipalityName,
+                data: {
+                    municipalityId: m.municipalityId,
+                    municipalityName: m.municipalityName,
+                    regionId: m.regionId,
+                    regionName: m.regionName,
+                    zip: zip
+                }
+            };
+        });
+
+        // Parts matching better than any municipality ("Praha 5", "Smíchov") come first
+        const parts = (await this.searchParts(normalized, maxTypos, municipalities))
+            .sort((a, b) => a.rank.tier - b.rank.tier || a.rank.distance - b.rank.distance ||
+                a.part.name.length - b.part.name.length || a.part.name.localeCompare(b.part.name))
+            .slice(0, 10);
+        const partSuggestions = this.buildPartSuggestions(parts.map(match => match.part));
+        const better = partSuggestions.filter((s, i) => parts[i].rank.tier < bestTier);
+        const worse = partSuggestions.filter((s, i) => parts[i].rank.tier >= bestTier);
+        return better.concat(suggestions, worse).slice(0, 15);
+    }
+
+    /**
+     * Loads a JSON directory (zipData/partsData URL) once; a failed load is tried again on the next search
+     */
+    loadDirectory(url) {
+        if (!this.directoryPromises.has(url)) {
+            this.directoryPromises.set(url, fetch(url)
+                .then(response => {
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    return response.json();
+                })
+                .then(data => {
+                    this.log(`Loaded ${data.length} directory entries from ${url}`, "SUCCESS");
+                    return data;
+                })
+                .catch(e => {
+                    this.log(`Failed to load ${url}: ${e.message}`, "WARN");
+                    this.directoryPromises.delete(url);
+                    return [];
+                }));
+        }
+        return this.directoryPromises.get(url);
+    }
+
+    /**
+     * Adds the address point from config.pointsData to a place the API returned without coordinates
+     * @param {Object} place - API place
+     * @returns {Promise<Object>} The place, with `coordinates` when the lookup knows them
+     */
+    async withCoordinates(place) {
+        if (!place || !this.pointsData || RuianClient.readCoordinates(place)) return place;
+        const id = place.id || place.placeId || place.ruianId;
+        if (!id) return place;
+
+        if (!this.pointPromises.has(String(id))) {
+            this.pointPromises.set(String(id), this.lookupPoint(id, place).catch(e => {
+                this.log(`Address point lookup of ${id} failed: ${e.message}`, "WARN");
+                this.pointPromises.delete(String(id));
+                return null;
+            }));
+        }
+        const point = await this.pointPromises.get(String(id));
+        const coordinates = point && RuianClient.readCoordinates(point);
+        return coordinates ? Object.assign({}, place, { coordinates: coordinates }) : place;
+    }
+
+    /**
+     * Queries pointsData: a function, a URL with an {id} placeholder, or the URL of a directory
+     * of {ruianId, x, y} / {ruianId, lat, lon} entries
+     */
+    async lookupPoint(id, place) {
+        if (typeof this.pointsData === 'function') return this.pointsData(place);
+        if (this.pointsData.includes('{id}')) {
+            const response = await fetch(this.pointsData.replace('{id}', encodeURIComponent(id)));
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return response.json();
+        }
+        const entries = await this.loadDirectory(this.pointsData);
+        return entries.find(entry => String(entry.ruianId || entry.id) === String(id)) || null;
+    }
+
+    /**
+     * Turns directory entries into distinct parts and city districts of known municipalities
+     * @returns {Array<{kind: string, name: string, municipalityId, municipalityName, regionId, regionName, municipalityPartId, zips: string[]}>}
+     */
+    toParts(entries, municipalities) {
+        const byId = new Map(municipalities.map(m => [String(m.municipalityId), m]));
+        const parts = new Map();
+        const add = (kind, name, m, e) => {
+            const key = `${kind}|${m.municipalityId}|${name}`;
+            let part = parts.get(key);
+            if (!part) {
+                part = {
+                    kind: kind,
+                    name: name,
+                    municipalityId: m.municipalityId,
+                    municipalityName: m.municipalityName,
+                    regionId: m.regionId,
+                    regionName: m.regionName,
+                    municipalityPartId: kind === 'part' ? e.municipalityPartId || null : null,
+                    zips: []
+                };
+                parts.set(key, part);
+            }
+            const zip = e.zip ? String(e.zip).replace(/\s/g, '') : null;
+            if (zip && !part.zips.includes(zip)) part.zips.push(zip);
+        };
+
+        const districts = [];
+        Object.keys(RuianClient.cityDistricts).forEach(id => {
+            RuianClient.cityDistricts[id].forEach(name => districts.push({ municipalityId: id, cityDistrictName: name }));
+        });
+        entries.concat(districts).forEach(e => {
+            const m = e && byId.get(String(e.municipalityId));
+            if (!m) return;
+            if (e.municipalityPartName && e.municipalityPartName !== m.municipalityName) add('part', e.municipalityPartName, m, e);
+            if (e.cityDistrictName) add('district', e.cityDistrictName, m, e);
+        });
+        return Array.from(parts.values());
+    }
+
+    /**
+     * Finds ranked municipality parts and city districts for a normalized query
+     * @returns {Promise<Array<{part: Object, rank: Object}>>}
+     */
+    async searchParts(query, maxTypos, municipalities) {
+        if (typeof this.partsData === 'function') {
+            let entries = [];
+            try {
+                entries = await this.partsData(query) || [];
+            } catch (e) {
+                this.log(`Part lookup failed: ${e.message}`, "WARN");
+            }
+            return this.toParts(entries, municipalities)
+                .map(part => ({ part: part, rank: this.rankName(this.normalizeText(part.name), query, maxTypos) }))
+                .filter(match => match.rank);
+        }
+
+        const url = this.partsData || (typeof this.zipData === 'string' ? this.zipData : null);
+        const entries = url ? await this.loadDirectory(url) : [];
+        const index = this.partIndex;
+        if (!index || index.entries !== entries || index.municipalities !== municipalities) {
+            this.partIndex = this.buildMunicipalityIndex(this.toParts(entries, municipalities), 'name');
+            this.partIndex.entries = entries;
+            this.partIndex.municipalities = municipalities;
+        }
+        return this.lookupMunicipalities(query, maxTypos, this.partIndex)
+            .map(match => ({ part: match.municipality, rank: match.rank }));
+    }
+
+    /**
+     * Suggestions of the 'part' type
+     */
+    buildPartSuggestions(parts) {
+        const suggestions = parts.map(part => {
+            // "Praha 5", "Brno-střed" name their city, other parts get it in brackets
+            const named = this.normalizeText(part.name).startsWith(this.normalizeText(part.municipalityName));
+            return {
+                type: 'part',
+                label: named ? part.name : `${part.name} (${part.municipalityName})`,
+                value: part.name,
+                data: {
+                    municipalityId: part.municipalityId,
+                    municipalityName: part.municipalityName,
+                    municipalityPartId: part.municipalityPartId,
+                    municipalityPartName: part.kind === 'part' ? part.name : null,
+                    cityDistrictName: part.kind === 'district' ? part.name : null,
+                    regionId: part.regionId,
+                    regionName: part.regionName,
+                    zip: part.zips.length === 1 ? part.zips[0] : null,
+                    partZips: part.zips
+                }
+            };
+        });
+
+        // Same part name in municipalities of the same name
+        const counts = {};
+        suggestions.forEach(s => { counts[s.label] = (counts[s.label] || 0) + 1; });
+        suggestions.forEach(s => {
+            if (counts[s.label] > 1) s.label += ` – ${this.formatZip(s.data.zip) || s.data.regionName}`;
+        });
+        return suggestions;
+    }
+
+    /**
+     * Splits a leading ZIP (at least 3 digits) from the text
+     * @returns {{zip: string, rest: string}|null} zip without spaces, rest is the city part
+     */
+    splitZip(text) {
+        const match = String(text || '').trim().match(/^(\d{3})\s?(\d{0,2})(?:\s+(\D.*))?$/);
+        if (!match) return null;
+        return { zip: match[1] + match[2], rest: (match[3] || '').trim() };
+    }
+
+    /**
+     * Entries of the ZIP directory for a ZIP prefix: the zipData option, the municipality ZIPs
+     * the widget has already looked up, ZIPs of validated addresses and the built-in city post areas
+     */
+    async getZipEntries(zip) {
+        let entries = [];
+        if (typeof this.zipData === 'function') {
+            try {
+                entries = await this.zipData(zip) || [];
+            } catch (e) {
+                this.log(`ZIP lookup failed: ${e.message}`, "WARN");
+            }
+        } else if (this.zipData) {
+            entries = await this.loadDirectory(this.zipData);
+        }
+
+        await this.zipCacheReady;
+        const known = Object.keys(this.zipCache).map(id => ({ zip: this.zipCache[id], municipalityId: id }));
+        const found = entries.concat(known, Array.from(this.seenZips.values()))
+            .filter(e => e && String(e.zip).replace(/\s/g, '').startsWith(zip));
+
+        // Cities with post areas of their own are found by any ZIP of the area ("602 00" -> Brno)
+        const listed = new Set(found.map(e => String(e.municipalityId)));
+        Object.keys(RuianClient.zipAreas).forEach(id => {
+            if (!listed.has(id) && RuianClient.zipAreas[id].some(prefix => zip.startsWith(prefix))) {
+                found.push({ zip: zip, municipalityId: id });
+            }
+        });
+        return found;
+    }
+
+    /**
+     * Adds the ZIP of a validated place to the ZIPs found by ZIP-first search
+     */
+    rememberZip(place) {
+        const zip = place && place.zip ? String(place.zip).replace(/\s/g, '') : '';
+        if (zip.length !== 5 || !place.municipalityId) return;
+        const part = place.municipalityPartName || null;
+        this.seenZips.set(`${zip}|${place.municipalityId}|${part || ''}`, {
+            zip: zip,
+            municipalityId: place.municipalityId,
+            municipalityPartName: part
+        });
+    }
+
+    /**
+     * ZIP-first search: municipalities (and their parts) served by the ZIP, optionally filtered by a city
+     * @param {string} zip - 3 to 5 digits
+     * @param {string} [city] - Text typed after the ZIP
+     */
+    async searchByZip(zip, city) {
+        const municipalities = await this.getSearchableMunicipalities();
+        const byId = new Map(municipalities.map(m => [String(m.municipalityId), m]));
+        const cityQuery = this.normalizeText(city);
+        const seen = new Set();
+        const results = [];
+
+        (await this.getZipEntries(zip)).forEach(e => {
+            const m = byId.get(String(e.municipalityId));
+            if (!m) return;
+            const entryZip = String(e.zip).replace(/\s/g, '');
+            const part = e.municipalityPartName && e.municipalityPartName !== m.municipalityName ? e.municipalityPartName : null;
+            if (cityQuery && !this.normalizeText(m.municipalityName).startsWith(cityQuery) &&
+                !(part && this.normalizeText(part).startsWith(cityQuery))) return;
+
+            const key = `${entryZip}|${m.municipalityId}|${part || ''}`;
+            if (seen.has(key)) return;
+            seen.add(key);
+            results.push({ m: m, zip: entryZip, part: part });
+        });
+
+        results.sort((a, b) => a.zip.localeCompare(b.zip) ||
+            a.m.municipalityName.localeCompare(b.m.municipalityName) ||
+            (a.part || '').localeCompare(b.part || ''));
+
+        // A ZIP prefix of a city post area ("602") is shown, but only a whole ZIP goes into the context
+        const suggestions = results.slice(0, 15).map(r => ({
+            type: r.part ? 'part' : 'municipality',
+            label: `${this.formatZip(r.zip)} ${r.m.municipalityName}${r.part ? ` – ${r.part}` : ''}`,
+            value: r.m.municipalityName,
+            data: {
+                municipalityId: r.m.municipalityId,
+                municipalityName: r.m.municipalityName,
+                municipalityPartName: r.part,
+                regionId: r.m.regionId,
+                regionName: r.m.regionName,
+                zip: r.zip.length === 5 ? r.zip : null,
+                zipFirst: true
+            }
+        }));
+        if (!city || city.length < 2) return suggestions;
+
+        // "ZIP City": the name decides, the ZIP orders municipalities of the same name
+        const named = await this.searchMunicipality(city);
+        const district = zip.substring(0, 3);
+        const exact = named.filter(s => this.normalizeText(s.value) === cityQuery).slice(0, 5);
+        const zips = await Promise.all(exact.map(s => this.fetchMunicipalityZip(s.data.municipalityId)));
+        const knownZip = (s) => {
+            const i = exact.indexOf(s);
+            return i > -1 && zips[i] ? String(zips[i]) : null;
+        };
+        const servesZip = (s) => {
+            const known = knownZip(s);
+            return known && known.startsWith(district) ? 0 : 1;
+        };
+        const listed = new Set(suggestions.map(s => s.data.municipalityId));
+        named
+            .filter(s => !listed.has(s.data.municipalityId))
+            .sort((a, b) => servesZip(a) - servesZip(b))
+            .forEach(s => {
+                // The typed ZIP only for a municipality in its post area, others keep their own ZIP
+                const sZip = zip.length === 5 && servesZip(s) === 0 ? zip : s.data.zip || knownZip(s);
+                suggestions.push({
+                    type: 'municipality',
+                    label: sZip ? `${this.formatZip(sZip)} ${s.value}` : s.label,
+                    value: s.value,
+                    data: Object.assign({}, s.data, { zip: sZip, zipFirst: true })
+                });
+            });
+        return suggestions.slice(0, 15);
+    }
+
+    /**
+     * API: Search Street
+     * @param {Object} [context] - Chosen part or city district narrows the list
+     */
+    async searchStreet(municipalityId, query, signal, context) {
+        if (!this.canQuery()) return [];
+        const json = await this.cachedRequest('ruian/build/streets', { municipalityId: municipalityId }, signal);
+
+        if (!json || !json.data) return [];
+
+        const normalized = this.normalizeText(query);
+        const filtered = json.data.filter(s => {
+            const name = s.streetName || s.streetLessPartName;
+            return name && this.normalizeText(name).includes(normalized) && this.inSelectedPart(s, context);
+        });
+
+        return filtered.slice(0, 10).map(s => ({
+            type: 'street',
+            label: s.streetName || s.streetLessPartName,
+            value: s.streetName || s.streetLessPartName,
+            data: s
+        }));
+    }
+
+    /**
+     * API: Search Place (House Numbers)
+     * @param {Object} [context] - Chosen part or city district narrows the list
+     */
+    async searchPlace(municipalityId, streetName, query, signal, context) {
+        if (!this.canQuery()) return [];
+        const json = await this.cachedRequest('ruian/build/places', {
+            municipalityId: municipalityId,
+            streetName: streetName
+        }, signal);
+        if (!json || !json.data) return [];
+
+        // "ev. 1" / "č. ev. 1" looks among evidence numbers only; "č.p." and "č.o." labels are dropped
+        let normalized = this.normalizeText(query);
+        const evidence = /^(?:c\.?\s*)?ev\.?\s*/.exec(normalized);
+        normalized = normalized.replace(/^(?:c\.?\s*)?(?:ev|p|o)\.?\s*/, '');
+
+        const candidates = json.data.map(p => {
+            const label = RuianClient.formatHouseNumber(p);
+
+            return {
+                type: 'place', // Represents a specific number
+                label: label,
+                value: label,
+                data: p
+            };
+        });
+
+        const filtered = candidates.filter(c => {
+            if (!this.inSelectedPart(c.data, context)) return false;
+            if (evidence) return Boolean(c.data.placeCe) && String(c.data.placeCe).startsWith(normalized);
+            if (!normalized) return true;
+            if (c.label.toLowerCase().startsWith(normalized)) return true;
+            const orientation = RuianClient.splitOrientationNumber(c.data);
+            const co = orientation.co ? orientation.co + (orientation.coLetter || '') : "";
+            if (co.startsWith(normalized)) return true;
+            const cp = c.data.placeCp ? String(c.data.placeCp).toLowerCase() : "";
+            if (cp.startsWith(normalized)) return true;
+            return false;
+        });
+
+        return filtered.slice(0, 10);
+    }
+
+    /**
+     * Narrows street/place lists to the chosen municipality part or city district.
+     * /build/streets names the part of streetless entries only, /build/places gives none, so house numbers
+     * are matched by their placeZip against the part's ZIPs (context.partZips). Named streets are kept:
+     * a street often crosses parts, and only its numbers tell which of them lie in the chosen one.
+     */
+    inSelectedPart(item, context) {
+        const part = context && context.municipalityPartName;
+        const district = context && context.cityDistrictName;
+        const itemPart = item.municipalityPartName || item.streetLessPartName;
+        if (part && itemPart && this.normalizeText(itemPart) !== this.normalizeText(part)) return false;
+        if (district && item.cityDistrictName && this.normalizeText(item.cityDistrictName) !== this.normalizeText(district)) return false;
+        const zips = (part || district) && context.partZips;
+        if (zips && item.placeZip && !zips.includes(String(item.placeZip).replace(/\s/g, ''))) return false;
+        return true;
+    }
+
+    /**
+     * Removes empty (null/undefined/'') query parameters
+     */
+    cleanParams(params) {
+        const clean = {};
+        Object.keys(params || {}).forEach(key => {
+            const value = params[key];
+            if (value !== null && value !== undefined && value !== '') clean[key] = value;
+        });
+        return clean;
+    }
+
+    /**
+     * Builds the full request URL for an API path (e.g. 'ruian/validate').
+     * The API key is appended only if configured.
+     */
+    buildUrl(path, params) {
+        const query = [];
+        if (this.apiKey) query.push(`apiKey=${encodeURIComponent(this.apiKey)}`);
+        Object.keys(params).forEach(key => {
+            query.push(`${key}=${encodeURIComponent(params[key])}`);
+        });
+        return this.baseUrl + path + (query.length ? `?${query.join('&')}` : '');
+    }
+
+    /**
+     * Performs an API request, either through the custom transport or the built-in fetch.
+     * Transient failures (rate limit, server, network, timeout) are retried with exponential backoff.
+     * @param {string} path - API path relative to baseUrl (e.g. 'ruian/build/streets')
+     * @param {Object} params - Query parameters (without the API key)
+     * @param {AbortSignal} [signal] - Aborts the request when its input cycle is superseded
+     * @returns {Promise<Object|null>} Parsed JSON or null on failure (the error is passed to onError)
+     */
+    async apiRequest(path, params, signal) {
+        const query = this.cleanParams(params);
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.requestOnce(path, query, signal);
+            } catch (e) {
+                if (signal && signal.aborted) {
+                    this.log(`Aborted ${path}`, "INFO");
+                    return null;
+                }
+
+                const error = RuianError.from(e, path);
+                if (error.retryable && attempt < this.retries) {
+                    const delay = error.retryAfter !== null
+                        ? error.retryAfter * 1000
+                        : this.retryDelay * Math.pow(2, attempt) * (1 + Math.random() * 0.25);
+                    this.log(`${error.message}, retrying in ${Math.round(delay)} ms (${attempt + 1}/${this.retries})`, "WARN");
+                    await new Promise(r => setTimeout(r, delay));
+                    if (signal && signal.aborted) return null;
+                    continue;
+                }
+
+                this.handleError(error);
+                return null;
+            }
+        }
+    }
+
+    /**
+     * Single request attempt with timeout; throws on failure
+     */
+    async requestOnce(path, query, signal) {
+        // Combine the input cycle signal with the per-request timeout
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const forwardAbort = () => controller && controller.abort();
+        if (signal) signal.addEventListener('abort', forwardAbort, { once: true });
+
+        let timer = null;
+        const timeout = new Promise((resolve, reject) => {
+            if (!this.timeout) return;
+            timer = setTimeout(() => {
+                forwardAbort();
+                reject(new RuianError(RuianError.TIMEOUT, `Request timed out after ${this.timeout} ms`, { path: path }));
+            }, this.timeout);
+        });
+
+        const ownSignal = controller ? controller.signal : signal;
+        let request;
+        if (this.transport) {
+            this.log(`TRANSPORT ${path} ${JSON.stringify(query)}`, "INFO");
+            request = Promise.resolve(this.transport(path, query, { signal: ownSignal })).then(data => data || null);
+        } else {
+            request = this.fetchJson(this.buildUrl(path, query), ownSignal, path);
+        }
+        // The losing side of the race must not surface as an unhandled rejection
+        request.catch(() => { });
+
+        try {
+            return await Promise.race([request, timeout]);
+        } finally {
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', forwardAbort);
+        }
+    }
+
+    /**
+     * Built-in transport: GET request returning parsed JSON
+     * @throws {RuianError} On HTTP errors and unreadable responses
+     */
+    async fetchJson(url, signal, path) {
+        const safeUrl = this.apiKey ? url.split(encodeURIComponent(this.apiKey)).join('***') : url;
+        this.log(`GET ${safeUrl}`, "INFO");
+
+        const res = await fetch(url, signal ? { signal: signal } : undefined);
+        if (!res.ok) {
+            this.log(`HTTP Error: ${res.status} ${res.statusText}`, "ERROR");
+            const retryAfter = res.headers && res.headers.get ? parseInt(res.headers.get('Retry-After'), 10) : NaN;
+            throw RuianError.fromStatus(res.status, `HTTP ${res.status} ${res.statusText}`.trim(), {
+                path: path,
+                retryAfter: isNaN(retryAfter) ? null : retryAfter
+            });
+        }
+
+        let data;
+        try {
+            data = await res.json();
+        } catch (e) {
+            throw new RuianError(RuianError.SERVER, `Invalid JSON response: ${e.message}`, { path: path, cause: e });
+        }
+
+        // Log truncated response
+        let logMsg = JSON.stringify(data);
+        if (logMsg.length > 200) logMsg = logMsg.substring(0, 200) + "...";
+        this.log(`Response: ${logMsg}`, "INFO");
+
+        return data;
+    }
+
+    /**
+     * Reports a final (not retried) request failure
+     */
+    handleError(error) {
+        this.lastError = error;
+        this.log(`${error.type} error: ${error.message}`, "ERROR");
+        try {
+            this.onError(error);
+        } catch (e) {
+            this.log(`onError callback failed: ${e.message}`, "WARN");
+        }
+        this.emit('error', { error: error });
+    }
+
+    /**
+     * Normalizes text for comparison: lowercase, accents folded (ř→r, ů→u, ě→e), single spaces
+     */
+    normalizeText(str) {
+        return String(str || '')
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Number of typos tolerated for a (normalized) query of given length
+     */
+    maxTyposFor(query) {
+        if (query.length < 4) return 0;
+        if (query.length < 8) return 1;
+        return 2;
+    }
+
+    /**
+     * Ranks a normalized name against a normalized query
+     * @returns {{tier: number, distance: number}|null} tier 0 = exact, 1 = prefix, 2 = substring, 3 = typo match
+     */
+    rankName(name, query, maxTypos) {
+        if (name === query) return { tier: 0, distance: 0 };
+        if (name.startsWith(query)) return { tier: 1, distance: 0 };
+        if (name.includes(query)) return { tier: 2, distance: 0 };
+        if (!maxTypos) return null;
+
+        // Compare the query with prefixes of the whole name and of its single words
+        const targets = [name].concat(name.split(/[\s-]+/).filter(w => w && w !== name));
+        let best = maxTypos + 1;
+        targets.forEach(target => {
+            for (let len = query.length - maxTypos; len <= query.length + maxTypos; len++) {
+                if (len < 1 || len > target.length) continue;
+                best = Math.min(best, this.editDistance(target.substring(0, len), query, maxTypos));
+            }
+        });
+        return best <= maxTypos ? { tier: 3, distance: best } : null;
+    }
+
+    /**
+     * Bounded edit distance (Levenshtein with adjacent transpositions).
+     * Returns a value greater than max as soon as the distance exceeds it.
+     */
+    editDistance(a, b, max) {
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+
+        let prevPrev = null;
+        let prev = [];
+        for (let j = 0; j <= b.length; j++) prev[j] = j;
+
+        for (let i = 1; i <= a.length; i++) {
+            const curr = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                let d = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+                if (prevPrev && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    d = Math.min(d, prevPrev[j - 2] + 1);
+                }
+                curr[j] = d;
+                if (d < rowMin) rowMin = d;
+            }
+            if (rowMin > max) return max + 1;
+            prevPrev = prev;
+            prev = curr;
+        }
+        return prev[b.length];
+    }
+}
+
+// ZIP prefixes of post areas that serve a single city (municipality ID -> prefixes): Praha 1xx xx,
+// Brno, Ostrava and Plzeň. ZIP-first search finds these cities without a zipData directory.
+RuianClient.zipAreas = {
+    554782: ['1'],
+    582786: ['602', '603', '612', '613', '614', '615', '616', '617', '618', '619', '620', '621', '623', '624', '625',
+        '627', '628', '634', '635', '637', '638', '639', '640', '641', '642', '644'],
+    554821: ['700', '701', '702', '703', '704', '705', '706', '708', '709', '710', '711', '712', '713', '714', '715',
+        '716', '717', '718', '719', '720', '721', '722', '723', '724', '725'],
+    554791: ['301', '312', '314', '316', '317', '318', '319', '320', '321', '322', '323', '326']
+};
+
+// City districts searchable without a parts directory (municipality ID -> names).
+// Municipality parts (Smíchov, Žabovřesky...) still need partsData.
+RuianClient.cityDistricts = {
+    554782: Array.from({ length: 22 }, (v, i) => `Praha ${i + 1}`),
+    582786: [
+        'Bohunice', 'Bosonohy', 'Bystrc', 'Černovice', 'Chrlice', 'Ivanovice', 'Jehnice', 'jih', 'Jundrov',
+        'Kníničky', 'Kohoutovice', 'Komín', 'Královo Pole', 'Líšeň', 'Maloměřice a Obřany', 'Medlánky',
+        'Nový Lískovec', 'Ořešín', 'Řečkovice a Mokrá Hora', 'sever', 'Slatina', 'Starý Lískovec', 'střed',
+        'Tuřany', 'Útěchov', 'Vinohrady', 'Žabovřesky', 'Žebětín', 'Židenice'
+    ].map(name => `Brno-${name}`),
+    554821: [
+        'Hošťálkovice', 'Hrabová', 'Jih', 'Krásné Pole', 'Lhotka', 'Mariánské Hory a Hulváky', 'Martinov',
+        'Michálkovice', 'Moravská Ostrava a Přívoz', 'Nová Bělá', 'Nová Ves', 'Petřkovice', 'Plesná',
+        'Polanka nad Odrou', 'Poruba', 'Proskovice', 'Pustkovec', 'Radvanice a Bartovice', 'Slezská Ostrava',
+        'Stará Bělá', 'Svinov', 'Třebovice', 'Vítkovice'
+    ].map(name => `Ostrava-${name}`),
+    554791: [
+        'Plzeň 1', 'Plzeň 2-Slovany', 'Plzeň 3', 'Plzeň 4', 'Plzeň 5-Křimice', 'Plzeň 6-Litice',
+        'Plzeň 7-Radčice', 'Plzeň 8-Černice', 'Plzeň 9-Malesice', 'Plzeň 10-Lhota'
+    ]
+};
+
 class RuianAddressWidget {
     /**
      * @param {Object} config - Configuration object
-     * @param {HTMLElement} config.inputElement - The input field for the address
-     * @param {HTMLElement} config.suggestionElement - The container for suggestions (ul or div)
-     * @param {string} config.apiKey - Your RUIAN FNX API Key
+     * @param {HTMLElement} config.inputElement - The input field for the address (single-field mode)
+     * @param {Object} [config.inputs] - Structured multi-field mode instead of inputElement: {city, street, number, zip} inputs (city and number required)
+     * @param {HTMLElement|Object} config.suggestionElement - The container for suggestions (ul or div); in multi-field mode optionally one per field {city, street, number, zip}
+     * @param {string} [config.apiKey] - Your RUIAN FNX API Key (optional when a proxy baseUrl or transport is used)
+     * @param {string} [config.baseUrl='https://ruian.fnx.io/api/v1/'] - API root, e.g. your own backend proxy that injects the key
+     * @param {Function} [config.transport] - Custom transport (path, params, { signal }) => Promise<json>, replaces the built-in fetch
+     * @param {RuianClient} [config.client] - Existing client to use (e.g. shared by several widgets); the API and cache options are then ignored
+     * @param {Object} [config.storage] - Store of the municipality and ZIP caches (see RuianClient), defaults to localStorage
      * @param {string} config.badgesLabels - Labels for info badges {municipality:'municipality', street:'street', place:'place', complete:'complete'}
      * @param {Function} [config.onValidationChange] - Callback (isValid, ruianPlaceObject)
      * @param {Function} [config.onLog] - Callback (message, type: 'INFO'|'WARN'|'ERROR'|'SUCCESS')
      * @param {number} [config.cachePreservation=24] - Cache duration in hours
      * @param {boolean} [config.cacheReset=false] - Force cache reload on init
+     * @param {boolean} [config.fuzzySearch=true] - Tolerate typos in municipality search
+     * @param {number} [config.listCachePreservation=24] - Street/house-number list cache duration in hours
+     * @param {string|Object} [config.listCacheStore='memory'] - Where street/house-number lists are kept: 'memory' | 'localStorage' | 'indexedDB' or a store
+     * @param {Function} [config.onProgress] - Callback (loadedRegions, totalRegions) while the municipality list is being prepared
+     * @param {boolean} [config.preloadMunicipalities=false] - Start loading the municipality list on init instead of on first search
+     * @param {number} [config.preloadConcurrency=4] - Number of regions loaded in parallel
+     * @param {string|Function} [config.zipData] - ZIP directory for ZIP-first search: URL of a JSON array, or (zip) => Promise<array>,
+     *        entries {zip, municipalityId, municipalityName, municipalityPartName}
+     * @param {string|Function} [config.partsData] - Directory of municipality parts and city districts: URL of a JSON array, or (query) => Promise<array>,
+     *        entries {municipalityId, municipalityPartName, municipalityPartId, cityDistrictName, zip} (defaults to a zipData URL)
+     * @param {string|Function} [config.pointsData] - Address points for places the API returns without coordinates: (place) => Promise<{x, y}|{lat, lon}>,
+     *        a URL with an {id} placeholder, or the URL of a JSON array of {ruianId, x, y} / {ruianId, lat, lon}
+     * @param {string|Function} [config.municipalityData] - Administrative units of municipalities: URL of a JSON array, or () => Promise<array>,
+     *        entries {municipalityId, districtId (LAU 1 code, e.g. 'CZ0201'), orpId, orpName, pouId, pouName}
+     * @param {Function} [config.onError] - Callback (RuianError) when a request finally fails
+     * @param {number} [config.timeout=10000] - Per-request timeout in ms (0 = none)
+     * @param {number} [config.retries=2] - Retries of transient failures (rate limit, server, network, timeout)
+     * @param {number} [config.retryDelay=500] - Initial backoff delay in ms, doubled on every retry
+     * @param {boolean} [config.showErrors=false] - Show a message in the suggestion box when lookups fail
+     * @param {Object} [config.errorMessages] - Messages per error type {auth, 'rate-limit', server, network, timeout, request}
+     * @param {boolean} [config.validationDiagnostics=true] - Explain invalid addresses (extra lookups) in the callback
+     * @param {Object} [config.diagnosticMessages] - Message templates per diagnostics reason, placeholders in {braces}
+     * @param {HTMLFormElement} [config.form] - Form to integrate with (defaults to the input's form)
+     * @param {boolean|string[]|Object} [config.hiddenFields] - Write RUIANplace values into hidden inputs of the form:
+     *        true (all values, named like the keys), an array of keys, or a map {ruianPlaceKey: inputName}
+     * @param {boolean} [config.nativeValidation=false] - Use setCustomValidity and block submission of unvalidated addresses
+     * @param {boolean} [config.required] - Require an address (defaults to the input's required attribute)
+     * @param {boolean} [config.allowUnvalidated=false] - Accept addresses that did not validate (native validation only checks required)
+     * @param {Object} [config.validityMessages] - Browser validation messages {required, invalid}
+     * @param {number|string} [config.initialRuianId] - RUIAN ID of an address place to load on init (see loadByRuianId)
+     * @param {Function} [config.renderItem] - Custom suggestion content (item, query) => Node | HTML string (escape values with RuianAddressWidget.escapeHtml)
+     * @param {boolean} [config.highlightMatches=true] - Highlight the typed text in suggestion labels
+     * @param {Object} [config.classNames] - CSS classes of the suggestion list {item, active, complete, label, badge, badgeTypes: {municipality, street, place, complete, default}, highlight, message}
+     * @param {Object} [config.a11yMessages] - Screen reader announcements {suggestions, valid, invalid}, placeholders in {braces}
+     * @param {string|Function} [config.outputFormat='single-line'] - Text written into the input for a chosen address:
+     *        'single-line' | 'envelope' (for a textarea) | 'vcard', or (RUIANplace) => string
      */
     constructor(config) {
         this.inputElement = config.inputElement;
         this.suggestionBox = config.suggestionElement;
-        this.apiKey = config.apiKey;
+
+        // Structured multi-field mode: inputElement/suggestionBox follow the active field
+        this.fields = null;
+        this.suggestionBoxes = null;
+        this.activeField = null;
+        if (config.inputs) {
+            this.fields = {};
+            ['city', 'street', 'number', 'zip'].forEach(field => {
+                if (config.inputs[field]) this.fields[field] = config.inputs[field];
+            });
+            if (!this.fields.city || !this.fields.number) {
+                throw new Error("RuianAddressWidget: inputs.city and inputs.number are required");
+            }
+            const boxes = config.suggestionElement;
+            if (boxes && typeof boxes.appendChild !== 'function') {
+                this.suggestionBoxes = boxes;
+            }
+            this.setActiveField('city');
+        }
         this.onValidationChange = config.onValidationChange || function () { };
         this.onLog = config.onLog || console.log;
-        if  (typeof config.badgesLabels === 'object' && config.badgesLabels !== null) {
-            this.badgesLabels = config.badgesLabels;
+        this.onError = config.onError || function () { };
+
+        // API access, caches and search live in the headless client (shareable between widgets)
+        this.client = config.client || new RuianClient(Object.assign({}, config, {
+            onLog: (msg, type) => this.log(msg, type),
+            onError: null
+        }));
+        this.clientHandlers = {
+            'error': (detail) => this.handleError(detail.error),
+            'cache-loaded': (detail) => this.emit('cache-loaded', detail)
+        };
+        Object.keys(this.clientHandlers).forEach(name => this.client.on(name, this.clientHandlers[name]));
+
+        // Request error handling
+        this.showErrors = config.showErrors || false;
+        this.errorMessages = Object.assign({
+            'auth': 'Address lookup is unavailable: the API key was rejected.',
+            'rate-limit': 'Address lookup is temporarily unavailable: request limit reached.',
+            'server': 'The address service is temporarily unavailable.',
+            'network': 'Address lookup is unavailable: check your internet connection.',
+            'timeout': 'The address service is not responding.',
+            'request': 'Address lookup failed.'
+        }, config.errorMessages || {});
+        this.lastError = null;
+
+        // Native form integration
+        const firstInput = this.getInputs()[0];
+        this.form = config.form || (firstInput && firstInput.form) || null;
+        this.hiddenInputs = new Map(); // input name -> hidden input written by the widget (null = name taken)
+        this.hiddenFields = this.normalizeHiddenFields(config.hiddenFields);
+        this.nativeValidation = config.nativeValidation || false;
+        this.required = config.required !== undefined ? !!config.required : !!(firstInput && firstInput.required);
+        this.allowUnvalidated = config.allowUnvalidated || false;
+        this.validityMessages = Object.assign({
+            required: 'Please enter an address.',
+            invalid: 'Please select a valid address from the suggestions.'
+        }, config.validityMessages || {});
+        this.validPlace = null;
+        this.initialRuianId = config.initialRuianId || null;
+
+        // Accessibility: announcements of the polite live region
+        this.a11yMessages = Object.assign({
+            suggestions: '{count} suggestions available, use the up and down arrows to choose.',
+            valid: 'Valid address: {address}',
+            invalid: 'The address is not valid. {message}'
+        }, config.a11yMessages || {});
+        this.idPrefix = `ruian-widget-${++RuianAddressWidget.instanceCount}`;
+        this.liveRegion = null;
+        this.announceTimer = null;
+
+        // Validation diagnostics
+        this.validationDiagnostics = config.validationDiagnostics !== undefined ? !!config.validationDiagnostics : true;
+
+        // Text written into the input for a chosen address (see formatAddress)
+        this.outputFormat = config.outputFormat || 'single-line';
+        if (typeof this.outputFormat !== 'function' && !['single-line', 'envelope', 'vcard'].includes(this.outputFormat)) {
+            this.log(`outputFormat "${this.outputFormat}" is not text, using 'single-line'`, "WARN");
+            this.outputFormat = 'single-line';
         }
-        else {
-            this.badgesLabels ={municipality:'municipality', street:'street', place:'place', complete:'complete'}
+        this.writeBackPending = false; // Set by choosing a house number, consumed by the next validation
+
+        // Suggestion rendering (Bootstrap classes by default)
+        this.renderItem = typeof config.renderItem === 'function' ? config.renderItem : null;
+        this.highlightMatches = config.highlightMatches !== undefined ? !!config.highlightMatches : true;
+        const classNames = config.classNames || {};
+        this.classNames = Object.assign({
+            item: 'list-group-item list-group-item-action suggestion-item d-flex align-items-center justify-content-between',
+            active: 'active',
+            complete: 'suggestion-complete',
+            label: '',
+            badge: 'badge badge-type',
+            highlight: 'suggestion-match',
+            message: 'list-group-item suggestion-message text-danger'
+        }, classNames);
+        this.classNames.badgeTypes = Object.assign({
+            municipality: 'bg-primary',
+            part: 'bg-dark',
+            street: 'bg-warning text-dark',
+            place: 'bg-info text-dark',
+            complete: 'bg-success',
+            default: 'bg-secondary'
+        }, classNames.badgeTypes || {});
+        this.badgesLabels = {municipality:'municipality', part:'part', street:'street', place:'place', complete:'complete'};
+        if  (typeof config.badgesLabels === 'object' && config.badgesLabels !== null) {
+            this.badgesLabels = Object.assign(this.badgesLabels, config.badgesLabels);
         }
 
-        // Cache configuration
-        this.cachePreservation = config.cachePreservation !== undefined ? config.cachePreservation : 24;
-        this.cacheReset = config.cacheReset || false;
+        this.preloadMunicipalities = config.preloadMunicipalities || false;
 
         // Internal State
         this.state = {
             municipalityId: null,
             municipalityName: null,
+            municipalityPartName: null, // Chosen part or city district narrows street and place search
+            cityDistrictName: null,
+            partZips: null, // ZIPs of the chosen part; narrow house numbers, whose API items carry no part
             zip: null,
             streetName: null
         };
 
-        // Municipality cache
-        this.allMunicipalities = null;
-        this.municipalitiesLoading = false;
-        this.zipCache = {};
-
         this.debounceTimer = null;
+        this.listeners = []; // Registered DOM listeners, removed by destroy()
+        this.eventHandlers = {}; // on()/off() subscriptions by event name
+        this.disabled = false;
+        this.destroyed = false;
+        this.lastValidation = null;
+        // Input cycle tracking: results of superseded cycles are discarded
+        this.inputGeneration = 0;
+        this.abortController = null;
         this.suggestionsData = [];
         this.activeIndex = -1;
 
-        // Handle cache reset
-        if (this.cacheReset) {
-            localStorage.removeItem('ruian_municipalities_cache');
-            this.log("Cache reset on init", "INFO");
-        }
-
         this.init();
     }
 
@@ -74,7 +3047,197 @@ class RuianAddressWidget {
      * @param {string} key 
      */
     setApiKey(key) {
-        this.apiKey = key;
+        this.client.setApiKey(key);
+    }
+
+    /**
+     * Validates an address through the same pipeline as typing
+     * @param {string|Object} [address] - Text to validate (written into the input); in multi-field mode also
+     *        field values {city, street, number, zip}. Omit to validate the current value.
+     * @param {Object} [options] - { showSuggestions: false }
+     * @returns {Promise<Object|null>} { valid, place, diagnostics } (valid is null for an empty address;
+     *          an incomplete one is invalid, e.g. diagnostics.reason 'missing-number'), null if the widget is destroyed
+     */
+    async validate(address, options) {
+        options = options || {};
+        if (this.destroyed) return null;
+        clearTimeout(this.debounceTimer);
+
+        if (address !== undefined) {
+            // A new address, the previous context does not apply
+            this.resetState();
+            if (this.fields) {
+                this.writeFieldValues(typeof address === 'string' ? this.textToFieldValues(address) : address);
+            } else {
+                this.inputElement.value = address;
+            }
+        }
+
+        if (this.fields) {
+            await this.handleFieldInput('number', this.fields.number.value);
+        } else {
+            await this.handleInput(this.inputElement.value);
+        }
+
+        // Typing leaves an incomplete address (no house number, no city field) undecided,
+        // an explicit validation of a non-empty address does not
+        const undecided = !this.lastValidation || this.lastValidation.valid === null;
+        if (undecided && !this.destroyed && this.getInputText().trim()) {
+            const generation = this.cancelPending();
+            const validateOptions = {
+                context: this.state,
+                signal: this.abortController ? this.abortController.signal : undefined,
+                diagnostics: this.validationDiagnostics
+            };
+            const result = this.fields
+                ? await this.client.validateParams(this.client.fieldsToValidateParams(this.getFieldValues(), this.state), validateOptions)
+                : await this.client.validate(this.inputElement.value, validateOptions);
+            if (this.destroyed) return null;
+            if (this.isStale(generation)) return this.lastValidation;
+            if (result.valid) this.triggerCallback(this.mapToRuianPlace(result.place));
+            else this.triggerCallback(false, result.diagnostics);
+        }
+
+        if (!options.showSuggestions) this.closeSuggestions();
+        return this.lastValidation;
+    }
+
+    /**
+     * Pre-fills the widget
+     * @param {string|Object} address - Text (validated like typing, see validate()) or a RUIANplace object
+     *        from a previous callback (trusted, no API call)
+     * @returns {Promise<Object|null>} { valid, place, diagnostics }
+     */
+    async setAddress(address, options) {
+        const isPlace = address && typeof address === 'object' && (address.municipalityId || address.ruianId || address.id);
+        if (!isPlace) {
+            return this.validate(address || '', options);
+        }
+        if (this.destroyed) return null;
+
+        clearTimeout(this.debounceTimer);
+        this.cancelPending();
+        if (this.fields) {
+            this.fillFields(address);
+        } else {
+            this.inputElement.value = this.formatOutput(address);
+            this.setMunicipalityContext(address);
+            this.state.streetName = address.streetName || null;
+        }
+        this.closeSuggestions();
+        this.triggerCallback(this.mapToRuianPlace(address));
+        return this.lastValidation;
+    }
+
+    /**
+     * Rebuilds the widget from a stored RUIAN ID (RUIANplace.ruianId): fetches the address place,
+     * fills the context, writes the postal label into the input and marks it valid
+     * @param {number|string} id - RUIAN ID of the address place
+     * @returns {Promise<Object|null>} { valid, place, diagnostics }, or null if the place was not found
+     */
+    async loadByRuianId(id) {
+        if (this.destroyed || !id) return null;
+        if (!this.client.canQuery()) {
+            this.log("Missing API Key!", "ERROR");
+            return null;
+        }
+
+        clearTimeout(this.debounceTimer);
+        const generation = this.cancelPending();
+        const signal = this.abortController ? this.abortController.signal : undefined;
+
+        const data = await this.client.apiRequest('ruian/validate', { placeId: id }, signal);
+        if (this.isStale(generation)) return null;
+
+        const raw = data && (data.place || (Array.isArray(data.data) ? data.data[0] : null));
+        if (!raw || String(raw.id || raw.placeId) !== String(id)) {
+            this.log(`RUIAN ID ${id} not found`, "WARN");
+            return null;
+        }
+
+        this.log(`Loaded RUIAN ID ${id}`, "SUCCESS");
+        const place = await this.client.withCoordinates(this.client.normalizePlace(raw));
+        await this.client.ensureAdministrativeData();
+        if (this.isStale(generation)) return null;
+        return this.setAddress(place);
+    }
+
+    /**
+     * Returns a snapshot of the widget state
+     */
+    getState() {
+        return {
+            value: this.getInputText(),
+            fields: this.fields ? this.getFieldValues() : null,
+            context: Object.assign({}, this.state),
+            valid: this.lastValidation ? this.lastValidation.valid : null,
+            place: this.validPlace,
+            diagnostics: this.lastValidation ? this.lastValidation.diagnostics : null,
+            disabled: this.disabled
+        };
+    }
+
+    /**
+     * Returns the validated RUIANplace or null
+     */
+    getSelectedPlace() {
+        return this.validPlace;
+    }
+
+    /**
+     * Exports the validated place as a GeoJSON Feature (see formatAddress)
+     * @returns {Object|null} Feature with a WGS84 Point (null geometry without coordinates), or null if no address is validated
+     */
+    toGeoJSON() {
+        return this.validPlace ? formatAddress(this.validPlace, 'geojson') : null;
+    }
+
+    /**
+     * Clears the input(s), the context and the validation result
+     */
+    clear() {
+        clearTimeout(this.debounceTimer);
+        this.cancelPending();
+        this.getInputs().forEach(i => { i.value = ''; });
+        this.resetState();
+        this.closeSuggestions();
+        this.triggerCallback(null);
+    }
+
+    /**
+     * Enables the input(s)
+     */
+    enable() {
+        this.disabled = false;
+        this.getInputs().forEach(i => { i.disabled = false; });
+    }
+
+    /**
+     * Disables the input(s) and stops pending lookups
+     */
+    disable() {
+        this.disabled = true;
+        clearTimeout(this.debounceTimer);
+        this.cancelPending();
+        this.closeSuggestions();
+        this.getInputs().forEach(i => { i.disabled = true; });
+    }
+
+    /**
+     * Detaches every listener and timer; the widget cannot be used afterwards
+     */
+    destroy() {
+        clearTimeout(this.debounceTimer);
+        this.cancelPending();
+        this.closeSuggestions();
+        this.listeners.forEach(l => l.target.removeEventListener(l.type, l.handler));
+        this.listeners = [];
+        Object.keys(this.clientHandlers).forEach(name => this.client.off(name, this.clientHandlers[name]));
+        clearTimeout(this.announceTimer);
+        if (this.liveRegion && this.liveRegion.parentNode) this.liveRegion.parentNode.removeChild(this.liveRegion);
+        this.liveRegion = null;
+        this.destroyed = true;
+        this.log("Widget destroyed", "INFO");
     }
 
     /**
@@ -83,11 +3246,56 @@ class RuianAddressWidget {
     init() {
         this.log("Initializing RUIAN Widget v1.1...", "INFO");
 
+        if (this.fields) {
+            this.initFields();
+        } else {
+            this.initSingleInput();
+        }
+        this.initAccessibility();
+
+        // Close suggestions on outside click
+        this.listen(document, 'click', (e) => {
+            // The composed path also reaches into a shadow root (see <ruian-address>)
+            const path = typeof e.composedPath === 'function' ? e.composedPath() : [e.target];
+            const inside = path.some(node => this.getInputs().includes(node)) ||
+                this.getSuggestionBoxes().some(box => path.includes(box) || box.contains(e.target));
+            if (!inside) {
+                this.closeSuggestions();
+            }
+        });
+
+        // Block submission of unvalidated addresses (also for forms with novalidate)
+        if (this.nativeValidation && this.form) {
+            this.listen(this.form, 'submit', (e) => {
+                if (this.getValidityMessage()) {
+                    e.preventDefault();
+                    if (this.inputElement.reportValidity) this.inputElement.reportValidity();
+                }
+            });
+        }
+        this.updateForm(null);
+
+        if (this.preloadMunicipalities && this.client.canQuery()) {
+            this.client.loadAllMunicipalities();
+        }
+
+        if (this.initialRuianId) {
+            this.loadByRuianId(this.initialRuianId);
+        }
+    }
+
+    /**
+     * Listeners of the single comma-separated input
+     */
+    initSingleInput() {
         // Input event with debounce
-        this.inputElement.addEventListener('input', (e) => {
+        this.listen(this.inputElement, 'input', (e) => {
             clearTimeout(this.debounceTimer);
+            // Results still in flight belong to the previous text
+            this.cancelPending();
             // Reset visual validity state on typing
             this.inputElement.classList.remove('is-valid', 'is-invalid');
+            this.updateForm(null);
 
             this.debounceTimer = setTimeout(() => {
                 this.handleInput(e.target.value);
@@ -95,218 +3303,277 @@ class RuianAddressWidget {
         });
 
         // Keyboard navigation
-        this.inputElement.addEventListener('keydown', (e) => this.handleKeydown(e));
-
-        // Close suggestions on outside click
-        document.addEventListener('click', (e) => {
-            if (e.target !== this.inputElement && !this.suggestionBox.contains(e.target)) {
-                this.closeSuggestions();
-            }
-        });
+        this.listen(this.inputElement, 'keydown', (e) => this.handleKeydown(e));
     }
 
     /**
-     * Format ZIP code to postal format (xxx xx)
+     * Listeners of the structured fields (multi-field mode)
      */
-    formatZip(zip) {
-        if (!zip) return "";
-        const s = String(zip).replace(/\s/g, '');
-        if (s.length === 5) {
-            return `${s.substring(0, 3)} ${s.substring(3)}`;
-        }
-        return s;
+    initFields() {
+        Object.keys(this.fields).forEach(field => {
+            const input = this.fields[field];
+
+            this.listen(input, 'focus', () => this.setActiveField(field));
+
+            this.listen(input, 'input', (e) => {
+                clearTimeout(this.debounceTimer);
+                this.cancelPending();
+                this.setActiveField(field);
+                this.getInputs().forEach(i => i.classList.remove('is-valid', 'is-invalid'));
+                this.updateForm(null);
+
+                this.debounceTimer = setTimeout(() => {
+                    this.handleFieldInput(field, e.target.value);
+                }, 400);
+            });
+
+            this.listen(input, 'keydown', (e) => {
+                this.setActiveField(field);
+                this.handleKeydown(e);
+            });
+        });
     }
 
     /**
-     * Load municipalities from localStorage cache
+     * WAI-ARIA combobox pattern: the inputs own the suggestion listboxes,
+     * results are announced through a visually hidden live region
      */
-    loadMunicipalitiesFromCache() {
-        try {
-            const cached = localStorage.getItem('ruian_municipalities_cache');
-            if (!cached) return null;
+    initAccessibility() {
+        const boxes = this.getSuggestionBoxes();
+        boxes.forEach((box, i) => {
+            if (!box.id) box.id = `${this.idPrefix}-listbox-${i}`;
+            box.setAttribute('role', 'listbox');
+        });
 
-            const data = JSON.parse(cached);
-            const ageHours = (Date.now() - data.timestamp) / (1000 * 60 * 60);
+        const fields = this.fields ? Object.keys(this.fields) : [null];
+        fields.forEach(field => {
+            const input = field ? this.fields[field] : this.inputElement;
+            const box = field && this.suggestionBoxes ? this.suggestionBoxes[field] : this.suggestionBox;
+            input.setAttribute('role', 'combobox');
+            input.setAttribute('aria-autocomplete', 'list');
+            input.setAttribute('aria-expanded', 'false');
+            // The browser's own autofill popup would cover the suggestions
+            if (!input.hasAttribute('autocomplete')) input.setAttribute('autocomplete', 'off');
+            if (box) input.setAttribute('aria-controls', box.id);
+        });
 
-            if (ageHours > this.cachePreservation) {
-                this.log(`Cache expired (${ageHours.toFixed(1)}h > ${this.cachePreservation}h)`, "INFO");
-                return null;
-            }
+        const region = document.createElement('div');
+        region.id = `${this.idPrefix}-status`;
+        region.className = 'ruian-live-region';
+        region.setAttribute('role', 'status');
+        region.setAttribute('aria-live', 'polite');
+        region.setAttribute('aria-atomic', 'true');
+        region.style.cssText = 'position:absolute;width:1px;height:1px;margin:-1px;padding:0;overflow:hidden;clip:rect(0,0,0,0);white-space:nowrap;border:0;';
+        const first = this.getInputs()[0];
+        (first.parentNode || document.body).appendChild(region);
+        this.liveRegion = region;
+    }
 
-            this.log(`Loaded ${data.municipalities.length} municipalities from cache (${ageHours.toFixed(1)}h old)`, "SUCCESS");
-            return data.municipalities;
-        } catch (e) {
-            return null;
-        }
+    /**
+     * Reads a message to screen reader users through the live region
+     */
+    announce(text) {
+        if (!this.liveRegion || !text) return;
+        clearTimeout(this.announceTimer);
+        // Empty the region first, so that a repeated message is read again
+        this.liveRegion.textContent = '';
+        this.announceTimer = setTimeout(() => {
+            if (this.liveRegion) this.liveRegion.textContent = text.trim();
+        }, 100);
+    }
+
+    /**
+     * Keeps aria-expanded and aria-activedescendant of the inputs in sync with the suggestion list
+     */
+    updateComboboxState(open) {
+        const option = open && this.suggestionBox && this.activeIndex > -1
+            ? this.suggestionBox.children[this.activeIndex]
+            : null;
+        this.getInputs().forEach(input => {
+            const active = open && input === this.inputElement;
+            input.setAttribute('aria-expanded', active ? 'true' : 'false');
+            if (active && option && option.id) {
+                input.setAttribute('aria-activedescendant', option.id);
+            } else {
+                input.removeAttribute('aria-activedescendant');
+            }
+        });
     }
 
     /**
-     * Save municipalities to localStorage cache
+     * Adds a DOM listener that is removed again by destroy()
      */
-    saveMunicipalitiesToCache(municipalities) {
-        try {
-            const data = {
-                timestamp: Date.now(),
-                municipalities: municipalities
-            };
-            localStorage.setItem('ruian_municipalities_cache', JSON.stringify(data));
-            this.log(`Saved ${municipalities.length} municipalities to cache`, "SUCCESS");
-        } catch (e) {
-            this.log(`Failed to cache municipalities: ${e.message}`, "WARN");
-        }
+    listen(target, type, handler) {
+        target.addEventListener(type, handler);
+        this.listeners.push({ target: target, type: type, handler: handler });
     }
 
     /**
-     * Load all municipalities from API (with caching)
+     * Multi-field mode: makes the field the target of suggestions and keyboard navigation
      */
-    async loadAllMunicipalities() {
-        if (this.allMunicipalities) {
-            return this.allMunicipalities;
-        }
-
-        // Check cache first
-        const cached = this.loadMunicipalitiesFromCache();
-        if (cached) {
-            this.allMunicipalities = cached;
-            return cached;
-        }
+    setActiveField(field) {
+        if (this.activeField === field) return;
+        if (this.activeField && this.suggestionBoxes) this.closeSuggestions();
+        this.activeField = field;
+        this.inputElement = this.fields[field];
+        if (this.suggestionBoxes) this.suggestionBox = this.suggestionBoxes[field] || null;
+    }
 
-        // Prevent parallel loading
-        if (this.municipalitiesLoading) {
-            while (this.municipalitiesLoading) {
-                await new Promise(r => setTimeout(r, 100));
-            }
-            return this.allMunicipalities || [];
-        }
+    /**
+     * All inputs driven by the widget
+     */
+    getInputs() {
+        return this.fields ? Object.keys(this.fields).map(f => this.fields[f]) : [this.inputElement];
+    }
 
-        this.municipalitiesLoading = true;
-        this.log("Loading all municipalities from API...", "INFO");
+    /**
+     * All suggestion containers of the widget
+     */
+    getSuggestionBoxes() {
+        const boxes = this.suggestionBoxes
+            ? Object.keys(this.suggestionBoxes).map(f => this.suggestionBoxes[f])
+            : [this.suggestionBox];
+        return boxes.filter(Boolean);
+    }
 
-        try {
-            const regions = ['CZ010', 'CZ020', 'CZ031', 'CZ032', 'CZ041', 'CZ042', 'CZ051', 'CZ052', 'CZ053', 'CZ063', 'CZ064', 'CZ071', 'CZ072', 'CZ080'];
-            const allMunicipalities = [];
-
-            for (const regionId of regions) {
-                const url = `https://ruian.fnx.io/api/v1/ruian/build/municipalities?apiKey=${this.apiKey}&regionId=${regionId}`;
-                const data = await this.fetchJson(url);
-                if (data && data.data) {
-                    data.data.forEach(m => {
-                        allMunicipalities.push({
-                            municipalityId: m.municipalityId,
-                            municipalityName: m.municipalityName,
-                            regionId: regionId,
-                            regionName: this.getRegionName(regionId)
-                        });
-                    });
-                }
-            }
+    /**
+     * Normalizes the hiddenFields option to a map {ruianPlaceKey: inputName}
+     */
+    normalizeHiddenFields(option) {
+        if (!option) return null;
+        // With `true` the page did not choose the names, so only inputs the widget creates are written
+        this.hiddenFieldsExplicit = option !== true;
+        const keys = ['ruianId', 'municipalityId', 'municipalityName', 'municipalityPartId', 'municipalityPartName',
+            'cityDistrictName', 'streetName', 'cp', 'co', 'coLetter', 'ce', 'zip', 'regionId', 'regionName', 'districtId', 'districtName', 'orpId', 'orpName', 'pouId', 'pouName', 'lat', 'lon'];
+        if (option === true) option = keys;
+        if (Array.isArray(option)) {
+            const map = {};
+            option.forEach(key => { map[key] = key; });
+            return map;
+        }
+        return option;
+    }
 
-            this.allMunicipalities = allMunicipalities;
-            this.log(`Loaded ${allMunicipalities.length} municipalities`, "SUCCESS");
+    /**
+     * Native form integration: stores the validated place, writes the hidden fields
+     * and updates the constraint validation of the inputs
+     * @param {Object|null} place - Valid RUIANplace, or null while the address is not validated
+     */
+    updateForm(place) {
+        this.validPlace = place || null;
+        this.writeHiddenFields(this.validPlace);
 
-            // Save to localStorage cache
-            this.saveMunicipalitiesToCache(allMunicipalities);
-        } catch (e) {
-            this.log(`Error loading municipalities: ${e.message}`, "ERROR");
-        }
+        if (!this.nativeValidation) return;
+        const message = this.getValidityMessage();
+        this.getInputs().forEach(i => {
+            if (i.setCustomValidity) i.setCustomValidity(message);
+        });
+    }
 
-        this.municipalitiesLoading = false;
-        return this.allMunicipalities || [];
+    /**
+     * Returns the browser validation message for the current state ('' = may be submitted)
+     */
+    getValidityMessage() {
+        if (!this.getInputText().trim()) return this.required ? this.validityMessages.required : '';
+        if (this.validPlace || this.allowUnvalidated) return '';
+        return this.validityMessages.invalid;
     }
 
     /**
-     * Get region name from region ID
+     * Writes the place values into hidden inputs of the form (created when missing), or clears them
      */
-    getRegionName(regionId) {
-        const regions = {
-            'CZ010': 'Hlavní město Praha',
-            'CZ020': 'Středočeský kraj',
-            'CZ031': 'Jihočeský kraj',
-            'CZ032': 'Plzeňský kraj',
-            'CZ041': 'Karlovarský kraj',
-            'CZ042': 'Ústecký kraj',
-            'CZ051': 'Liberecký kraj',
-            'CZ052': 'Královéhradecký kraj',
-            'CZ053': 'Pardubický kraj',
-            'CZ063': 'Kraj Vysočina',
-            'CZ064': 'Jihomoravský kraj',
-            'CZ071': 'Olomoucký kraj',
-            'CZ072': 'Zlínský kraj',
-            'CZ080': 'Moravskoslezský kraj'
-        };
-        return regions[regionId] || regionId;
+    writeHiddenFields(place) {
+        if (!this.hiddenFields || !this.form) return;
+        Object.keys(this.hiddenFields).forEach(key => {
+            const input = this.getHiddenInput(this.hiddenFields[key]);
+            if (!input) return;
+            // lat, lon, x and y come from the address point
+            const source = place && ['lat', 'lon', 'x', 'y'].includes(key) ? place.coordinates : place;
+            const value = source ? source[key] : null;
+            input.value = value === null || value === undefined ? '' : value;
+        });
     }
 
     /**
-     * Fetch ZIP code for a municipality (cached) with robust fallback
-     * 1. /validate?cp=1 - works if house #1 exists
-     * 2. /places?streetName=- - works for villages without streets
-     * 3. /streets → /places - works for municipalities with streets
+     * Resolves the hidden input of a hiddenFields name: one the widget created or, for names the page chose,
+     * an existing input[type=hidden]. Visible controls and the widget's own inputs are never written.
+     * @returns {HTMLInputElement|null}
      */
-    async fetchMunicipalityZip(municipalityId) {
-        if (this.zipCache[municipalityId]) {
-            return this.zipCache[municipalityId];
-        }
+    getHiddenInput(name) {
+        if (this.hiddenInputs.has(name)) return this.hiddenInputs.get(name);
 
-        let zip = null;
+        const found = this.form.elements ? this.form.elements.namedItem(name) : null;
+        // namedItem returns a RadioNodeList when several controls share the name
+        const controls = !found ? [] : found.tagName ? [found] : Array.from(found);
+        const own = this.getInputs();
+        const hidden = controls.find(c => String(c.tagName).toUpperCase() === 'INPUT' && c.type === 'hidden' && !own.includes(c));
 
-        // Try #1: /validate with cp=1 (fastest)
-        try {
-            const url = `https://ruian.fnx.io/api/v1/ruian/validate?apiKey=${this.apiKey}&municipalityId=${municipalityId}&cp=1`;
-            const data = await this.fetchJson(url);
-            if (data && data.place) {
-                zip = data.place.zip || data.place.placeZip;
-            }
-        } catch (e) {
-            // Ignore, try fallback
+        let input = null;
+        if (!controls.length) {
+            input = document.createElement('input');
+            input.type = 'hidden';
+            input.name = name;
+            this.form.appendChild(input);
+        } else if (hidden && this.hiddenFieldsExplicit) {
+            input = hidden;
+        } else {
+            this.log(`hiddenFields: the form already has a "${name}" field, its value is left alone`, "WARN");
         }
+        this.hiddenInputs.set(name, input);
+        return input;
+    }
 
-        // Try #2: /places with streetName=- (for villages without streets)
-        if (!zip) {
-            try {
-                const url = `https://ruian.fnx.io/api/v1/ruian/build/places?apiKey=${this.apiKey}&municipalityId=${municipalityId}&streetName=-&limit=1`;
-                const data = await this.fetchJson(url);
-                if (data && data.data && data.data.length > 0) {
-                    zip = data.data[0].placeZip || data.data[0].zip;
-                } else if (data && data.length > 0) {
-                    zip = data[0].placeZip || data[0].zip;
-                }
-            } catch (e) {
-                // Ignore, try fallback
-            }
-        }
+    /**
+     * Text the user entered; in multi-field mode the fields joined as "Street Number, ZIP City"
+     */
+    getInputText() {
+        if (!this.fields) return this.inputElement.value;
+        const v = this.getFieldValues();
+        return [
+            [v.street, v.number].filter(Boolean).join(' '),
+            [v.zip, v.city].filter(Boolean).join(' ')
+        ].filter(Boolean).join(', ');
+    }
 
-        // Try #3: Get first street, then get place from that street (for municipalities with streets)
-        if (!zip) {
-            try {
-                const streetsUrl = `https://ruian.fnx.io/api/v1/ruian/build/streets?apiKey=${this.apiKey}&municipalityId=${municipalityId}&limit=1`;
-                const streetsData = await this.fetchJson(streetsUrl);
-                const streets = streetsData && streetsData.data ? streetsData.data : streetsData;
-                if (streets && streets.length > 0) {
-                    const streetName = streets[0].streetName;
-                    const placesUrl = `https://ruian.fnx.io/api/v1/ruian/build/places?apiKey=${this.apiKey}&municipalityId=${municipalityId}&streetName=${encodeURIComponent(streetName)}&limit=1`;
-                    const placesData = await this.fetchJson(placesUrl);
-                    const places = placesData && placesData.data ? placesData.data : placesData;
-                    if (places && places.length > 0) {
-                        zip = places[0].placeZip || places[0].zip;
-                    }
-                }
-            } catch (e) {
-                this.log(`Error fetching ZIP for ${municipalityId}: ${e.message}`, "ERROR");
-            }
-        }
+    /**
+     * Multi-field mode: current (trimmed) values of the fields
+     */
+    getFieldValues() {
+        const values = {};
+        ['city', 'street', 'number', 'zip'].forEach(field => {
+            values[field] = this.fields[field] ? this.fields[field].value.trim() : '';
+        });
+        return values;
+    }
 
-        if (zip) {
-            this.zipCache[municipalityId] = zip;
-            return zip;
-        }
-        return null;
+    /**
+     * Invalidates the running input cycle and aborts its pending requests
+     * @returns {number} The new generation token
+     */
+    cancelPending() {
+        if (this.abortController) this.abortController.abort();
+        this.abortController = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        return ++this.inputGeneration;
+    }
+
+    /**
+     * Returns true if the given input cycle has been superseded by a newer one
+     */
+    isStale(generation) {
+        return generation !== this.inputGeneration;
     }
 
     /**
      * Main logic handler for input changes
      */
     async handleInput(value) {
+        const generation = this.cancelPending();
+        const signal = this.abortController ? this.abortController.signal : undefined;
+        this.lastError = null;
+        this.lastValidation = null;
+        const writeBack = this.writeBackPending;
+        this.writeBackPending = false;
+
         // If input is empty, clear everything
         if (!value || value.trim().length < 1) {
             this.closeSuggestions();
@@ -320,50 +3587,59 @@ class RuianAddressWidget {
 
         // Reset state if user changes the municipality name at the beginning
         if (currentPartIndex === 0 && this.state.municipalityName) {
-            const cleanVal = value.toLowerCase();
-            const cleanState = this.state.municipalityName.toLowerCase();
-            if (!cleanVal.startsWith(cleanState.substring(0, Math.min(cleanVal.length, cleanState.length)))) {
+            const cleanVal = this.client.normalizeText(value);
+            // The first part may show the municipality, its part or city district
+            const names = [this.state.municipalityName, this.state.municipalityPartName, this.state.cityDistrictName]
+                .filter(Boolean)
+                .map(name => this.client.normalizeText(name));
+            if (!names.some(cleanState => cleanVal.startsWith(cleanState.substring(0, Math.min(cleanVal.length, cleanState.length))))) {
                 this.log("Resetting context (Municipality name changed)", "WARN");
                 this.resetState();
             }
         }
 
         // Auto-detect context logic (from RP_RUIAN_demo)
-        await this.tryAutoSelectContext(parts);
+        await this.tryAutoSelectContext(parts, generation, signal);
+        if (this.isStale(generation)) return;
 
         let suggestions = [];
 
         // 1. Full Address Validation Check
-        // If length > 5 and contains numbers, likely a full address
-        if (value.length > 5 && /\d/.test(value)) {
-            const validationResult = await this.apiValidate(value);
-
-            if (validationResult && validationResult.status === 'MATCH') {
-                this.log("Address is VALID (MATCH)", "SUCCESS");
+        // If length > 5 and contains a house number, likely a full address
+        const parsedInput = parseAddress(value);
+        if (value.length > 5 && (parsedInput.cp || parsedInput.co || parsedInput.ce)) {
+            const validation = await this.client.validate(value, {
+                context: this.state,
+                signal: signal,
+                diagnostics: this.validationDiagnostics
+            });
+            if (this.isStale(generation)) return;
 
-                const p = validationResult.place;
+            if (validation.valid) {
+                const p = validation.place;
+                // A chosen house number is written back in the output format
+                if (writeBack) this.inputElement.value = this.formatOutput(p);
                 const formattedPlace = this.mapToRuianPlace(p);
                 this.triggerCallback(formattedPlace); // Success callback
-
-                // Generate formatted strings for comparison
-                const streetPart = p.streetName || p.municipalityPartName || p.municipalityName;
-                let numberPart = p.cp || "";
-                if (p.co) numberPart += "/" + p.co;
-                if (p.ce) numberPart = "ev." + p.ce;
+                if (writeBack) {
+                    this.closeSuggestions();
+                    return;
+                }
 
                 // Preferred Format: "Street Number, ZIP City"
-                const postalLabel = `${streetPart} ${numberPart}, ${this.formatZip(p.zip)} ${p.municipalityName}`;
+                const postalLabel = validation.label;
+                const output = this.formatOutput(p);
 
                 // Normalize for comparison
                 const normalize = (s) => s.replace(/\s+/g, ' ').trim();
                 const vNorm = normalize(value);
 
-                // If input doesn't match preferred format, suggest the fix
-                if (vNorm !== normalize(postalLabel)) {
+                // If input doesn't match the output format, suggest the fix
+                if (vNorm !== normalize(output)) {
                     suggestions.unshift({
                         type: 'complete',
                         label: postalLabel,
-                        value: postalLabel,
+                        value: output,
                         data: p
                     });
                 }
@@ -371,8 +3647,14 @@ class RuianAddressWidget {
                 this.renderSuggestions(suggestions);
                 return;
             } else {
-                // Invalid or incomplete
-                this.triggerCallback(false);
+                // Invalid or incomplete: tell the caller what is wrong
+                const diagnostics = validation.diagnostics;
+                this.triggerCallback(false, diagnostics);
+
+                // Offer the corrected address (e.g. right ZIP) as the first suggestion
+                if (diagnostics) {
+                    suggestions = diagnostics.suggestions.filter(s => s.type === 'complete');
+                }
             }
         }
 
@@ -380,12 +3662,12 @@ class RuianAddressWidget {
         try {
             // A. Municipality Search
             if (!this.state.municipalityId || currentPartIndex === 0) {
-                const munSuggestions = await this.searchMunicipality(currentText);
+                const munSuggestions = await this.client.searchMunicipality(currentText);
                 suggestions = suggestions.concat(munSuggestions);
 
                 // Fallback: If no suggestions found but we have parts, try searching first part
                 if (munSuggestions.length === 0 && parts.length > 1 && !this.state.municipalityId) {
-                    const fallbackSuggestions = await this.searchMunicipality(parts[0]);
+                    const fallbackSuggestions = await this.client.searchMunicipality(parts[0]);
                     if (fallbackSuggestions.length > 0) {
                         suggestions = suggestions.concat(fallbackSuggestions);
                     }
@@ -394,25 +3676,29 @@ class RuianAddressWidget {
             // B. Street Search
             else if (this.state.municipalityId && !this.isNumber(currentText) && currentPartIndex === 1) {
                 this.log(`Searching street in ID ${this.state.municipalityId}: "${currentText}"`, "INFO");
-                const streetSuggestions = await this.searchStreet(this.state.municipalityId, currentText);
+                const streetSuggestions = await this.client.searchStreet(this.state.municipalityId, currentText, signal, this.state);
                 suggestions = suggestions.concat(streetSuggestions);
 
                 // If municipality has no streets or empty query, search places (house numbers) directly
                 if (streetSuggestions.length === 0 && currentText.trim() === "") {
-                    const placeSuggestions = await this.searchPlace(
+                    const placeSuggestions = await this.client.searchPlace(
                         this.state.municipalityId,
                         null,
-                        currentText
+                        currentText,
+                        signal,
+                        this.state
                     );
                     suggestions = suggestions.concat(placeSuggestions);
                 }
             }
             // C. House Number Search
             else if (this.state.municipalityId) {
-                const placeSuggestions = await this.searchPlace(
+                const placeSuggestions = await this.client.searchPlace(
                     this.state.municipalityId,
                     this.state.streetName,
-                    currentText
+                    currentText,
+                    signal,
+                    this.state
                 );
                 suggestions = suggestions.concat(placeSuggestions);
             }
@@ -420,24 +3706,39 @@ class RuianAddressWidget {
             this.log(`Process Error: ${err.message}`, "ERROR");
         }
 
-        this.renderSuggestions(suggestions);
+        // A newer keystroke owns the suggestion box now
+        if (this.isStale(generation)) return;
+        if (suggestions.length === 0 && this.showErrors && this.lastError) {
+            this.renderMessage(this.errorMessages[this.lastError.type] || this.errorMessages.request);
+            return;
+        }
+        this.renderSuggestions(suggestions, currentText);
     }
 
     /**
      * Attempt to set context automatically if user typed commas but didn't click suggestions
+     * @param {string[]} parts - Comma separated parts of the input
+     * @param {number} [generation] - Input cycle token; context is not touched once superseded
+     * @param {AbortSignal} [signal] - Abort signal of the input cycle
      */
-    async tryAutoSelectContext(parts) {
+    async tryAutoSelectContext(parts, generation, signal) {
+        const superseded = () => generation !== undefined && this.isStale(generation);
+
         // 1. Auto-select MUNICIPALITY
         if (!this.state.municipalityId && parts.length > 1) {
             const query = parts[0];
             if (query.length > 1) {
-                const candidates = await this.searchMunicipality(query);
-                const match = candidates.find(c => c.value.toLowerCase() === query.toLowerCase());
+                const candidates = await this.client.searchMunicipality(query);
+                if (superseded()) return;
+                // "ZIP City" is matched by the city; a ZIP alone only when it serves a single municipality
+                const zipQuery = this.client.splitZip(query);
+                const name = zipQuery ? zipQuery.rest : query;
+                const match = name
+                    ? candidates.find(c => this.client.normalizeText(c.value) === this.client.normalizeText(name))
+                    : (zipQuery.zip.length === 5 && candidates.length === 1 ? candidates[0] : null);
                 if (match) {
                     this.log(`Auto-selected Municipality: ${match.label}`, "INFO");
-                    this.state.municipalityId = match.data.municipalityId;
-                    this.state.municipalityName = match.data.municipalityName;
-                    this.state.zip = match.data.zip;
+                    this.setMunicipalityContext(match.data);
                 }
             }
         }
@@ -446,8 +3747,9 @@ class RuianAddressWidget {
         if (this.state.municipalityId && !this.state.streetName && parts.length > 2) {
             const query = parts[1];
             if (query.length > 0 && !this.isNumber(query)) {
-                const streets = await this.searchStreet(this.state.municipalityId, query);
-                const match = streets.find(s => s.value.toLowerCase() === query.toLowerCase());
+                const streets = await this.client.searchStreet(this.state.municipalityId, query, signal, this.state);
+                if (superseded()) return;
+                const match = streets.find(s => this.client.normalizeText(s.value) === this.client.normalizeText(query));
                 if (match) {
                     this.log(`Auto-selected Street: ${match.value}`, "INFO");
                     this.state.streetName = match.value;
@@ -457,332 +3759,299 @@ class RuianAddressWidget {
     }
 
     /**
-     * Helper: Maps raw API response to the requested RUIANplace structure
-     */
-    mapToRuianPlace(p) {
-        return {
-            valid: true,
-            municipalityId: p.municipalityId,
-            municipalityName: p.municipalityName,
-            municipalityPartId: p.municipalityPartId || null,
-            municipalityPartName: p.municipalityPartName || null,
-            streetName: p.streetName || null,
-            ce: p.ce || null,
-            cp: p.cp || null,
-            co: p.co || null,
-            zip: p.zip,
-            id: p.id,
-            ruianId: p.id, // Usually same as ID in this context
-            regionId: p.regionId || null, // Provided if API returns it
-            regionName: p.regionName || null,
-            originalString: this.inputElement.value
-        };
-    }
-
-    /**
-     * API: Validate Address
+     * Multi-field mode: suggestions for the edited field within the context of the others,
+     * then whole-address validation once the required fields are filled
      */
-    async apiValidate(fullQuery) {
-        if (!this.apiKey) {
-            this.log("Missing API Key!", "ERROR");
-            return null;
-        }
-
-        let url = `https://ruian.fnx.io/api/v1/ruian/validate?apiKey=${this.apiKey}`;
-
-        // Regex for "Street Number, ZIP City"
-        const reversedFormatMatch = fullQuery.match(/^(.+?)\s+(\d+(?:\/\d+)?[a-zA-Z]?)[,\s]+(\d{3}\s?\d{2})\s+(.+)$/);
-
-        if (reversedFormatMatch) {
-            this.log("Format detected: 'Street Number, ZIP City'", "INFO");
-            const streetRaw = reversedFormatMatch[1].trim();
-            const numberRaw = reversedFormatMatch[2].trim();
-            const zipRaw = reversedFormatMatch[3].replace(/\s/g, '');
-            const cityRaw = reversedFormatMatch[4].trim();
-
-            let cp = null, co = null;
-            this.parseNumber(numberRaw, (p, o) => { cp = p; co = o; });
+    async handleFieldInput(field, value) {
+        const generation = this.cancelPending();
+        const signal = this.abortController ? this.abortController.signal : undefined;
+        this.lastError = null;
+        this.lastValidation = null;
 
-            url += `&municipalityName=${encodeURIComponent(cityRaw)}`;
-            url += `&street=${encodeURIComponent(streetRaw)}`;
-            url += `&zip=${zipRaw}`;
-            if (cp) url += `&cp=${cp}`;
-            if (co) url += `&co=${co}`;
+        await this.syncFieldContext(generation);
+        if (this.isStale(generation)) return;
 
-            return this.fetchJson(url);
-        }
-
-        // Standard parsing fallback
-        let munName = this.state.municipalityName;
-        let streetName = this.state.streetName;
-        let cp = null, co = null, zip = null;
-
-        let cleanQuery = fullQuery;
-        const zipMatch = fullQuery.match(/\b\d{3}\s?\d{2}\b/);
-        if (zipMatch) {
-            zip = zipMatch[0].replace(/\s/g, '');
-            cleanQuery = cleanQuery.replace(zipMatch[0], '');
-        } else if (this.state.zip) {
-            zip = this.state.zip;
-        }
-
-        const rawParts = cleanQuery.split(/[,]+/).map(s => s.trim()).filter(s => s.length > 0);
-        let numberFound = false;
-
-        for (let i = 0; i < rawParts.length; i++) {
-            const part = rawParts[i];
-            const numberMatch = part.match(/(\d+(?:\/\d+)?[a-zA-Z]?)$/);
-
-            if (numberMatch) {
-                const extractedNumber = numberMatch[1];
-                const textBeforeNumber = part.substring(0, part.length - extractedNumber.length).trim();
+        const query = (value || '').trim();
+        const municipalityId = this.state.municipalityId;
+        let suggestions = [];
 
-                if (textBeforeNumber.length === 0 || textBeforeNumber.length > 2) {
-                    if (textBeforeNumber.length > 2 && !streetName) streetName = textBeforeNumber;
-                    this.parseNumber(extractedNumber, (p, o) => { cp = p; co = o; });
-                    numberFound = true;
-                    rawParts[i] = null;
-                }
-                if (numberFound) break;
+        try {
+            if (field === 'city' && query) {
+                suggestions = await this.client.searchMunicipality(query);
+            } else if (field === 'street' && municipalityId) {
+                suggestions = await this.client.searchStreet(municipalityId, query, signal, this.state);
+            } else if (field === 'number' && municipalityId) {
+                suggestions = await this.client.searchPlace(municipalityId, this.state.streetName, query, signal, this.state);
+            } else if (field === 'zip' && query && !municipalityId) {
+                suggestions = await this.client.searchMunicipality(query);
             }
+        } catch (err) {
+            this.log(`Process Error: ${err.message}`, "ERROR");
         }
+        if (this.isStale(generation)) return;
 
-        const remainingParts = rawParts.filter(p => p !== null);
+        const validation = await this.validateFields(signal);
+        if (this.isStale(generation)) return;
 
-        if (!munName && remainingParts.length > 0) {
-            if (remainingParts.length >= 2) {
-                if (!streetName) streetName = remainingParts[0];
-                munName = remainingParts[remainingParts.length - 1];
-            } else if (remainingParts.length === 1) {
-                if (streetName) {
-                    munName = remainingParts[0];
-                } else {
-                    if (this.state.municipalityId) streetName = remainingParts[0];
-                    else munName = remainingParts[0];
-                }
-            }
+        if (validation.valid) {
+            // Nothing left to suggest for a valid address
+            this.closeSuggestions();
+            return;
         }
+        suggestions = validation.suggestions.concat(suggestions);
 
-        if (!streetName && this.state.streetName) streetName = this.state.streetName;
-        if (!munName && this.state.municipalityName) munName = this.state.municipalityName;
-
-        if (munName) url += `&municipalityName=${encodeURIComponent(munName)}`;
-        if (streetName) url += `&street=${encodeURIComponent(streetName)}`;
-        if (cp) url += `&cp=${cp}`;
-        if (co) url += `&co=${co}`;
-        if (zip) url += `&zip=${zip}`;
-
-        return this.fetchJson(url);
-    }
-
-    /**
-     * Helper to parse house numbers (CP/CO)
-     */
-    parseNumber(numStr, callback) {
-        const nums = numStr.split('/');
-        const cpRaw = nums[0].replace(/\D/g, '');
-        if (cpRaw) callback(cpRaw, null);
-        if (nums[1]) {
-            const coRaw = nums[1].replace(/\D/g, '');
-            if (coRaw) callback(cpRaw, coRaw);
+        if (suggestions.length === 0 && this.showErrors && this.lastError) {
+            this.renderMessage(this.errorMessages[this.lastError.type] || this.errorMessages.request);
+            return;
         }
+        this.renderSuggestions(suggestions, query);
     }
 
     /**
-     * API: Search Municipality - uses cached municipalities with ZIP disambiguation
+     * Multi-field mode: derives the municipality/street context from the typed field values
      */
-    async searchMunicipality(query) {
-        if (/^\d/.test(query) || query.length < 2 || !this.apiKey) return [];
-
-        const municipalities = await this.loadAllMunicipalities();
-        const normalized = query.toLowerCase().trim();
-
-        // Filter matches
-        const matches = municipalities.filter(m => {
-            const name = m.municipalityName.toLowerCase();
-            return name.includes(normalized);
-        });
-
-        // Sort: exact matches first, then by name length (shorter first), then alphabetically
-        matches.sort((a, b) => {
-            const aExact = a.municipalityName.toLowerCase() === normalized;
-            const bExact = b.municipalityName.toLowerCase() === normalized;
-            if (aExact && !bExact) return -1;
-            if (!aExact && bExact) return 1;
-
-            const aStarts = a.municipalityName.toLowerCase().startsWith(normalized);
-            const bStarts = b.municipalityName.toLowerCase().startsWith(normalized);
-            if (aStarts && !bStarts) return -1;
-            if (!aStarts && bStarts) return 1;
+    async syncFieldContext(generation) {
+        const values = this.getFieldValues();
 
-            if (a.municipalityName.length !== b.municipalityName.length) {
-                return a.municipalityName.length - b.municipalityName.length;
-            }
-            return a.municipalityName.localeCompare(b.municipalityName);
-        });
-
-        // Identify duplicates: same name + same region = need ZIP to distinguish
-        const nameRegionGroups = {};
-        matches.forEach(m => {
-            const key = m.municipalityName.toLowerCase() + '|' + m.regionId;
-            nameRegionGroups[key] = (nameRegionGroups[key] || 0) + 1;
-        });
-
-        // Check if there are multiple municipalities with the same name (across all regions)
-        const nameGroups = {};
-        matches.forEach(m => {
-            const name = m.municipalityName.toLowerCase();
-            nameGroups[name] = (nameGroups[name] || 0) + 1;
-        });
-
-        // Get top 15 matches
-        const topMatches = matches.slice(0, 15);
-
-        // Fetch ZIP codes for duplicates in same region (concurrently)
-        const zipPromises = topMatches.map(async m => {
-            const key = m.municipalityName.toLowerCase() + '|' + m.regionId;
-            const needsZip = nameRegionGroups[key] > 1;
-            if (needsZip) {
-                return await this.fetchMunicipalityZip(m.municipalityId);
-            }
-            return null;
-        });
-        const zips = await Promise.all(zipPromises);
-
-        return topMatches.map((m, i) => {
-            const hasDuplicates = nameGroups[m.municipalityName.toLowerCase()] > 1;
-            const key = m.municipalityName.toLowerCase() + '|' + m.regionId;
-            const sameRegionDuplicates = nameRegionGroups[key] > 1;
-            const zip = zips[i];
+        // City edited away from the chosen municipality
+        if (this.state.municipalityName && this.client.normalizeText(values.city) !== this.client.normalizeText(this.state.municipalityName)) {
+            this.log("Resetting context (Municipality name changed)", "WARN");
+            this.resetState();
+        }
 
-            // Build label based on duplication level
-            let label;
-            const formattedZip = this.formatZip(zip);
-            if (sameRegionDuplicates && formattedZip) {
-                // Same name + same region = show ZIP + region
-                label = `${m.municipalityName}, ${formattedZip} (${m.regionName})`;
-            } else if (hasDuplicates) {
-                // Same name in different regions = show region only
-                label = `${m.municipalityName} (${m.regionName})`;
-            } else {
-                // Unique name = show name only
-                label = m.municipalityName;
+        // Auto-select municipality typed in full
+        if (!this.state.municipalityId && values.city.length > 1) {
+            const candidates = await this.client.searchMunicipality(values.city);
+            if (this.isStale(generation)) return;
+            const match = candidates.find(c => this.client.normalizeText(c.value) === this.client.normalizeText(values.city));
+            if (match) {
+                this.log(`Auto-selected Municipality: ${match.label}`, "INFO");
+                this.setMunicipalityContext(match.data);
             }
+        }
 
-            return {
-                type: 'municipality',
-                label: label,
-                value: m.municipalityName,
-                data: {
-                    municipalityId: m.municipalityId,
-                    municipalityName: m.municipalityName,
-                    regionId: m.regionId,
-                    regionName: m.regionName,
-                    zip: zip
-                }
-            };
+        this.state.streetName = values.street || null;
+    }
+
+    /**
+     * Multi-field mode: validates the whole address once city and number are filled
+     * @returns {Promise<{valid: boolean, suggestions: Array}>} Corrective suggestions if invalid
+     */
+    async validateFields(signal) {
+        const values = this.getFieldValues();
+        if (!values.city || !values.number) {
+            this.triggerCallback(null);
+            return { valid: false, suggestions: [] };
+        }
+
+        const params = this.client.fieldsToValidateParams(values, this.state);
+        const result = await this.client.validateParams(params, {
+            context: this.state,
+            signal: signal,
+            diagnostics: this.validationDiagnostics
         });
+        if (signal && signal.aborted) return { valid: false, suggestions: [] };
+
+        if (result.valid) {
+            const p = result.place;
+            // Auto-fill ZIP (and normalize the other fields' spelling)
+            this.fillFields(p);
+            this.triggerCallback(this.mapToRuianPlace(p));
+            return { valid: true, suggestions: [] };
+        }
+
+        const diagnostics = result.diagnostics;
+        this.triggerCallback(false, diagnostics);
+        return {
+            valid: false,
+            suggestions: diagnostics ? diagnostics.suggestions.filter(s => s.type === 'complete') : []
+        };
     }
 
     /**
-     * API: Search Street
+     * Multi-field mode: writes field values {city, street, number, zip} into the inputs
      */
-    async searchStreet(municipalityId, query) {
-        if (!this.apiKey) return [];
-        const url = `https://ruian.fnx.io/api/v1/ruian/build/streets?apiKey=${this.apiKey}&municipalityId=${municipalityId}`;
-        const json = await this.fetchJson(url);
+    writeFieldValues(values) {
+        Object.keys(this.fields).forEach(field => {
+            this.fields[field].value = values[field] !== undefined && values[field] !== null ? values[field] : '';
+        });
+    }
 
-        if (!json || !json.data) return [];
+    /**
+     * Multi-field mode: splits free text into field values
+     */
+    textToFieldValues(text) {
+        const p = this.client.buildValidateParams(text, this.state);
+        return {
+            city: p.municipalityName || '',
+            street: p.street || '',
+            number: RuianClient.formatHouseNumber(p),
+            zip: this.client.formatZip(p.zip)
+        };
+    }
 
-        const normalized = query.toLowerCase();
-        const filtered = json.data.filter(s => {
-            const name = s.streetName || s.streetLessPartName;
-            return name && name.toLowerCase().includes(normalized);
+    /**
+     * Multi-field mode: writes an API place into every field and the context
+     */
+    fillFields(p) {
+        const values = {
+            city: p.municipalityName,
+            street: p.streetName || '',
+            number: RuianClient.formatHouseNumber(p),
+            zip: this.client.formatZip(p.zip)
+        };
+        Object.keys(values).forEach(field => {
+            if (this.fields[field]) this.fields[field].value = values[field];
         });
 
-        return filtered.slice(0, 10).map(s => ({
-            type: 'street',
-            label: s.streetName || s.streetLessPartName,
-            value: s.streetName || s.streetLessPartName,
-            data: s
-        }));
+        this.setMunicipalityContext(p);
+        this.state.streetName = p.streetName || null;
     }
 
     /**
-     * API: Search Place (House Numbers)
+     * Multi-field mode: applies a selected suggestion to the fields and moves on to the next field
      */
-    async searchPlace(municipalityId, streetName, query) {
-        if (!this.apiKey) return [];
-        let url = `https://ruian.fnx.io/api/v1/ruian/build/places?apiKey=${this.apiKey}&municipalityId=${municipalityId}`;
-        if (streetName) {
-            url += `&streetName=${encodeURIComponent(streetName)}`;
+    selectFieldSuggestion(item) {
+        const focus = (field) => {
+            if (!this.fields[field]) return;
+            this.setActiveField(field);
+            this.fields[field].focus();
+        };
+
+        if (item.type === 'complete') {
+            this.fillFields(item.data);
+            this.triggerCallback(this.mapToRuianPlace(item.data));
+            this.closeSuggestions();
         }
+        else if (item.type === 'municipality' || item.type === 'part') {
+            this.setMunicipalityContext(item.data);
+            this.state.streetName = null;
 
-        const json = await this.fetchJson(url);
-        if (!json || !json.data) return [];
+            this.fields.city.value = item.data.municipalityName;
+            if (this.fields.street) this.fields.street.value = '';
+            if (this.fields.zip && item.data.zip) this.fields.zip.value = this.client.formatZip(item.data.zip);
+            this.closeSuggestions();
 
-        const normalized = query.toLowerCase().trim();
+            const next = this.fields.street ? 'street' : 'number';
+            focus(next);
+            this.handleFieldInput(next, this.fields[next].value);
+        }
+        else if (item.type === 'street') {
+            this.state.streetName = item.value;
+            this.fields.street.value = item.value;
+            this.closeSuggestions();
 
-        const candidates = json.data.map(p => {
-            let label = "";
-            if (p.placeCp) label += p.placeCp;
-            if (p.placeCo) label += "/" + p.placeCo;
-            if (p.placeCe) label = "ev." + p.placeCe;
+            focus('number');
+            this.handleFieldInput('number', this.fields.number.value);
+        }
+        else if (item.type === 'place') {
+            this.fields.number.value = item.value;
+            const zip = item.data.placeZip || this.state.zip;
+            if (this.fields.zip && zip) this.fields.zip.value = this.client.formatZip(zip);
+            this.closeSuggestions();
 
-            return {
-                type: 'place', // Represents a specific number
-                label: label,
-                value: label,
-                data: p
-            };
-        });
+            this.handleFieldInput('number', item.value); // Validate final
+        }
+    }
 
-        const filtered = candidates.filter(c => {
-            if (!normalized) return true;
-            if (c.label.toLowerCase().startsWith(normalized)) return true;
-            const co = c.data.placeCo ? String(c.data.placeCo).toLowerCase() : "";
-            if (co.startsWith(normalized)) return true;
-            const cp = c.data.placeCp ? String(c.data.placeCp).toLowerCase() : "";
-            if (cp.startsWith(normalized)) return true;
-            return false;
-        });
+    /**
+     * Sets the municipality context and the part or city district it is narrowed to
+     * @param {Object} data - Suggestion data of a municipality/part, or a place
+     */
+    setMunicipalityContext(data) {
+        this.state.municipalityId = data.municipalityId;
+        this.state.municipalityName = data.municipalityName;
+        this.state.zip = data.zip;
+        this.state.municipalityPartName = data.municipalityPartName || null;
+        this.state.cityDistrictName = data.cityDistrictName || null;
+        this.state.partZips = data.partZips && data.partZips.length ? data.partZips : null;
+    }
 
-        return filtered.slice(0, 10);
+    // --- Events ---
+
+    /**
+     * Subscribes to a widget event ('select', 'validate', 'invalid', 'clear', 'suggestions', 'error', 'cache-loaded';
+     * the 'ruian:' prefix is optional). The same events are dispatched as bubbling CustomEvents on the input.
+     * @returns {RuianAddressWidget} this
+     */
+    on(name, handler) {
+        name = name.replace(/^ruian:/, '');
+        (this.eventHandlers[name] = this.eventHandlers[name] || []).push(handler);
+        return this;
     }
 
-    async fetchJson(url) {
-        const safeUrl = url.replace(this.apiKey, '***');
-        this.log(`GET ${safeUrl}`, "INFO");
+    /**
+     * Removes a subscription added by on()
+     * @returns {RuianAddressWidget} this
+     */
+    off(name, handler) {
+        name = name.replace(/^ruian:/, '');
+        if (this.eventHandlers[name]) {
+            this.eventHandlers[name] = this.eventHandlers[name].filter(h => h !== handler);
+        }
+        return this;
+    }
 
-        try {
-            const res = await fetch(url);
-            if (!res.ok) {
-                this.log(`HTTP Error: ${res.status} ${res.statusText}`, "ERROR");
-                return null;
+    /**
+     * Notifies on() subscribers and dispatches a bubbling `ruian:<name>` CustomEvent on the (active) input
+     */
+    emit(name, detail) {
+        (this.eventHandlers[name] || []).slice().forEach(handler => {
+            try {
+                handler(detail);
+            } catch (e) {
+                this.log(`Handler of ${name} failed: ${e.message}`, "WARN");
             }
-            const data = await res.json();
-
-            // Log truncated response
-            let logMsg = JSON.stringify(data);
-            if (logMsg.length > 200) logMsg = logMsg.substring(0, 200) + "...";
-            this.log(`Response: ${logMsg}`, "INFO");
+        });
 
-            return data;
-        } catch (e) {
-            this.log(`Network Error: ${e.message}`, "ERROR");
-            return null;
+        if (this.inputElement && typeof CustomEvent !== 'undefined') {
+            this.inputElement.dispatchEvent(new CustomEvent(`ruian:${name}`, { bubbles: true, composed: true, detail: detail }));
         }
     }
 
     // --- UI Methods ---
 
-    renderSuggestions(list) {
+    /**
+     * Escapes text for use in HTML returned by a renderItem hook
+     */
+    static escapeHtml(value) {
+        return String(value === undefined || value === null ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Adds space separated class names to an element
+     */
+    addClasses(element, classes) {
+        String(classes || '').split(/\s+/).filter(Boolean).forEach(c => element.classList.add(c));
+    }
+
+    /**
+     * Removes space separated class names from an element
+     */
+    removeClasses(element, classes) {
+        String(classes || '').split(/\s+/).filter(Boolean).forEach(c => element.classList.remove(c));
+    }
+
+    /**
+     * Renders the suggestion list
+     * @param {Object[]} list - Suggestions {type, label, value, data}
+     * @param {string} [query] - Typed text to highlight in the labels
+     */
+    renderSuggestions(list, query) {
+        if (!this.suggestionBox) return;
         this.suggestionBox.innerHTML = '';
         this.suggestionsData = list;
 
         // Auto-focus first element if it is a "complete" suggestion (fix proposal)
         this.activeIndex = (list.length > 0 && list[0].type === 'complete') ? 0 : -1;
 
+        this.emit('suggestions', { items: list || [] });
+
         if (!list || list.length === 0) {
             this.closeSuggestions();
             return;
@@ -790,37 +4059,114 @@ class RuianAddressWidget {
 
         list.forEach((item, index) => {
             const btn = document.createElement('button');
-            // Assuming Bootstrap classes, but works with generic CSS too
-            btn.className = 'list-group-item list-group-item-action suggestion-item d-flex align-items-center justify-content-between';
+            this.addClasses(btn, this.classNames.item);
+            btn.type = 'button';
+            btn.id = `${this.suggestionBox.id}-option-${index}`;
+            btn.setAttribute('role', 'option');
+            btn.setAttribute('aria-selected', index === this.activeIndex ? 'true' : 'false');
+            // Options are reached with the arrow keys, focus stays in the input
+            btn.tabIndex = -1;
 
-            if (index === this.activeIndex) {
-                btn.classList.add('active');
-            }
+            if (index === this.activeIndex) this.addClasses(btn, this.classNames.active);
+            if (item.type === 'complete') this.addClasses(btn, this.classNames.complete);
 
-            let badgeClass = 'bg-secondary';
-            if (item.type === 'municipality') badgeClass = 'bg-primary';
-            if (item.type === 'street') badgeClass = 'bg-warning text-dark';
-            if (item.type === 'place') badgeClass = 'bg-info text-dark';
-            if (item.type === 'complete') {
-                badgeClass = 'bg-success';
-                btn.classList.add('suggestion-complete');
+            if (this.renderItem) {
+                // The hook is responsible for escaping values in returned HTML
+                const content = this.renderItem(item, query || '');
+                if (typeof content === 'string') btn.innerHTML = content;
+                else if (content) btn.appendChild(content);
+            } else {
+                this.renderItemContent(btn, item, query || '');
             }
 
-            btn.innerHTML = `
-                <span>${item.label}</span>
-                <span class="badge ${badgeClass} badge-type">${this.badgesLabels[item.type]}</span>
-            `;
-
+            // Keep the focus in the input while clicking
+            btn.onmousedown = (e) => e.preventDefault();
             // Prevent form submission on click
             btn.onclick = (e) => {
                 e.preventDefault();
                 this.selectSuggestion(index);
+                this.inputElement.focus();
             };
 
             this.suggestionBox.appendChild(btn);
         });
 
         this.suggestionBox.style.display = 'block';
+        this.updateComboboxState(true);
+        this.announce(this.client.formatMessage(this.a11yMessages.suggestions, { count: list.length }));
+    }
+
+    /**
+     * Default suggestion content: label (with the match highlighted) and type badge, as text only
+     */
+    renderItemContent(container, item, query) {
+        const label = document.createElement('span');
+        this.addClasses(label, this.classNames.label);
+        this.appendHighlighted(label, String(item.label), this.highlightMatches ? query : '');
+        container.appendChild(label);
+
+        const badge = document.createElement('span');
+        this.addClasses(badge, this.classNames.badge);
+        this.addClasses(badge, this.classNames.badgeTypes[item.type] || this.classNames.badgeTypes.default);
+        badge.textContent = this.badgesLabels[item.type] || '';
+        container.appendChild(badge);
+    }
+
+    /**
+     * Appends text to an element, wrapping the part matching the query in <mark>
+     */
+    appendHighlighted(element, text, query) {
+        const match = query ? this.findMatch(text, query) : null;
+        if (!match) {
+            element.textContent = text;
+            return;
+        }
+        const mark = document.createElement('mark');
+        this.addClasses(mark, this.classNames.highlight);
+        mark.textContent = text.substring(match.start, match.end);
+        element.appendChild(document.createTextNode(text.substring(0, match.start)));
+        element.appendChild(mark);
+        element.appendChild(document.createTextNode(text.substring(match.end)));
+    }
+
+    /**
+     * Finds the query in text ignoring case and diacritics
+     * @returns {{start: number, end: number}|null} Range in the original text
+     */
+    findMatch(text, query) {
+        const needle = this.client.normalizeText(query);
+        if (!needle) return null;
+
+        // Fold character by character, remembering where each folded character came from
+        let folded = '';
+        const origin = [];
+        for (let i = 0; i < text.length; i++) {
+            const c = /\s/.test(text[i]) ? ' ' : text[i].toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+            for (let k = 0; k < c.length; k++) origin.push(i);
+            folded += c;
+        }
+
+        const start = folded.indexOf(needle);
+        if (start === -1) return null;
+        return { start: origin[start], end: origin[start + needle.length - 1] + 1 };
+    }
+
+    /**
+     * Shows an informational (non-selectable) message in the suggestion box
+     */
+    renderMessage(text) {
+        if (!this.suggestionBox) return;
+        this.suggestionBox.innerHTML = '';
+        this.suggestionsData = [];
+        this.activeIndex = -1;
+
+        const msg = document.createElement('div');
+        this.addClasses(msg, this.classNames.message);
+        msg.textContent = text;
+        this.suggestionBox.appendChild(msg);
+        this.suggestionBox.style.display = 'block';
+        this.updateComboboxState(false);
+        this.announce(text);
     }
 
     selectSuggestion(index) {
@@ -828,55 +4174,99 @@ class RuianAddressWidget {
         if (!item) return;
 
         this.log(`Selected: ${item.type} - ${item.label}`, "SUCCESS");
+        this.emit('select', { type: item.type, label: item.label, value: item.value, data: item.data });
 
-        if (item.type === 'complete') {
+        if (this.fields) {
+            this.selectFieldSuggestion(item);
+        }
+        else if (item.type === 'complete') {
             this.inputElement.value = item.value;
             // Complete fill
             const p = this.mapToRuianPlace(item.data);
             this.triggerCallback(p);
 
-            this.state.municipalityId = item.data.municipalityId;
-            this.state.municipalityName = item.data.municipalityName;
-            this.state.zip = item.data.zip;
+            this.setMunicipalityContext(item.data);
             this.state.streetName = item.data.streetName || null;
 
             this.closeSuggestions();
         }
-        else if (item.type === 'municipality') {
-            this.state.municipalityId = item.data.municipalityId;
-            this.state.municipalityName = item.data.municipalityName;
-            this.state.zip = item.data.zip;
+        else if (item.type === 'municipality' || item.type === 'part') {
+            this.setMunicipalityContext(item.data);
             this.state.streetName = null;
 
-            this.inputElement.value = `${item.data.municipalityName}, `;
+            if (item.data.zipFirst && item.data.zip) {
+                // Keep the ZIP the user started with: "ZIP City, " or "Street Number, ZIP City"
+                const zipCity = `${this.client.formatZip(item.data.zip)} ${item.data.municipalityName}`;
+                const parts = this.inputElement.value.split(',').map(s => s.trim());
+                this.inputElement.value = parts.length > 1 ? parts.slice(0, -1).concat(zipCity).join(', ') : `${zipCity}, `;
+            } else {
+                this.inputElement.value = `${item.type === 'part' ? item.value : item.data.municipalityName}, `;
+            }
             this.handleInput(this.inputElement.value); // Trigger next level search
             this.inputElement.focus();
         }
         else if (item.type === 'street') {
             this.state.streetName = item.value;
-            this.inputElement.value = `${this.state.municipalityName}, ${item.value}, `;
+            this.inputElement.value = `${this.getContextText()}, ${item.value}, `;
             this.handleInput(this.inputElement.value);
             this.inputElement.focus();
         }
         else if (item.type === 'place') {
-            let prefix = `${this.state.municipalityName}, `;
+            let prefix = `${this.getContextText()}, `;
             if (this.state.streetName) prefix += `${this.state.streetName}, `;
             const zip = item.data.placeZip || this.state.zip;
 
-            this.inputElement.value = `${prefix}${item.value}, ${this.formatZip(zip)}`;
+            this.inputElement.value = `${prefix}${item.value}, ${this.client.formatZip(zip)}`;
+            this.writeBackPending = true;
             this.handleInput(this.inputElement.value); // Validate final
             this.inputElement.focus();
         }
     }
 
+    /**
+     * Maps an API place to the RUIANplace of the callback (see RuianClient.mapToRuianPlace)
+     */
+    mapToRuianPlace(p) {
+        return Object.assign(this.client.mapToRuianPlace(p, this.state), { originalString: this.getInputText() });
+    }
+
+    /**
+     * Text written into the input for a validated place (config.outputFormat)
+     */
+    formatOutput(p) {
+        if (typeof this.outputFormat === 'function') return String(this.outputFormat(this.mapToRuianPlace(p)) || '');
+        return formatAddress(p, this.outputFormat);
+    }
+
+    /**
+     * Reports a request failure of the client (after retries) to the page
+     */
+    handleError(error) {
+        this.lastError = error;
+        try {
+            this.onError(error);
+        } catch (e) {
+            this.log(`onError callback failed: ${e.message}`, "WARN");
+        }
+        this.emit('error', { error: error });
+    }
+
+    /**
+     * First part of the input as the user sees the context ("Praha", "Smíchov", "602 00 Brno")
+     */
+    getContextText() {
+        return this.inputElement.value.split(',')[0].trim() || this.state.municipalityName;
+    }
+
     closeSuggestions() {
         if (this.suggestionBox) this.suggestionBox.style.display = 'none';
         this.activeIndex = -1;
+        this.updateComboboxState(false);
     }
 
     handleKeydown(e) {
         if (!this.suggestionBox || this.suggestionBox.style.display === 'none') return;
-        const items = this.suggestionBox.querySelectorAll('.suggestion-item');
+        const items = this.suggestionBox.querySelectorAll('[role="option"]');
         if (e.key === 'ArrowDown') {
             e.preventDefault();
             this.activeIndex = (this.activeIndex + 1) % items.length;
@@ -889,47 +4279,416 @@ class RuianAddressWidget {
             e.preventDefault();
             if (this.activeIndex > -1) this.selectSuggestion(this.activeIndex);
         } else if (e.key === 'Escape') {
+            e.preventDefault();
             this.closeSuggestions();
         }
     }
 
     highlightItem(items) {
-        items.forEach(i => i.classList.remove('active'));
+        items.forEach(i => {
+            this.removeClasses(i, this.classNames.active);
+            i.setAttribute('aria-selected', 'false');
+        });
         if (items[this.activeIndex]) {
-            items[this.activeIndex].classList.add('active');
+            this.addClasses(items[this.activeIndex], this.classNames.active);
+            items[this.activeIndex].setAttribute('aria-selected', 'true');
             items[this.activeIndex].scrollIntoView({ block: 'nearest' });
         }
+        this.updateComboboxState(true);
     }
 
     isNumber(str) {
-        return /^\d/.test(str.trim());
+        // Also labelled numbers: "č.p. 12", "č. ev. 15", "ev. 15"
+        return /^(?:\d|[čc]\.?\s*(?:ev|p|o)(?:\.|\s*\d)|ev(?:\.|\s*\d))/i.test(str.trim());
     }
 
     resetState() {
         this.state = {
             municipalityId: null,
             municipalityName: null,
+            municipalityPartName: null,
+            cityDistrictName: null,
+            partZips: null,
             zip: null,
             streetName: null
         };
     }
 
-    triggerCallback(data) {
+    /**
+     * @param {Object|false|null} data - RUIANplace (valid), false (invalid) or null (empty)
+     * @param {Object} [diagnostics] - Why the address is invalid (see diagnoseValidation)
+     */
+    triggerCallback(data, diagnostics) {
+        const inputs = this.getInputs();
+        this.lastValidation = {
+            valid: data === null ? null : data !== false,
+            place: data || null,
+            diagnostics: diagnostics || null
+        };
+        this.updateForm(data || null);
         if (data === false) {
-            this.inputElement.classList.add('is-invalid');
-            this.inputElement.classList.remove('is-valid');
-            this.onValidationChange(false, null);
+            inputs.forEach(i => {
+                i.classList.add('is-invalid');
+                i.classList.remove('is-valid');
+                i.setAttribute('aria-invalid', 'true');
+            });
+            this.announce(this.client.formatMessage(this.a11yMessages.invalid, { message: diagnostics ? diagnostics.message : '' }));
+            this.onValidationChange(false, diagnostics ? { diagnostics: diagnostics } : null);
+            this.emit('invalid', { diagnostics: diagnostics || null });
         } else if (data === null) {
-            this.inputElement.classList.remove('is-valid', 'is-invalid');
+            inputs.forEach(i => {
+                i.classList.remove('is-valid', 'is-invalid');
+                i.removeAttribute('aria-invalid');
+            });
             this.onValidationChange(null, null);
+            this.emit('clear', {});
         } else {
-            this.inputElement.classList.remove('is-invalid');
-            this.inputElement.classList.add('is-valid');
+            inputs.forEach(i => {
+                i.classList.remove('is-invalid');
+                i.classList.add('is-valid');
+                i.removeAttribute('aria-invalid');
+            });
+            this.announce(this.client.formatMessage(this.a11yMessages.valid, { address: this.client.buildPostalLabel(data) }));
             this.onValidationChange(true, { RUIANplace: data });
+            this.emit('validate', { RUIANplace: data });
         }
     }
 
     log(msg, type) {
         this.onLog(msg, type);
     }
-}
\ No newline at end of file
+}
+
+// Source of unique element IDs (listboxes, options, live regions)
+RuianAddressWidget.instanceCount = 0;
+
+/**
+ * <ruian-address> custom element: the widget with its own input and suggestion popup in Shadow DOM.
+ * Form-associated: the address text is submitted under `name`, the RUIAN ID of a validated address
+ * under `name` + '_ruianId'.
+ *
+ * Attributes: api-key, proxy-url, name, value, ruian-id, placeholder, label, required, disabled.
+ * Reflects the result in the `valid`/`invalid` attributes; the ruian:* events bubble out of the shadow root.
+ * Moving the element in the DOM keeps the widget; after a longer detach the validated address is restored.
+ */
+class RuianAddressElement extends (typeof HTMLElement !== 'undefined' ? HTMLElement : class { }) {
+    static get formAssociated() {
+        return true;
+    }
+
+    static get observedAttributes() {
+        return ['api-key', 'proxy-url', 'name', 'value', 'ruian-id', 'placeholder', 'label', 'required', 'disabled'];
+    }
+
+    constructor() {
+        super();
+        this.widget = null;
+        this.options = {}; // Extra RuianAddressWidget config, set before the element is connected
+        const internals = typeof this.attachInternals === 'function' ? this.attachInternals() : null;
+        // Form participation needs setFormValue, older implementations only cover ARIA
+        this.internals = internals && typeof internals.setFormValue === 'function' ? internals : null;
+        this.fallbackInputs = null; // Hidden inputs in the light DOM where ElementInternals is not supported
+        this.client = null; // Client of a destroyed widget, reused on reconnect
+        this.savedPlace = null; // Validated place of a destroyed widget, restored on reconnect
+        this.destroyTimer = null;
+
+        const root = this.attachShadow({ mode: 'open', delegatesFocus: true });
+        root.innerHTML = `<style>${RuianAddressElement.styles}</style>
+            <div class="field" part="field">
+                <input type="text" part="input" autocomplete="off" spellcheck="false">
+                <div class="suggestions" part="listbox"></div>
+            </div>`;
+        this.input = root.querySelector('input');
+        this.listbox = root.querySelector('.suggestions');
+        // Rendered options get part names, so that pages can theme them with ::part()
+        this.partsObserver = typeof MutationObserver !== 'undefined' ? new MutationObserver(() => this.updateParts()) : null;
+    }
+
+    connectedCallback() {
+        clearTimeout(this.destroyTimer);
+        if (this.partsObserver) {
+            this.partsObserver.observe(this.listbox, { childList: true, subtree: true, attributes: true, attributeFilter: ['aria-selected'] });
+        }
+        if (this.widget) return; // Moved within the page
+        this.syncAttributes();
+
+        const reconnected = !!this.client;
+        this.widget = new RuianAddressWidget(Object.assign({
+            inputElement: this.input,
+            suggestionElement: this.listbox,
+            client: this.client || undefined,
+            apiKey: this.getAttribute('api-key') || undefined,
+            baseUrl: this.getAttribute('proxy-url') || undefined,
+            required: this.hasAttribute('required'),
+            initialRuianId: reconnected ? null : this.getAttribute('ruian-id') || null,
+            classNames: RuianAddressElement.classNames
+        }, this.options));
+
+        // Typing invalidates the address, results come from the widget events
+        this.widget.listen(this.input, 'input', () => this.updateValue());
+        ['validate', 'invalid', 'clear'].forEach(name => this.widget.on(name, () => this.updateValue()));
+
+        if (this.hasAttribute('disabled')) this.widget.disable();
+        if (this.savedPlace) {
+            this.widget.setAddress(this.savedPlace);
+        } else if (reconnected) {
+            if (this.input.value) this.widget.validate();
+        } else if (this.hasAttribute('value') && !this.hasAttribute('ruian-id')) {
+            this.widget.setAddress(this.getAttribute('value'));
+        }
+        this.savedPlace = null;
+        this.updateValue();
+    }
+
+    disconnectedCallback() {
+        if (this.partsObserver) this.partsObserver.disconnect();
+        // A move (removed and inserted again in the same task) keeps the widget
+        clearTimeout(this.destroyTimer);
+        this.destroyTimer = setTimeout(() => this.destroyWidget(), 0);
+    }
+
+    /**
+     * Destroys the widget of a detached element, keeping its client and validated place for a reconnect
+     */
+    destroyWidget() {
+        if (!this.widget) return;
+        this.savedPlace = this.widget.getSelectedPlace();
+        this.client = this.widget.client;
+        this.widget.destroy();
+        this.widget = null;
+    }
+
+    attributeChangedCallback(name, oldValue, value) {
+        if (oldValue === value) return;
+        const client = this.widget ? this.widget.client : this.client;
+        if (name === 'placeholder' || name === 'label') {
+            this.syncAttributes();
+        } else if (name === 'api-key') {
+            if (client) client.setApiKey(value);
+        } else if (name === 'proxy-url') {
+            if (client) client.setBaseUrl(value);
+        } else if (!this.widget) {
+            return;
+        } else if (name === 'name') {
+            this.updateValue();
+        } else if (name === 'value') {
+            this.widget.setAddress(value || '');
+        } else if (name === 'ruian-id') {
+            if (value) this.widget.loadByRuianId(value);
+        } else if (name === 'required') {
+            this.widget.required = value !== null;
+            this.updateValue();
+        } else if (name === 'disabled') {
+            if (value !== null) this.widget.disable();
+            else this.widget.enable();
+        }
+    }
+
+    formResetCallback() {
+        if (this.widget) this.widget.clear();
+        this.updateValue();
+    }
+
+    formDisabledCallback(disabled) {
+        if (!this.widget) return;
+        if (disabled) this.widget.disable();
+        else if (!this.hasAttribute('disabled')) this.widget.enable();
+    }
+
+    formStateRestoreCallback(state) {
+        if (this.widget && typeof state === 'string' && state) this.widget.setAddress(state);
+    }
+
+    /**
+     * Copies the presentational attributes to the inner input
+     */
+    syncAttributes() {
+        const placeholder = this.getAttribute('placeholder');
+        if (placeholder !== null) this.input.setAttribute('placeholder', placeholder);
+        else this.input.removeAttribute('placeholder');
+
+        // A <label> outside the shadow root cannot name the inner input
+        let label = this.getAttribute('label');
+        if (label === null && this.internals && this.internals.labels && this.internals.labels.length) {
+            label = this.internals.labels[0].textContent.trim();
+        }
+        if (label) this.input.setAttribute('aria-label', label);
+        else this.input.removeAttribute('aria-label');
+    }
+
+    /**
+     * Publishes the current address to the form, its validity and the valid/invalid attributes
+     */
+    updateValue() {
+        if (!this.widget) return;
+        const name = this.getAttribute('name');
+        const text = this.input.value;
+        const place = this.widget.getSelectedPlace();
+        const state = this.widget.getState();
+
+        this.toggleAttribute('valid', !!place);
+        this.toggleAttribute('invalid', state.valid === false);
+
+        if (!this.internals) {
+            this.writeFallbackInputs(name, text, place);
+            return;
+        }
+        let value = null;
+        if (name && text) {
+            value = new FormData();
+            value.append(name, text);
+            if (place) value.append(`${name}_ruianId`, place.ruianId);
+        }
+        this.internals.setFormValue(value, text);
+
+        const message = this.widget.getValidityMessage();
+        if (message) this.internals.setValidity({ customError: true }, message, this.input);
+        else this.internals.setValidity({});
+    }
+
+    /**
+     * Submits the value through hidden inputs in browsers without ElementInternals
+     */
+    writeFallbackInputs(name, text, place) {
+        if (!name) {
+            (this.fallbackInputs || []).forEach(input => input.remove());
+            this.fallbackInputs = null;
+            return;
+        }
+        if (!this.fallbackInputs) {
+            this.fallbackInputs = [0, 1].map(() => {
+                const input = document.createElement('input');
+                input.type = 'hidden';
+                this.appendChild(input);
+                return input;
+            });
+        }
+        // The name attribute may have changed
+        this.fallbackInputs[0].name = name;
+        this.fallbackInputs[1].name = `${name}_ruianId`;
+        this.fallbackInputs[0].value = text;
+        this.fallbackInputs[1].value = place ? place.ruianId : '';
+    }
+
+    /**
+     * Names the parts of the rendered suggestions
+     */
+    updateParts() {
+        Array.from(this.listbox.children).forEach(option => {
+            if (option.getAttribute('role') !== 'option') {
+                option.setAttribute('part', 'message');
+                return;
+            }
+            const parts = ['option'];
+            if (option.getAttribute('aria-selected') === 'true') parts.push('option-active');
+            if (option.classList.contains('complete')) parts.push('option-complete');
+            option.setAttribute('part', parts.join(' '));
+            const badge = option.querySelector('.badge');
+            if (badge) badge.setAttribute('part', 'badge');
+            const mark = option.querySelector('mark');
+            if (mark) mark.setAttribute('part', 'match');
+        });
+    }
+
+    get value() {
+        return this.input.value;
+    }
+
+    set value(text) {
+        if (this.widget) {
+            this.widget.setAddress(text || '');
+            return;
+        }
+        // Validated once the element is connected
+        this.savedPlace = null;
+        this.input.value = text || '';
+        this.setAttribute('value', text || '');
+    }
+
+    /**
+     * The validated RUIANplace or null
+     */
+    get place() {
+        return this.widget ? this.widget.getSelectedPlace() : null;
+    }
+
+    get name() {
+        return this.getAttribute('name');
+    }
+
+    get form() {
+        return this.internals ? this.internals.form : this.closest('form');
+    }
+
+    get validity() {
+        return this.internals ? this.internals.validity : null;
+    }
+
+    get validationMessage() {
+        return this.internals ? this.internals.validationMessage : '';
+    }
+
+    checkValidity() {
+        return this.internals ? this.internals.checkValidity() : true;
+    }
+
+    reportValidity() {
+        return this.internals ? this.internals.reportValidity() : true;
+    }
+}
+
+// Widget classes inside the shadow root (no Bootstrap there)
+RuianAddressElement.classNames = {
+    item: 'item',
+    active: 'active',
+    complete: 'complete',
+    label: 'label',
+    badge: 'badge',
+    badgeTypes: { municipality: 'badge-municipality', part: 'badge-part', street: 'badge-street', place: 'badge-place', complete: 'badge-complete', default: '' },
+    highlight: 'match',
+    message: 'message'
+};
+
+// Default look, themed with custom properties and ::part()
+RuianAddressElement.styles = `
+    :host { display: inline-block; width: 20em; font: inherit; }
+    :host([hidden]) { display: none; }
+    .field { position: relative; }
+    input {
+        box-sizing: border-box; width: 100%; font: inherit; color: inherit;
+        padding: var(--ruian-padding, .375rem .75rem);
+        border: 1px solid var(--ruian-border-color, #ced4da); border-radius: var(--ruian-radius, .375rem);
+        background: var(--ruian-background, #fff);
+    }
+    input:focus { outline: 2px solid var(--ruian-focus-color, #86b7fe); outline-offset: 0; }
+    :host([valid]) input { border-color: var(--ruian-valid-color, #198754); }
+    :host([invalid]) input { border-color: var(--ruian-invalid-color, #dc3545); }
+    .suggestions {
+        display: none; position: absolute; z-index: 1000; left: 0; right: 0; top: 100%; margin-top: 2px;
+        max-height: 18em; overflow-y: auto; background: var(--ruian-background, #fff);
+        border: 1px solid var(--ruian-border-color, #ced4da); border-radius: var(--ruian-radius, .375rem);
+        box-shadow: 0 .5rem 1rem rgba(0, 0, 0, .15);
+    }
+    .item {
+        display: flex; align-items: center; justify-content: space-between; gap: .5em; width: 100%;
+        padding: .5em .75em; border: 0; background: none; font: inherit; color: inherit; text-align: left; cursor: pointer;
+    }
+    .item:hover, .item.active { background: var(--ruian-active-background, #e9ecef); }
+    .item.complete { font-weight: 600; }
+    .badge {
+        flex: none; padding: .15em .5em; border-radius: 1em; font-size: .75em;
+        background: var(--ruian-badge-background, #6c757d); color: var(--ruian-badge-color, #fff);
+    }
+    .badge-complete { background: var(--ruian-valid-color, #198754); }
+    .match { background: none; color: inherit; font-weight: 700; }
+    .message { padding: .5em .75em; color: var(--ruian-invalid-color, #dc3545); }
+`;
+
+if (typeof customElements !== 'undefined' && !customElements.get('ruian-address')) {
+    customElements.define('ruian-address', RuianAddressElement);
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        RuianClient, RuianAddressWidget, RuianAddressElement, RuianError, parseAddress, formatAddress, sjtskToWgs84, wgs84ToSjtsk
+    };
+}
@@ -1 +1 @@
-class RuianAddressWidget{constructor(t){this.inputElement=t.inputElement,this.suggestionBox=t.suggestionElement,this.apiKey=t.apiKey,this.onValidationChange=t.onValidationChange||function(){},this.onLog=t.onLog||console.log,"object"==typeof t.badgesLabels&&null!==t.badgesLabels?this.badgesLabels=t.badgesLabels:this.badgesLabels={municipality:"municipality",street:"street",place:"place",complete:"complete"},this.cachePreservation=void 0!==t.cachePreservation?t.cachePreservation:24,this.cacheReset=t.cacheReset||!1,this.state={municipalityId:null,municipalityName:null,zip:null,streetName:null},this.allMunicipalities=null,this.municipalitiesLoading=!1,this.zipCache={},this.debounceTimer=null,this.suggestionsData=[],this.activeIndex=-1,this.cacheReset&&(localStorage.removeItem("ruian_municipalities_cache"),this.log("Cache reset on init","INFO")),this.init()}setApiKey(t){this.apiKey=t}init(){this.log("Initializing RUIAN Widget v1.1...","INFO"),this.inputElement.addEventListener("input",(t=>{clearTimeout(this.debounceTimer),this.inputElement.classList.remove("is-valid","is-invalid"),this.debounceTimer=setTimeout((()=>{this.handleInput(t.target.value)}),400)})),this.inputElement.addEventListener("keydown",(t=>this.handleKeydown(t))),document.addEventListener("click",(t=>{t.target===this.inputElement||this.suggestionBox.contains(t.target)||this.closeSuggestions()}))}formatZip(t){if(!t)return"";const i=String(t).replace(/\s/g,"");return 5===i.length?`${i.substring(0,3)} ${i.substring(3)}`:i}loadMunicipalitiesFromCache(){try{const t=localStorage.getItem("ruian_municipalities_cache");if(!t)return null;const i=JSON.parse(t),e=(Date.now()-i.timestamp)/36e5;return e>this.cachePreservation?(this.log(`Cache expired (${e.toFixed(1)}h > ${this.cachePreservation}h)`,"INFO"),null):(this.log(`Loaded ${i.municipalities.length} municipalities from cache (${e.toFixed(1)}h old)`,"SUCCESS"),i.municipalities)}catch(t){return null}}saveMunicipalitiesToCache(t){try{const i={timestamp:Date.now(),municipalities:t};localStorage.setItem("ruian_municipalities_cache",JSON.stringify(i)),this.log(`Saved ${t.length} municipalities to cache`,"SUCCESS")}catch(t){this.log(`Failed to cache municipalities: ${t.message}`,"WARN")}}async loadAllMunicipalities(){if(this.allMunicipalities)return this.allMunicipalities;const t=this.loadMunicipalitiesFromCache();if(t)return this.allMunicipalities=t,t;if(this.municipalitiesLoading){for(;this.municipalitiesLoading;)await new Promise((t=>setTimeout(t,100)));return this.allMunicipalities||[]}this.municipalitiesLoading=!0,this.log("Loading all municipalities from API...","INFO");try{const t=["CZ010","CZ020","CZ031","CZ032","CZ041","CZ042","CZ051","CZ052","CZ053","CZ063","CZ064","CZ071","CZ072","CZ080"],i=[];for(const e of t){const t=`https://ruian.fnx.io/api/v1/ruian/build/municipalities?apiKey=${this.apiKey}&regionId=${e}`,a=await this.fetchJson(t);a&&a.data&&a.data.forEach((t=>{i.push({municipalityId:t.municipalityId,municipalityName:t.municipalityName,regionId:e,regionName:this.getRegionName(e)})}))}this.allMunicipalities=i,this.log(`Loaded ${i.length} municipalities`,"SUCCESS"),this.saveMunicipalitiesToCache(i)}catch(t){this.log(`Error loading municipalities: ${t.message}`,"ERROR")}return this.municipalitiesLoading=!1,this.allMunicipalities||[]}getRegionName(t){return{CZ010:"Hlavní město Praha",CZ020:"Středočeský kraj",CZ031:"Jihočeský kraj",CZ032:"Plzeňský kraj",CZ041:"Karlovarský kraj",CZ042:"Ústecký kraj",CZ051:"Liberecký kraj",CZ052:"Královéhradecký kraj",CZ053:"Pardubický kraj",CZ063:"Kraj Vysočina",CZ064:"Jihomoravský kraj",CZ071:"Olomoucký kraj",CZ072:"Zlínský kraj",CZ080:"Moravskoslezský kraj"}[t]||t}async fetchMunicipalityZip(t){if(this.zipCache[t])return this.zipCache[t];let i=null;try{const e=`https://ruian.fnx.io/api/v1/ruian/validate?apiKey=${this.apiKey}&municipalityId=${t}&cp=1`,a=await this.fetchJson(e);a&&a.place&&(i=a.place.zip||a.place.placeZip)}catch(t){}if(!i)try{const e=`https://ruian.fnx.io/api/v1/ruian/build/places?apiKey=${this.apiKey}&municipalityId=${t}&streetName=-&limit=1`,a=await this.fetchJson(e);a&&a.data&&a.data.length>0?i=a.data[0].placeZip||a.data[0].zip:a&&a.length>0&&(i=a[0].placeZip||a[0].zip)}catch(t){}if(!i)try{const e=`https://ruian.fnx.io/api/v1/ruian/build/streets?apiKey=${this.apiKey}&municipalityId=${t}&limit=1`,a=await this.fetchJson(e),s=a&&a.data?a.data:a;if(s&&s.length>0){const e=s[0].streetName,a=`https://ruian.fnx.io/api/v1/ruian/build/places?apiKey=${this.apiKey}&municipalityId=${t}&streetName=${encodeURIComponent(e)}&limit=1`,n=await this.fetchJson(a),l=n&&n.data?n.data:n;l&&l.length>0&&(i=l[0].placeZip||l[0].zip)}}catch(i){this.log(`Error fetching ZIP for ${t}: ${i.message}`,"ERROR")}return i?(this.zipCache[t]=i,i):null}async handleInput(t){if(!t||t.trim().length<1)return this.closeSuggestions(),void this.triggerCallback(null);const i=t.split(",").map((t=>t.trim())),e=i.length-1,a=i[e];if(0===e&&this.state.municipalityName){const i=t.toLowerCase(),e=this.state.municipalityName.toLowerCase();i.startsWith(e.substring(0,Math.min(i.length,e.length)))||(this.log("Resetting context (Municipality name changed)","WARN"),this.resetState())}await this.tryAutoSelectContext(i);let s=[];if(t.length>5&&/\d/.test(t)){const i=await this.apiValidate(t);if(i&&"MATCH"===i.status){this.log("Address is VALID (MATCH)","SUCCESS");const e=i.place,a=this.mapToRuianPlace(e);this.triggerCallback(a);const n=e.streetName||e.municipalityPartName||e.municipalityName;let l=e.cp||"";e.co&&(l+="/"+e.co),e.ce&&(l="ev."+e.ce);const c=`${n} ${l}, ${this.formatZip(e.zip)} ${e.municipalityName}`,o=t=>t.replace(/\s+/g," ").trim();return o(t)!==o(c)&&s.unshift({type:"complete",label:c,value:c,data:e}),void this.renderSuggestions(s)}this.triggerCallback(!1)}try{if(this.state.municipalityId&&0!==e){if(this.state.municipalityId&&!this.isNumber(a)&&1===e){this.log(`Searching street in ID ${this.state.municipalityId}: "${a}"`,"INFO");const t=await this.searchStreet(this.state.municipalityId,a);if(s=s.concat(t),0===t.length&&""===a.trim()){const t=await this.searchPlace(this.state.municipalityId,null,a);s=s.concat(t)}}else if(this.state.municipalityId){const t=await this.searchPlace(this.state.municipalityId,this.state.streetName,a);s=s.concat(t)}}else{const t=await this.searchMunicipality(a);if(s=s.concat(t),0===t.length&&i.length>1&&!this.state.municipalityId){const t=await this.searchMunicipality(i[0]);t.length>0&&(s=s.concat(t))}}}catch(t){this.log(`Process Error: ${t.message}`,"ERROR")}this.renderSuggestions(s)}async tryAutoSelectContext(t){if(!this.state.municipalityId&&t.length>1){const i=t[0];if(i.length>1){const t=(await this.searchMunicipality(i)).find((t=>t.value.toLowerCase()===i.toLowerCase()));t&&(this.log(`Auto-selected Municipality: ${t.label}`,"INFO"),this.state.municipalityId=t.data.municipalityId,this.state.municipalityName=t.data.municipalityName,this.state.zip=t.data.zip)}}if(this.state.municipalityId&&!this.state.streetName&&t.length>2){const i=t[1];if(i.length>0&&!this.isNumber(i)){const t=(await this.searchStreet(this.state.municipalityId,i)).find((t=>t.value.toLowerCase()===i.toLowerCase()));t&&(this.log(`Auto-selected Street: ${t.value}`,"INFO"),this.state.streetName=t.value)}}}mapToRuianPlace(t){return{valid:!0,municipalityId:t.municipalityId,municipalityName:t.municipalityName,municipalityPartId:t.municipalityPartId||null,municipalityPartName:t.municipalityPartName||null,streetName:t.streetName||null,ce:t.ce||null,cp:t.cp||null,co:t.co||null,zip:t.zip,id:t.id,ruianId:t.id,regionId:t.regionId||null,regionName:t.regionName||null,originalString:this.inputElement.value}}async apiValidate(t){if(!this.apiKey)return this.log("Missing API Key!","ERROR"),null;let i=`https://ruian.fnx.io/api/v1/ruian/validate?apiKey=${this.apiKey}`;const e=t.match(/^(.+?)\s+(\d+(?:\/\d+)?[a-zA-Z]?)[,\s]+(\d{3}\s?\d{2})\s+(.+)$/);if(e){this.log("Format detected: 'Street Number, ZIP City'","INFO");const t=e[1].trim(),a=e[2].trim(),s=e[3].replace(/\s/g,""),n=e[4].trim();let l=null,c=null;return this.parseNumber(a,((t,i)=>{l=t,c=i})),i+=`&municipalityName=${encodeURIComponent(n)}`,i+=`&street=${encodeURIComponent(t)}`,i+=`&zip=${s}`,l&&(i+=`&cp=${l}`),c&&(i+=`&co=${c}`),this.fetchJson(i)}let a=this.state.municipalityName,s=this.state.streetName,n=null,l=null,c=null,o=t;const r=t.match(/\b\d{3}\s?\d{2}\b/);r?(c=r[0].replace(/\s/g,""),o=o.replace(r[0],"")):this.state.zip&&(c=this.state.zip);const h=o.split(/[,]+/).map((t=>t.trim())).filter((t=>t.length>0));let u=!1;for(let t=0;t<h.length;t++){const i=h[t],e=i.match(/(\d+(?:\/\d+)?[a-zA-Z]?)$/);if(e){const a=e[1],c=i.substring(0,i.length-a.length).trim();if((0===c.length||c.length>2)&&(c.length>2&&!s&&(s=c),this.parseNumber(a,((t,i)=>{n=t,l=i})),u=!0,h[t]=null),u)break}}const p=h.filter((t=>null!==t));return!a&&p.length>0&&(p.length>=2?(s||(s=p[0]),a=p[p.length-1]):1===p.length&&(s?a=p[0]:this.state.municipalityId?s=p[0]:a=p[0])),!s&&this.state.streetName&&(s=this.state.streetName),!a&&this.state.municipalityName&&(a=this.state.municipalityName),a&&(i+=`&municipalityName=${encodeURIComponent(a)}`),s&&(i+=`&street=${encodeURIComponent(s)}`),n&&(i+=`&cp=${n}`),l&&(i+=`&co=${l}`),c&&(i+=`&zip=${c}`),this.fetchJson(i)}parseNumber(t,i){const e=t.split("/"),a=e[0].replace(/\D/g,"");if(a&&i(a,null),e[1]){const t=e[1].replace(/\D/g,"");t&&i(a,t)}}async searchMunicipality(t){if(/^\d/.test(t)||t.length<2||!this.apiKey)return[];const i=await this.loadAllMunicipalities(),e=t.toLowerCase().trim(),a=i.filter((t=>t.municipalityName.toLowerCase().includes(e)));a.sort(((t,i)=>{const a=t.municipalityName.toLowerCase()===e,s=i.municipalityName.toLowerCase()===e;if(a&&!s)return-1;if(!a&&s)return 1;const n=t.municipalityName.toLowerCase().startsWith(e),l=i.municipalityName.toLowerCase().startsWith(e);return n&&!l?-1:!n&&l?1:t.municipalityName.length!==i.municipalityName.length?t.municipalityName.length-i.municipalityName.length:t.municipalityName.localeCompare(i.municipalityName)}));const s={};a.forEach((t=>{const i=t.municipalityName.toLowerCase()+"|"+t.regionId;s[i]=(s[i]||0)+1}));const n={};a.forEach((t=>{const i=t.municipalityName.toLowerCase();n[i]=(n[i]||0)+1}));const l=a.slice(0,15),c=l.map((async t=>{const i=t.municipalityName.toLowerCase()+"|"+t.regionId;return s[i]>1?await this.fetchMunicipalityZip(t.municipalityId):null})),o=await Promise.all(c);return l.map(((t,i)=>{const e=n[t.municipalityName.toLowerCase()]>1,a=t.municipalityName.toLowerCase()+"|"+t.regionId,l=s[a]>1,c=o[i];let r;const h=this.formatZip(c);return r=l&&h?`${t.municipalityName}, ${h} (${t.regionName})`:e?`${t.municipalityName} (${t.regionName})`:t.municipalityName,{type:"municipality",label:r,value:t.municipalityName,data:{municipalityId:t.municipalityId,municipalityName:t.municipalityName,regionId:t.regionId,regionName:t.regionName,zip:c}}}))}async searchStreet(t,i){if(!this.apiKey)return[];const e=`https://ruian.fnx.io/api/v1/ruian/build/streets?apiKey=${this.apiKey}&municipalityId=${t}`,a=await this.fetchJson(e);if(!a||!a.data)return[];const s=i.toLowerCase();return a.data.filter((t=>{const i=t.streetName||t.streetLessPartName;return i&&i.toLowerCase().includes(s)})).slice(0,10).map((t=>({type:"street",label:t.streetName||t.streetLessPartName,value:t.streetName||t.streetLessPartName,data:t})))}async searchPlace(t,i,e){if(!this.apiKey)return[];let a=`https://ruian.fnx.io/api/v1/ruian/build/places?apiKey=${this.apiKey}&municipalityId=${t}`;i&&(a+=`&streetName=${encodeURIComponent(i)}`);const s=await this.fetchJson(a);if(!s||!s.data)return[];const n=e.toLowerCase().trim();return s.data.map((t=>{let i="";return t.placeCp&&(i+=t.placeCp),t.placeCo&&(i+="/"+t.placeCo),t.placeCe&&(i="ev."+t.placeCe),{type:"place",label:i,value:i,data:t}})).filter((t=>{if(!n)return!0;if(t.label.toLowerCase().startsWith(n))return!0;if((t.data.placeCo?String(t.data.placeCo).toLowerCase():"").startsWith(n))return!0;return!!(t.data.placeCp?String(t.data.placeCp).toLowerCase():"").startsWith(n)})).slice(0,10)}async fetchJson(t){const i=t.replace(this.apiKey,"***");this.log(`GET ${i}`,"INFO");try{const i=await fetch(t);if(!i.ok)return this.log(`HTTP Error: ${i.status} ${i.statusText}`,"ERROR"),null;const e=await i.json();let a=JSON.stringify(e);return a.length>200&&(a=a.substring(0,200)+"..."),this.log(`Response: ${a}`,"INFO"),e}catch(t){return this.log(`Network Error: ${t.message}`,"ERROR"),null}}renderSuggestions(t){this.suggestionBox.innerHTML="",this.suggestionsData=t,this.activeIndex=t.length>0&&"complete"===t[0].type?0:-1,t&&0!==t.length?(t.forEach(((t,i)=>{const e=document.createElement("button");e.className="list-group-item list-group-item-action suggestion-item d-flex align-items-center justify-content-between",i===this.activeIndex&&e.classList.add("active");let a="bg-secondary";"municipality"===t.type&&(a="bg-primary"),"street"===t.type&&(a="bg-warning text-dark"),"place"===t.type&&(a="bg-info text-dark"),"complete"===t.type&&(a="bg-success",e.classList.add("suggestion-complete")),e.innerHTML=`\n                <span>${t.label}</span>\n                <span class="badge ${a} badge-type">${this.badgesLabels[t.type]}</span>\n            `,e.onclick=t=>{t.preventDefault(),this.selectSuggestion(i)},this.suggestionBox.appendChild(e)})),this.suggestionBox.style.display="block"):this.closeSuggestions()}selectSuggestion(t){const i=this.suggestionsData[t];if(i)if(this.log(`Selected: ${i.type} - ${i.label}`,"SUCCESS"),"complete"===i.type){this.inputElement.value=i.value;const t=this.mapToRuianPlace(i.data);this.triggerCallback(t),this.state.municipalityId=i.data.municipalityId,this.state.municipalityName=i.data.municipalityName,this.state.zip=i.data.zip,this.state.streetName=i.data.streetName||null,this.closeSuggestions()}else if("municipality"===i.type)this.state.municipalityId=i.data.municipalityId,this.state.municipalityName=i.data.municipalityName,this.state.zip=i.data.zip,this.state.streetName=null,this.inputElement.value=`${i.data.municipalityName}, `,this.handleInput(this.inputElement.value),this.inputElement.focus();else if("street"===i.type)this.state.streetName=i.value,this.inputElement.value=`${this.state.municipalityName}, ${i.value}, `,this.handleInput(this.inputElement.value),this.inputElement.focus();else if("place"===i.type){let t=`${this.state.municipalityName}, `;this.state.streetName&&(t+=`${this.state.streetName}, `);const e=i.data.placeZip||this.state.zip;this.inputElement.value=`${t}${i.value}, ${this.formatZip(e)}`,this.handleInput(this.inputElement.value),this.inputElement.focus()}}closeSuggestions(){this.suggestionBox&&(this.suggestionBox.style.display="none"),this.activeIndex=-1}handleKeydown(t){if(!this.suggestionBox||"none"===this.suggestionBox.style.display)return;const i=this.suggestionBox.querySelectorAll(".suggestion-item");"ArrowDown"===t.key?(t.preventDefault(),this.activeIndex=(this.activeIndex+1)%i.length,this.highlightItem(i)):"ArrowUp"===t.key?(t.preventDefault(),this.activeIndex=(this.activeIndex-1+i.length)%i.length,this.highlightItem(i)):"Enter"===t.key?(t.preventDefault(),this.activeIndex>-1&&this.selectSuggestion(this.activeIndex)):"Escape"===t.key&&this.closeSuggestions()}highlightItem(t){t.forEach((t=>t.classList.remove("active"))),t[this.activeIndex]&&(t[this.activeIndex].classList.add("active"),t[this.activeIndex].scrollIntoView({block:"nearest"}))}isNumber(t){return/^\d/.test(t.trim())}resetState(){this.state={municipalityId:null,municipalityName:null,zip:null,streetName:null}}triggerCallback(t){!1===t?(this.inputElement.classList.add("is-invalid"),this.inputElement.classList.remove("is-valid"),this.onValidationChange(!1,null)):null===t?(this.inputElement.classList.remove("is-valid","is-invalid"),this.onValidationChange(null,null)):(this.inputElement.classList.remove("is-invalid"),this.inputElement.classList.add("is-valid"),this.onValidationChange(!0,{RUIANplace:t}))}log(t,i){this.onLog(t,i)}}
\ No newline at end of file
+class RuianError extends Error{constructor(t,i,e){super(i),e=e||{},this.name="RuianError",this.type=t,this.status=e.status||null,this.path=e.path||null,this.retryAfter=void 0!==e.retryAfter?e.retryAfter:null,this.cause=e.cause||null,this.retryable=[RuianError.RATE_LIMIT,RuianError.SERVER,RuianError.NETWORK,RuianError.TIMEOUT].includes(t)}static fromStatus(t,i,e){let s=RuianError.REQUEST;return 401===t||403===t?s=RuianError.AUTH:429===t?s=RuianError.RATE_LIMIT:t>=500&&(s=RuianError.SERVER),new RuianError(s,i,Object.assign({},e,{status:t}))}static from(t,i){if(t instanceof RuianError)return t;const e=t&&t.message||String(t);return t&&"number"==typeof t.status?RuianError.fromStatus(t.status,e,{path:i,cause:t}):!t||"TimeoutError"!==t.name&&"AbortError"!==t.name?new RuianError(RuianError.NETWORK,e,{path:i,cause:t}):new RuianError(RuianError.TIMEOUT,e,{path:i,cause:t})}}function parseAddress(t){const i={street:null,cp:null,co:null,coLetter:null,ce:null,zip:null,municipality:null,part:null,cityDistrict:null,ignored:[],confidence:0,formats:[]},e=t=>{i.formats.includes(t)||i.formats.push(t)};let s=String(t||"").trim();/[\r\n]/.test(s)&&e("multiline"),s=s.replace(/[\r\n;]+/g,",");const a=/(?:^|[,\s])(?:[čc]esk[áa]\s+republika|czech\s+republic|czechia|[čc]r|cz)\.?\s*,?\s*$/i;a.test(s)&&(s=s.replace(a,""),e("country")),s=s.replace(/(?:^|[,\s])ps[čc]\s*:?(?=\s*\d)/gi," ");const n=s.split(",").map(t=>t.replace(/\s+/g," ").trim());let r=null,l=-1;for(let t=0;t<n.length&&!i.zip;t++){const s=n[t].match(/(?:^|\s)(\d{3}) ?(\d{2})(?=\s|$)/);if(!s)continue;i.zip=s[1]+s[2],e("zip");const a=n[t].substring(0,s.index).trim(),o=n[t].substring(s.index+s[0].length).trim();o&&(r=o,l=t,e(0!==t||a?"zip-city":"zip-first")),n[t]=a}const o=[{key:"ce",re:/(?:^|[\s,(])(?:[čc]\.?\s*ev\.?|ev\.?\s*[čc]\.?|ev\.)\s*(\d+)/i},{key:"cp",re:/(?:^|[\s,(])(?:[čc]\.?\s*p\.?|[čc]p\.?)\s*(\d+)/i},{key:"co",re:/(?:^|[\s,(])[čc]\.?\s*o\.?\s*(\d+)\s*([a-z])?(?=[\s,)]|$)/i}],c=t=>t.toLowerCase().normalize("NFD").replace(/[\u0300-\u036f]/g,""),u=/^(?:praha|brno|ostrava|plzen) \d{1,2}(?: ?- ?\D.*)?$/;let h=null;n.forEach((t,i)=>{if(i===l&&!t)return;let s=t,a=null;if(o.forEach(t=>{const n=s.match(t.re);n&&(a=a||{index:i,score:4,values:{}},a.values[t.key]=n[1],"co"===t.key&&n[2]&&(a.values.coLetter=n[2].toLowerCase()),e(`marker-${t.key}`),s=(s.substring(0,n.index)+" "+s.substring(n.index+n[0].length)).replace(/\s+/g," ").trim())}),a)a.before=s,a.after="";else{const t=s.match(/(?:^|\s)(\d+)(?:\s*\/\s*(\d+)\s*([a-z])?|\s*\/?\s*([a-z]))?(?=\s|$)/i);if(!t)return;if(!t[2]&&!t[4]&&u.test(c(s)))return;const e={};let n=t[1].length>=3?2:1;t[2]?(e.cp=t[1],e.co=t[2],t[3]&&(e.coLetter=t[3].toLowerCase()),n=3):t[4]?(e.co=t[1],e.coLetter=t[4].toLowerCase(),n=3):e.cp=t[1],a={index:i,score:n,values:e,before:s.substring(0,t.index).trim(),after:s.substring(t.index+t[0].length).trim()}}(!h||a.score>h.score)&&(h=a)}),h&&(Object.assign(i,h.values),h.values.co&&h.values.cp&&e("cp-co"),h.values.coLetter&&e("co-letter"),h.score<3&&!i.formats.some(t=>0===t.indexOf("marker-"))&&e("single-number"));const d=[];n.forEach((t,i)=>{h&&i===h.index||t&&d.push({index:i,text:t})});const p=h?h.index:n.length,m=d.filter(t=>t.index<p).map(t=>t.text),g=d.filter(t=>t.index>p).map(t=>t.text);if(i.municipality=r,h&&h.after&&(e("no-comma"),i.municipality?i.ignored.push(h.after):i.municipality=h.after),h&&h.before)i.street=h.before,e("street-number"),!i.municipality&&g.length?i.municipality=g.pop():!i.municipality&&m.length&&(i.municipality=m.pop(),e("city-first")),g.length&&(i.part=g.shift()),i.ignored=i.ignored.concat(m,g);else if(h)!i.municipality&&m.length>=2?(i.municipality=m.shift(),e("city-first")):i.municipality||m.length||!g.length?i.municipality||1!==m.length||g.length?!i.municipality&&g.length&&(i.municipality=g.pop()):i.municipality=m.shift():i.municipality=g.pop(),m.length&&(i.street=m.pop()),g.length&&(i.part=g.shift()),i.ignored=i.ignored.concat(m,g);else{const t=m.concat(g),s=t.findIndex(t=>u.test(c(t)));!i.municipality&&s>0?i.municipality=t.splice(s,1)[0]:!i.municipality&&t.length&&(i.municipality=t.shift(),t.length&&e("city-first")),t.length&&(i.street=t.shift()),i.ignored=i.ignored.concat(t)}const y=i.municipality&&i.municipality.match(/^(\D+?)(?:\s+(\d{1,2}))?(?:\s*-\s*(\D.*))?$/);if(y&&y[2]&&!y[3])i.cityDistrict=i.municipality,i.municipality=y[1],e("district");else if(y&&y[3]){const t=c(y[1]),s=Object.keys(RuianClient.cityDistricts).map(t=>RuianClient.cityDistricts[t]).find(i=>i.some(i=>c(i).startsWith(`${t} `)||c(i).startsWith(`${t}-`)));if(s){const t=y[2]?`${y[1]} ${y[2]}`:null,a=c(`${t||y[1]}-${y[3]}`),n=s.find(t=>c(t)===a);i.cityDistrict=n||t,n||i.part?n||c(i.part)===c(y[3])||i.ignored.push(y[3]):i.part=y[3],i.municipality=y[1],e("district")}}let f=1;return i.municipality||(f-=.35),i.cp||i.co||i.ce||(f-=.3),i.zip||(f-=.05),i.formats.includes("single-number")&&(f-=.1),f-=.1*i.ignored.length,i.confidence=Math.max(0,Math.round(100*f)/100),i}function formatAddress(t,i){const e=t||{},s=e.zip||e.placeZip?String(e.zip||e.placeZip).replace(/\s/g,""):"",a=5===s.length?`${s.substring(0,3)} ${s.substring(3)}`:s,n=RuianClient.formatHouseNumber(e),r=RuianClient.splitOrientationNumber(e),l=[e.streetName||e.municipalityPartName||e.municipalityName,n].filter(Boolean).join(" "),o=e.cityDistrictName||null,c=!!(o&&e.municipalityName&&o.startsWith(e.municipalityName)&&/\s\d+$/.test(o)),u=e.municipalityPartName||!c&&o||null,h=e.streetName&&u&&u!==e.municipalityName?u:null,d=[l,h,[a,c?o:e.municipalityName].filter(Boolean).join(" ")].filter(Boolean);switch(i||"single-line"){case"single-line":return d.join(", ");case"envelope":return d.join("\n");case"schema.org":return{"@context":"https://schema.org","@type":"PostalAddress",streetAddress:h?`${l}, ${h}`:l,addressLocality:e.municipalityName||null,addressRegion:e.regionName||null,postalCode:a||null,addressCountry:"CZ"};case"vcard":{const t=t=>String(t||"").replace(/([\\;,])/g,"\\$1").replace(/\n/g,"\\n");return"ADR:"+["",h,l,e.municipalityName,e.regionName,a,"Česká republika"].map(t).join(";")}case"json":return{street:e.streetName||null,houseNumber:n||null,cp:e.cp||e.placeCp||null,co:r.co,coLetter:r.coLetter,ce:e.ce||e.placeCe||null,municipalityPart:e.municipalityPartName||null,cityDistrict:e.cityDistrictName||null,municipality:e.municipalityName||null,zip:s||null,district:e.districtName||null,region:e.regionName||null,country:"CZ",ruianId:e.ruianId||e.id||e.placeId||null,coordinates:RuianClient.readCoordinates(e)};case"geojson":{const t=RuianClient.readCoordinates(e);return{type:"Feature",id:e.ruianId||e.id||e.placeId||null,geometry:t?{type:"Point",coordinates:[t.lon,t.lat]}:null,properties:Object.assign(formatAddress(e,"json"),{label:d.join(", ")})}}default:throw new Error(`formatAddress: unknown format "${i}"`)}}RuianError.AUTH="auth",RuianError.RATE_LIMIT="rate-limit",RuianError.SERVER="server",RuianError.NETWORK="network",RuianError.TIMEOUT="timeout",RuianError.REQUEST="request";const SJTSK={a:6377397.155,f:1/299.1528128,latC:49.5,lon0:24+50/60,alphaC:30.28813975277778,latP:78.5,kP:.9999,toWgs84:[570.8,85.7,462.8,4.998,1.587,5.261,3.56]},WGS84_ELLIPSOID={a:6378137,f:1/298.257223563};function sjtskToWgs84(t,i){const e=Math.min(Math.abs(t),Math.abs(i)),s=Math.max(Math.abs(t),Math.abs(i)),a=krovakConstants(),n=Math.PI/180,r=Math.sqrt(s*s+e*e),l=Math.atan2(e,s)/a.n,o=2*(Math.atan(Math.pow(a.r0/r,1/a.n)*Math.tan(Math.PI/4+SJTSK.latP*n/2))-Math.PI/4),c=Math.asin(Math.cos(SJTSK.alphaC*n)*Math.sin(o)-Math.sin(SJTSK.alphaC*n)*Math.cos(o)*Math.cos(l)),u=Math.asin(Math.cos(o)*Math.sin(l)/Math.cos(c)),h=SJTSK.lon0*n-u/a.B;let d=c;for(let t=0;t<10;t++){const t=a.e*Math.sin(d);d=2*(Math.atan(Math.pow(a.t0,-1/a.B)*Math.pow(Math.tan(c/2+Math.PI/4),1/a.B)*Math.pow((1+t)/(1-t),a.e/2))-Math.PI/4)}const p=cartesianToGeodetic(helmertTransform(geodeticToCartesian(d,h,SJTSK),SJTSK.toWgs84,1),WGS84_ELLIPSOID);return{lat:Math.round(p.lat/n*1e7)/1e7,lon:Math.round(p.lon/n*1e7)/1e7}}function wgs84ToSjtsk(t,i){const e=krovakConstants(),s=Math.PI/180,a=cartesianToGeodetic(helmertTransform(geodeticToCartesian(t*s,i*s,WGS84_ELLIPSOID),SJTSK.toWgs84,-1),SJTSK),n=e.e*Math.sin(a.lat),r=2*(Math.atan(e.t0*Math.pow(Math.tan(a.lat/2+Math.PI/4),e.B)/Math.pow((1+n)/(1-n),e.e*e.B/2))-Math.PI/4),l=e.B*(SJTSK.lon0*s-a.lon),o=Math.asin(Math.cos(SJTSK.alphaC*s)*Math.sin(r)+Math.sin(SJTSK.alphaC*s)*Math.cos(r)*Math.cos(l)),c=Math.asin(Math.cos(r)*Math.sin(l)/Math.cos(o)),u=e.n*c,h=e.r0*Math.pow(Math.tan(Math.PI/4+SJTSK.latP*s/2),e.n)/Math.pow(Math.tan(o/2+Math.PI/4),e.n);return{x:-Math.round(h*Math.sin(u)*100)/100,y:-Math.round(h*Math.cos(u)*100)/100}}function krovakConstants(){if(!SJTSK.constants){const t=Math.PI/180,i=SJTSK.f*(2-SJTSK.f),e=Math.sqrt(i),s=SJTSK.latC*t,a=SJTSK.a*Math.sqrt(1-i)/(1-i*Math.pow(Math.sin(s),2)),n=Math.sqrt(1+i*Math.pow(Math.cos(s),4)/(1-i)),r=Math.asin(Math.sin(s)/n),l=Math.tan(Math.PI/4+r/2)*Math.pow((1+e*Math.sin(s))/(1-e*Math.sin(s)),e*n/2)/Math.pow(Math.tan(Math.PI/4+s/2),n);SJTSK.constants={e:e,B:n,t0:l,n:Math.sin(SJTSK.latP*t),r0:SJTSK.kP*a/Math.tan(SJTSK.latP*t)}}return SJTSK.constants}function geodeticToCartesian(t,i,e){const s=e.f*(2-e.f),a=e.a/Math.sqrt(1-s*Math.pow(Math.sin(t),2));return[a*Math.cos(t)*Math.cos(i),a*Math.cos(t)*Math.sin(i),a*(1-s)*Math.sin(t)]}function cartesianToGeodetic(t,i){const e=i.f*(2-i.f),s=Math.sqrt(t[0]*t[0]+t[1]*t[1]);let a=Math.atan2(t[2],s*(1-e));for(let n=0;n<10;n++){const n=i.a/Math.sqrt(1-e*Math.pow(Math.sin(a),2));a=Math.atan2(t[2]+e*n*Math.sin(a),s)}return{lat:a,lon:Math.atan2(t[1],t[0])}}function helmertTransform(t,i,e){const s=Math.PI/180/3600,[a,n,r]=i.slice(0,3).map(t=>t*e),[l,o,c]=i.slice(3,6).map(t=>t*s*e),u=1+1e-6*i[6]*e,[h,d,p]=t;return[a+u*(h-c*d+o*p),n+u*(c*h+d-l*p),r+u*(-o*h+l*d+p)]}class RuianClient{constructor(t){t=t||{},this.apiKey=t.apiKey,this.baseUrl=(t.baseUrl||"https://ruian.fnx.io/api/v1/").replace(/\/?$/,"/"),this.transport="function"==typeof t.transport?t.transport:null,this.proxyMode=!(!this.transport&&!t.baseUrl),this.onLog=t.onLog||function(){},this.onProgress=t.onProgress||function(){},this.onError=t.onError||function(){},this.eventHandlers={},this.timeout=void 0!==t.timeout?t.timeout:1e4,this.retries=void 0!==t.retries?t.retries:2,this.retryDelay=void 0!==t.retryDelay?t.retryDelay:500,this.diagnosticMessages=Object.assign({"missing-municipality":"The municipality is missing.","missing-number":"The house number is missing.","municipality-not-found":'Municipality "{municipality}" was not found.',"street-not-found":'Street "{street}" does not exist in {municipality}.',"number-not-found":"House number {number} was not found in {place}.","zip-mismatch":"ZIP {zip} does not match {address} — did you mean {suggestion}?","lookup-failed":"The address could not be verified right now.","not-found":"The address was not found."},t.diagnosticMessages||{}),this.storage=t.storage||("undefined"!=typeof localStorage?RuianClient.webStorage(localStorage):RuianClient.memoryStorage()),this.cachePreservation=void 0!==t.cachePreservation?t.cachePreservation:24,this.fuzzySearch=void 0===t.fuzzySearch||!!t.fuzzySearch,this.listCachePreservation=void 0!==t.listCachePreservation?t.listCachePreservation:24,this.listStore=this.createListStore(t.listCacheStore||"memory"),this.preloadConcurrency=Math.max(1,t.preloadConcurrency||4),this.zipData=t.zipData||null,this.partsData=t.partsData||null,this.seenZips=new Map,this.pointsData=t.pointsData||null,this.municipalityData=t.municipalityData||null,this.municipalityDirectory=null,this.municipalityDirectoryPromise=null,this.municipalitiesById=new Map,this.administrativeSource=null,this.administrativeCacheChecked=!1,this.directoryPromises=new Map,this.pointPromises=new Map,this.partIndex=null,this.allMunicipalities=null,this.municipalityIndex=null,this.municipalitiesPromise=null,this.regionIds=["CZ010","CZ020","CZ031","CZ032","CZ041","CZ042","CZ051","CZ052","CZ053","CZ063","CZ064","CZ071","CZ072","CZ080"],this.loadedRegions={},this.partialMunicipalities=[],this.regionWaiters=[],this.regionsRetryAt=0,this.listCache=new Map,this.inflight=new Map;const i=t.cacheReset?Promise.all([this.storage.removeItem("ruian_municipalities_cache"),this.storage.removeItem("ruian_zip_cache"),this.clearListCache()]).then(()=>this.log("Cache reset on init","INFO"),()=>{}):Promise.resolve();this.zipCache={},this.zipCacheTimestamp=Date.now(),this.zipCacheReady=i.then(()=>this.loadZipCache())}static webStorage(t){return t=t||localStorage,{getItem:i=>t.getItem(i),setItem:(i,e)=>t.setItem(i,e),removeItem:i=>t.removeItem(i),keys:()=>Object.keys(t)}}static memoryStorage(){const t=new Map;return{getItem:i=>t.has(i)?t.get(i):null,setItem:(i,e)=>{t.set(i,String(e))},removeItem:i=>{t.delete(i)},keys:()=>Array.from(t.keys())}}static fileStorage(t){if(RuianClient.fileStores=RuianClient.fileStores||new Map,RuianClient.fileStores.has(t))return RuianClient.fileStores.get(t);const i=require("fs");let e=null;const s=()=>{if(!e)try{e=JSON.parse(i.readFileSync(t,"utf8"))}catch(t){e={}}return e},a=()=>i.writeFileSync(t,JSON.stringify(e)),n={getItem:t=>Object.prototype.hasOwnProperty.call(s(),t)?s()[t]:null,setItem:(t,i)=>{s()[t]=String(i),a()},removeItem:t=>{delete s()[t],a()},keys:()=>Object.keys(s())};return RuianClient.fileStores.set(t,n),n}static indexedDBStorage(t){let i=null;const e=async(e,s)=>{const a=await(i||(i=new Promise(i=>{if("undefined"==typeof indexedDB)return i(null);const e=indexedDB.open(t||"ruian_widget_cache",1);e.onupgradeneeded=()=>e.result.createObjectStore("lists"),e.onsuccess=()=>i(e.result),e.onerror=()=>i(null)})),i);return a?new Promise((t,i)=>{const n=s(a.transaction("lists",e).objectStore("lists"));n.onsuccess=()=>t(void 0===n.result?null:n.result),n.onerror=()=>i(n.error)}):null};return{getItem:t=>e("readonly",i=>i.get(t)),setItem:(t,i)=>e("readwrite",e=>e.put(i,t)),removeItem:t=>e("readwrite",i=>i.delete(t)),keys:async()=>await e("readonly",t=>t.getAllKeys())||[]}}createListStore(t){return t&&"object"==typeof t?t:"localStorage"===t&&"undefined"!=typeof localStorage?RuianClient.webStorage(localStorage):"indexedDB"===t?RuianClient.indexedDBStorage():null}setApiKey(t){this.apiKey=t}setBaseUrl(t){this.baseUrl=(t||"https://ruian.fnx.io/api/v1/").replace(/\/?$/,"/"),this.proxyMode=!(!this.transport&&!t)}async validate(t,i){return i=i||{},t&&String(t).trim()?this.validateParams(this.buildValidateParams(t,i.context),i):{valid:null,status:null,place:null,label:null,diagnostics:null}}async validateParams(t,i){const e=(i=i||{}).context||{};let s=null;if(this.canQuery()?s=await this.apiRequest("ruian/validate",this.toValidateQuery(t),i.signal):this.log("Missing API Key!","ERROR"),s&&"MATCH"===s.status){this.log("Address is VALID (MATCH)","SUCCESS"),await this.ensureAdministrativeData();const t=this.mapToRuianPlace(await this.withCoordinates(s.place),e);return this.rememberZip(t),{valid:!0,status:s.status,place:t,label:this.buildPostalLabel(t),diagnostics:null}}const a=i.signal&&i.signal.aborted,n=!1===i.diagnostics||a?null:await this.diagnoseValidation(t,s,i.signal,e);return{valid:!1,status:s&&s.status||null,place:null,label:null,diagnostics:n}}fieldsToValidateParams(t,i){i=i||{};const e=parseAddress(String(t.number||""));return{municipalityName:i.municipalityName||String(t.city||"").trim()||null,street:String(t.street||"").trim()||null,cp:e.cp,co:e.co,coLetter:e.coLetter,ce:e.ce,zip:String(t.zip||"").replace(/\s/g,"")||null}}async*validateMany(t,i){i=i||{};const e=Array.from(t||[]),s=i.signal,a=Math.max(1,i.concurrency||4),n=void 0!==i.rateLimit?i.rateLimit:5,r=n>0?1e3/n:0,l=i.resume?`ruian_batch:${i.resume}`:null,o=l?await this.loadBatch(l):{},c=e.map((t,i)=>o[i]&&JSON.stringify(o[i].input)===JSON.stringify(t)?o[i]:null),u=e.map((t,i)=>i).filter(t=>!c[t]);l&&u.length<e.length&&this.log(`Resuming batch "${i.resume}": ${e.length-u.length} of ${e.length} already done`,"INFO");let h=null,d=!1,p=!1;const m=()=>h&&h();let g=0;const y=async()=>{const t=Date.now(),i=g-t;g=Math.max(t,g)+r,i>0&&await new Promise(t=>setTimeout(t,i))};let f=0,v=0;const b=async()=>{for(;f<u.length&&!d&&(!s||!s.aborted);){const t=u[f++];if(await y(),d||s&&s.aborted)break;const a=await this.validateBatchItem(e[t],t,i);if(s&&s.aborted)break;l&&"ERROR"!==a.status&&(o[t]=a,++v>=25&&(v=0,await this.saveBatch(l,o))),c[t]=a,m()}},C=[];for(let t=0;t<Math.min(a,u.length);t++)C.push(b());const I=Promise.all(C).then(()=>{p=!0,m()});try{for(let t=0;t<e.length;t++){for(;!c[t];){if(p)return;await new Promise(t=>{h=t})}yield c[t]}}finally{d=!0,await I,l&&await this.saveBatch(l,o)}}async validateBatchItem(t,i,e){const s="string"==typeof t?t:t&&t.address||null,a=null===s&&t&&"object"==typeof t?t:null,n={context:e.context,signal:e.signal,diagnostics:!!e.diagnostics};let r;try{r=a&&[a.city,a.street,a.number,a.zip].some(t=>t&&String(t).trim())?await this.validateParams(this.fieldsToValidateParams(a,e.context),n):await this.validate(s,n)}catch(t){this.log(`Batch row ${i} failed: ${t.message}`,"ERROR"),r={valid:!1,status:null,place:null,label:null,diagnostics:null}}let l="ERROR";return r.valid?l="MATCH":null===r.valid?l="EMPTY":r.status&&(l="NO-MATCH"),{index:i,input:t,status:l,valid:r.valid,label:r.label,ruianId:r.place?r.place.ruianId:null,place:r.place,diagnostics:r.diagnostics,apiStatus:r.status}}async loadBatch(t){try{const i=await this.storage.getItem(t);return i?JSON.parse(i):{}}catch(t){return{}}}async saveBatch(t,i){try{await this.storage.setItem(t,JSON.stringify(i))}catch(t){this.log(`Could not save batch progress: ${t.message}`,"WARN")}}async clearBatch(t){await this.storage.removeItem(`ruian_batch:${t}`)}async*validateCsv(t,i){const e=(i=i||{}).delimiter||RuianClient.detectCsvDelimiter(t),s=RuianClient.parseCsv(t,e),a=s.shift()||[],n=i.columns||{},r={};if(["address","city","street","number","zip"].forEach(t=>{void 0!==n[t]&&null!==n[t]&&(r[t]=(t=>{const i="number"==typeof t?t:a.findIndex(i=>i.trim().toLowerCase()===String(t).trim().toLowerCase());if(i<0||i>=a.length)throw new Error(`RuianClient: CSV column "${t}" not found`);return i})(n[t]))}),void 0===r.address&&(void 0===r.city||void 0===r.number))throw new Error("RuianClient: CSV columns need 'address', or 'city' and 'number'");const l=Object.assign({status:"ruian_status",label:"ruian_label",ruianId:"ruian_id",message:"ruian_message"},i.output||{}),o=Object.keys(l).filter(t=>l[t]),c=s.map(t=>{if(void 0!==r.address)return t[r.address]||"";const i={};return["city","street","number","zip"].forEach(e=>{i[e]=void 0!==r[e]&&t[r[e]]||""}),i});yield RuianClient.toCsv([a.concat(o.map(t=>l[t]))],e);for await(const t of this.validateMany(c,i)){const i={status:t.status,label:t.label||"",ruianId:t.ruianId||"",message:t.diagnostics?t.diagnostics.message:"",lat:t.place&&t.place.coordinates?t.place.coordinates.lat:"",lon:t.place&&t.place.coordinates?t.place.coordinates.lon:""};yield RuianClient.toCsv([s[t.index].concat(o.map(t=>i[t]))],e)}}static detectCsvDelimiter(t){const i=String(t).split(/\r?\n/)[0],e=t=>i.split(t).length-1;return e("\t")>Math.max(e(";"),e(","))?"\t":e(";")>e(",")?";":","}static parseCsv(t,i){i=i||",";const e=String(t).replace(/^\uFEFF/,""),s=[];let a=[],n="",r=!1;for(let t=0;t<e.length;t++){const l=e[t];r?'"'===l&&'"'===e[t+1]?(n+='"',t++):'"'===l?r=!1:n+=l:'"'===l&&""===n?r=!0:l===i?(a.push(n),n=""):"\n"===l||"\r"===l?("\r"===l&&"\n"===e[t+1]&&t++,a.push(n),s.push(a),a=[],n=""):n+=l}return(""!==n||a.length)&&(a.push(n),s.push(a)),s.filter(t=>t.length>1||""!==t[0])}static toCsv(t,i){return i=i||",",t.map(t=>t.map(t=>{const e=null==t?"":String(t);return e.includes(i)||/["\r\n]/.test(e)?`"${e.replace(/"/g,'""')}"`:e}).join(i)+"\r\n").join("")}on(t,i){return(this.eventHandlers[t]=this.eventHandlers[t]||[]).push(i),this}off(t,i){return this.eventHandlers[t]&&(this.eventHandlers[t]=this.eventHandlers[t].filter(t=>t!==i)),this}emit(t,i){(this.eventHandlers[t]||[]).slice().forEach(e=>{try{e(i)}catch(i){this.log(`Handler of ${t} failed: ${i.message}`,"WARN")}})}log(t,i){this.onLog(t,i)}normalizePlace(t){const i=(i,e)=>void 0!==t[i]&&null!==t[i]?t[i]:void 0!==t[e]?t[e]:null;return{id:i("id","placeId"),municipalityId:t.municipalityId,municipalityName:t.municipalityName,municipalityPartId:t.municipalityPartId||null,municipalityPartName:t.municipalityPartName||null,streetName:t.streetName||null,cp:i("cp","placeCp"),co:RuianClient.splitOrientationNumber(t).co,coLetter:RuianClient.splitOrientationNumber(t).coLetter,ce:i("ce","placeCe"),zip:i("zip","placeZip"),regionId:t.regionId||null,regionName:t.regionName||null,districtId:t.districtId||null,districtName:t.districtName||null,orpId:t.orpId||null,orpName:t.orpName||null,pouId:t.pouId||null,pouName:t.pouName||null,coordinates:RuianClient.readCoordinates(t)}}canQuery(){return!(!this.apiKey&&!this.proxyMode)}formatZip(t){if(!t)return"";const i=String(t).replace(/\s/g,"");return 5===i.length?`${i.substring(0,3)} ${i.substring(3)}`:i}async loadMunicipalitiesFromCache(){try{const t=await this.storage.getItem("ruian_municipalities_cache");if(!t)return null;const i=JSON.parse(t),e=(Date.now()-i.timestamp)/36e5;return e>this.cachePreservation?(this.log(`Cache expired (${e.toFixed(1)}h > ${this.cachePreservation}h)`,"INFO"),null):(this.log(`Loaded ${i.municipalities.length} municipalities from cache (${e.toFixed(1)}h old)`,"SUCCESS"),i.municipalities)}catch(t){return null}}async saveMunicipalitiesToCache(t){try{const i={timestamp:Date.now(),municipalities:t};await this.storage.setItem("ruian_municipalities_cache",JSON.stringify(i)),this.log(`Saved ${t.length} municipalities to cache`,"SUCCESS")}catch(t){this.log(`Failed to cache municipalities: ${t.message}`,"WARN")}}isFresh(t,i){return(Date.now()-t)/36e5<=i}async loadZipCache(){try{const t=JSON.parse(await this.storage.getItem("ruian_zip_cache"));t&&this.isFresh(t.timestamp,this.cachePreservation)&&(this.zipCacheTimestamp=t.timestamp,this.zipCache=Object.assign(t.zips||{},this.zipCache))}catch(t){}return this.zipCache}async saveZipCache(){try{await this.storage.setItem("ruian_zip_cache",JSON.stringify({timestamp:this.zipCacheTimestamp,zips:this.zipCache}))}catch(t){this.log(`Failed to cache ZIP codes: ${t.message}`,"WARN")}}async readPersistent(t){if(!this.listStore)return null;try{const i=await this.listStore.getItem("ruian_list_cache:"+t);return i?JSON.parse(i):null}catch(t){this.log(`Failed to read list cache: ${t.message}`,"WARN")}return null}async writePersistent(t,i){if(this.listStore)try{await this.listStore.setItem("ruian_list_cache:"+t,JSON.stringify(i))}catch(t){this.log(`Failed to cache list: ${t.message}`,"WARN")}}async clearListCache(){if(this.listCache.clear(),this.listStore)try{const t=await this.listStore.keys();await Promise.all(t.filter(t=>0===String(t).indexOf("ruian_list_cache:")).map(t=>this.listStore.removeItem(t)))}catch(t){this.log(`Failed to clear list cache: ${t.message}`,"WARN")}}shareInflight(t,i){if(!this.inflight.has(t)){const e=i();this.inflight.set(t,e);const s=()=>this.inflight.delete(t);e.then(s,s)}return this.inflight.get(t)}untilAborted(t,i){return i?i.aborted?Promise.resolve(null):new Promise((e,s)=>{i.addEventListener("abort",()=>e(null),{once:!0}),t.then(e,s)}):t}async cachedRequest(t,i,e){const s=t+"?"+JSON.stringify(this.cleanParams(i)),a=this.listCache.get(s);if(a&&this.isFresh(a.timestamp,this.listCachePreservation))return a.data;const n=this.shareInflight(s,async()=>{const e=await this.readPersistent(s);if(e&&this.isFresh(e.timestamp,this.listCachePreservation))return this.listCache.set(s,e),e.data;const a=await this.apiRequest(t,i);if(a){const t={timestamp:Date.now(),data:a};this.listCache.set(s,t),this.writePersistent(s,t)}return a});return this.untilAborted(n,e)}async loadAllMunicipalities(){if(this.allMunicipalities)return this.allMunicipalities;if(this.municipalitiesPromise)return this.municipalitiesPromise;this.municipalitiesPromise=this.loadMunicipalities();try{return await this.municipalitiesPromise}finally{this.municipalitiesPromise=null}}async loadMunicipalities(){const t=await this.loadMunicipalitiesFromCache();return t?(this.setMunicipalities(t),this.reportProgress(this.regionIds.length,this.regionIds.length),this.emit("cache-loaded",{count:t.length,source:"cache"}),t):Date.now()<this.regionsRetryAt?this.partialMunicipalities:this.loadRegions()}async getSearchableMunicipalities(){if(this.allMunicipalities)return this.allMunicipalities;const t=this.loadAllMunicipalities();if(0===this.partialMunicipalities.length){let i=null;const e=new Promise(t=>{i=t,this.regionWaiters.push(t)});try{await Promise.race([t,e])}finally{this.regionWaiters=this.regionWaiters.filter(t=>t!==i)}}return this.allMunicipalities||this.partialMunicipalities}async loadRegions(){const t=this.regionIds.length,i=this.regionIds.filter(t=>!this.loadedRegions[t]);this.log(`Loading municipalities of ${i.length} regions from API...`,"INFO"),this.reportProgress(t-i.length,t);let e=0;const s=async()=>{for(;e<i.length;){const s=i[e++],a=await this.loadRegion(s);a&&(this.loadedRegions[s]=a,this.partialMunicipalities=this.collectLoadedRegions(),this.reportProgress(Object.keys(this.loadedRegions).length,t),this.regionWaiters.splice(0).forEach(t=>t()))}},a=[];for(let t=0;t<Math.min(this.preloadConcurrency,i.length);t++)a.push(s());await Promise.all(a);const n=this.regionIds.filter(t=>!this.loadedRegions[t]);if(n.length>0)return this.regionsRetryAt=Date.now()+3e4,this.log(`Municipality list incomplete, failed regions: ${n.join(", ")} (not cached, will retry)`,"ERROR"),this.partialMunicipalities;const r=this.collectLoadedRegions();return this.setMunicipalities(r),this.log(`Loaded ${r.length} municipalities`,"SUCCESS"),this.emit("cache-loaded",{count:r.length,source:"api"}),await this.saveMunicipalitiesToCache(r),r}async loadRegion(t){const i=await this.apiRequest("ruian/build/municipalities",{regionId:t});return i&&i.data?i.data.map(i=>{const e={municipalityId:i.municipalityId,municipalityName:i.municipalityName,regionId:t,regionName:this.getRegionName(t)};return["districtId","districtName","orpId","orpName","pouId","pouName"].forEach(t=>{void 0!==i[t]&&null!==i[t]&&(e[t]=i[t])}),e}):null}collectLoadedRegions(){return this.regionIds.filter(t=>this.loadedRegions[t]).reduce((t,i)=>t.concat(this.loadedRegions[i]),[])}reportProgress(t,i){try{this.onProgress(t,i)}catch(t){this.log(`onProgress callback failed: ${t.message}`,"WARN")}}setMunicipalities(t){this.allMunicipalities=t,this.municipalityIndex=this.buildMunicipalityIndex(t)}buildMunicipalityIndex(t,i){const e=Date.now(),s=t.map(t=>this.normalizeText(t[i||"municipalityName"])),a=new Map;return s.forEach((t,i)=>{this.bigrams(t).forEach(t=>{let e=a.get(t);e||(e=[],a.set(t,e)),e.push(i)})}),this.log(`Indexed ${t.length} ${i?"names":"municipalities"} in ${Date.now()-e} ms`,"INFO"),{source:t,names:s,grams:a,lookups:new Map}}ensureMunicipalityIndex(t){this.municipalityIndex&&this.municipalityIndex.source===t||(this.municipalityIndex=this.buildMunicipalityIndex(t))}bigrams(t){const i=new Set;for(let e=0;e<t.length-1;e++)i.add(t.substring(e,e+2));return i}lookupMunicipalities(t,i,e){e=e||this.municipalityIndex;const s=`${i}|${t}`;if(e.lookups.has(s))return e.lookups.get(s);const a=[];return this.indexCandidates(t,i,e).forEach(s=>{const n=this.rankName(e.names[s],t,i);n&&a.push({municipality:e.source[s],rank:n})}),e.lookups.set(s,a),e.lookups.size>50&&e.lookups.delete(e.lookups.keys().next().value),a}indexCandidates(t,i,e){const s=this.bigrams(t);if(!s.size)return e.names.map((t,i)=>i);const a=new Set;if(i)for(let i=0;i<t.length-1;i++)a.add(t[i+1]+t[i]);const n=a.size===t.length-1&&!Array.from(a).some(t=>s.has(t)),r=Math.max(1,s.size-(n?2:3)*i);a.forEach(t=>s.add(t));const l=Array.from(s,t=>e.grams.get(t)||[]).sort((t,i)=>t.length-i.length),o=new Uint8Array(e.names.length);l.forEach(t=>t.forEach(t=>{o[t]++}));const c=[];return l.slice(0,l.length-r+1).forEach(t=>t.forEach(t=>{o[t]>=r&&(c.push(t),o[t]=0)})),c}getRegionName(t){return{CZ010:"Hlavní město Praha",CZ020:"Středočeský kraj",CZ031:"Jihočeský kraj",CZ032:"Plzeňský kraj",CZ041:"Karlovarský kraj",CZ042:"Ústecký kraj",CZ051:"Liberecký kraj",CZ052:"Královéhradecký kraj",CZ053:"Pardubický kraj",CZ063:"Kraj Vysočina",CZ064:"Jihomoravský kraj",CZ071:"Olomoucký kraj",CZ072:"Zlínský kraj",CZ080:"Moravskoslezský kraj"}[t]||t}getDistrictName(t){return{CZ0100:"Praha",CZ0201:"Benešov",CZ0202:"Beroun",CZ0203:"Kladno",CZ0204:"Kolín",CZ0205:"Kutná Hora",CZ0206:"Mělník",CZ0207:"Mladá Boleslav",CZ0208:"Nymburk",CZ0209:"Praha-východ",CZ020A:"Praha-západ",CZ020B:"Příbram",CZ020C:"Rakovník",CZ0311:"České Budějovice",CZ0312:"Český Krumlov",CZ0313:"Jindřichův Hradec",CZ0314:"Písek",CZ0315:"Prachatice",CZ0316:"Strakonice",CZ0317:"Tábor",CZ0321:"Domažlice",CZ0322:"Klatovy",CZ0323:"Plzeň-město",CZ0324:"Plzeň-jih",CZ0325:"Plzeň-sever",CZ0326:"Rokycany",CZ0327:"Tachov",CZ0411:"Cheb",CZ0412:"Karlovy Vary",CZ0413:"Sokolov",CZ0421:"Děčín",CZ0422:"Chomutov",CZ0423:"Litoměřice",CZ0424:"Louny",CZ0425:"Most",CZ0426:"Teplice",CZ0427:"Ústí nad Labem",CZ0511:"Česká Lípa",CZ0512:"Jablonec nad Nisou",CZ0513:"Liberec",CZ0514:"Semily",CZ0521:"Hradec Králové",CZ0522:"Jičín",CZ0523:"Náchod",CZ0524:"Rychnov nad Kněžnou",CZ0525:"Trutnov",CZ0531:"Chrudim",CZ0532:"Pardubice",CZ0533:"Svitavy",CZ0534:"Ústí nad Orlicí",CZ0631:"Havlíčkův Brod",CZ0632:"Jihlava",CZ0633:"Pelhřimov",CZ0634:"Třebíč",CZ0635:"Žďár nad Sázavou",CZ0641:"Blansko",CZ0642:"Brno-město",CZ0643:"Brno-venkov",CZ0644:"Břeclav",CZ0645:"Hodonín",CZ0646:"Vyškov",CZ0647:"Znojmo",CZ0711:"Jeseník",CZ0712:"Olomouc",CZ0713:"Prostějov",CZ0714:"Přerov",CZ0715:"Šumperk",CZ0721:"Kroměříž",CZ0722:"Uherské Hradiště",CZ0723:"Vsetín",CZ0724:"Zlín",CZ0801:"Bruntál",CZ0802:"Frýdek-Místek",CZ0803:"Karviná",CZ0804:"Nový Jičín",CZ0805:"Opava",CZ0806:"Ostrava-město"}[t]||t}administrativeData(t){const i=this.allMunicipalities||this.partialMunicipalities;this.administrativeSource!==i&&(this.administrativeSource=i,this.municipalitiesById=new Map(i.map(t=>[String(t.municipalityId),t])));const e=String(t),s=Object.assign({},this.municipalitiesById.get(e),this.municipalityDirectory&&this.municipalityDirectory.get(e)),a=s.districtId||null,n=s.regionId||(a?String(a).substring(0,5):null);return{regionId:n,regionName:s.regionName||(n?this.getRegionName(n):null),districtId:a,districtName:s.districtName||(a?this.getDistrictName(a):null),orpId:s.orpId||null,orpName:s.orpName||null,pouId:s.pouId||null,pouName:s.pouName||null}}async ensureAdministrativeData(){if(!this.allMunicipalities&&!this.municipalitiesPromise&&!this.administrativeCacheChecked){this.administrativeCacheChecked=!0;const t=await this.loadMunicipalitiesFromCache();t&&!this.allMunicipalities&&(this.setMunicipalities(t),this.emit("cache-loaded",{count:t.length,source:"cache"}))}if(this.municipalityData&&!this.municipalityDirectory){if(!this.municipalityDirectoryPromise){const t="function"==typeof this.municipalityData?Promise.resolve().then(()=>this.municipalityData()).catch(t=>(this.log(`Failed to load municipalityData: ${t.message}`,"WARN"),[])):this.loadDirectory(this.municipalityData);this.municipalityDirectoryPromise=t.then(t=>{this.municipalityDirectoryPromise=null,t&&t.length&&(this.municipalityDirectory=new Map(t.map(t=>[String(t.municipalityId),t])))})}await this.municipalityDirectoryPromise}}async fetchMunicipalityZip(t){return await this.zipCacheReady,this.zipCache[t]?this.zipCache[t]:this.shareInflight(`zip:${t}`,()=>this.lookupMunicipalityZip(t))}async lookupMunicipalityZip(t){let i=null;try{const e=await this.apiRequest("ruian/validate",{municipalityId:t,cp:1});e&&e.place&&(i=e.place.zip||e.place.placeZip)}catch(t){}if(!i)try{const e=await this.apiRequest("ruian/build/places",{municipalityId:t,streetName:"-",limit:1});e&&e.data&&e.data.length>0?i=e.data[0].placeZip||e.data[0].zip:e&&e.length>0&&(i=e[0].placeZip||e[0].zip)}catch(t){}if(!i)try{const e=await this.apiRequest("ruian/build/streets",{municipalityId:t,limit:1}),s=e&&e.data?e.data:e;if(s&&s.length>0){const e=s[0].streetName,a=await this.apiRequest("ruian/build/places",{municipalityId:t,streetName:e,limit:1}),n=a&&a.data?a.data:a;n&&n.length>0&&(i=n[0].placeZip||n[0].zip)}}catch(i){this.log(`Error fetching ZIP for ${t}: ${i.message}`,"ERROR")}return i?(this.zipCache[t]=i,this.saveZipCache(),i):null}mapToRuianPlace(t,i){i=i||{};const e=String(t.municipalityId)===String(i.municipalityId),s=RuianClient.splitOrientationNumber(t),a=this.administrativeData(t.municipalityId);return{valid:!0,municipalityId:t.municipalityId,municipalityName:t.municipalityName,municipalityPartId:t.municipalityPartId||null,municipalityPartName:t.municipalityPartName||e&&i.municipalityPartName||null,cityDistrictName:t.cityDistrictName||e&&i.cityDistrictName||null,streetName:t.streetName||null,ce:t.ce||null,cp:t.cp||null,co:s.co,coLetter:s.coLetter,zip:t.zip,id:t.id||t.ruianId,ruianId:t.ruianId||t.id,regionId:t.regionId||a.regionId,regionName:t.regionName||a.regionName,districtId:t.districtId||a.districtId,districtName:t.districtName||a.districtName,orpId:t.orpId||a.orpId,orpName:t.orpName||a.orpName,pouId:t.pouId||a.pouId,pouName:t.pouName||a.pouName,coordinates:RuianClient.readCoordinates(t)}}buildValidateParams(t,i){i=i||{};const e=parseAddress(t);e.formats.length&&this.log(`Format detected: ${e.formats.join(", ")}`,"INFO");let s=e.municipality,a=i.streetName||e.street;if(i.municipalityName){const t=[i.municipalityName,i.municipalityPartName,i.cityDistrictName].filter(Boolean).map(t=>this.normalizeText(t));!s||a||t.includes(this.normalizeText(s))||t.includes(this.normalizeText(e.cityDistrict||""))||(a=s),s=i.municipalityName}else s||!a||i.streetName||(s=a);return s&&a&&this.normalizeText(s)===this.normalizeText(a)&&(a=null),{municipalityName:s||null,street:a||null,cp:e.cp,co:e.co,coLetter:e.coLetter,ce:e.ce,zip:e.zip||i.zip||null}}buildPostalLabel(t){return formatAddress(t,"single-line")}async diagnoseValidation(t,i,e,s){s=s||{};const a={valid:!1,status:i&&i.status||null,reason:"not-found",message:null,parsed:t,partialMatch:i&&i.place?i.place:null,apiMessage:i&&i.message?i.message:null,suggestions:[]},n=RuianClient.formatHouseNumber(t),r={municipality:t.municipalityName,street:t.street,number:n,zip:this.formatZip(t.zip),place:t.street||t.municipalityName},l=t=>(a.reason=t,a.message=this.formatMessage(this.diagnosticMessages[t],r),this.log(`Invalid address: ${a.message}`,"WARN"),a);if(!i)return l("lookup-failed");if(!t.municipalityName)return l("missing-municipality");if(!t.cp&&!t.co&&!t.ce)return l("missing-number");try{const i=await this.getSearchableMunicipalities();this.ensureMunicipalityIndex(i);const o=this.lookupMunicipalities(this.normalizeText(t.municipalityName),0).filter(t=>0===t.rank.tier).map(t=>t.municipality);if(0===o.length&&this.allMunicipalities)return a.suggestions=(await this.searchMunicipality(t.municipalityName)).slice(0,3),l("municipality-not-found");if(t.zip){const i=await this.apiRequest("ruian/validate",this.toValidateQuery(Object.assign({},t,{zip:null})),e),s=a.partialMatch,o=i&&"MATCH"===i.status?i.place:s&&s.zip&&String(s.zip)!==String(t.zip)?s:null;if(o){const i=this.buildPostalLabel(o);return r.address=[t.street||o.municipalityName,n].join(" "),r.suggestion=`${this.formatZip(o.zip)} ${o.municipalityName}`,a.suggestions=[{type:"complete",label:i,value:i,data:o}],l("zip-mismatch")}}const c=s.municipalityId||o[0]&&o[0].municipalityId;if(!c)return l("not-found");if(t.street){const i=await this.cachedRequest("ruian/build/streets",{municipalityId:c},e),s=i&&i.data?i.data.map(t=>t.streetName||t.streetLessPartName).filter(Boolean):[],n=this.normalizeText(t.street);if(s.length>0&&!s.some(t=>this.normalizeText(t)===n))return a.suggestions=s.map(t=>({name:t,rank:this.rankName(this.normalizeText(t),n,this.maxTyposFor(n))})).filter(t=>t.rank).sort((t,i)=>t.rank.tier-i.rank.tier||t.rank.distance-i.rank.distance).slice(0,3).map(t=>({type:"street",label:t.name,value:t.name,data:{streetName:t.name}})),l("street-not-found")}const u=t.ce?`ev. ${String(t.ce).slice(0,-1)}`:String(t.co||t.cp).slice(0,-1);return a.suggestions=(await this.searchPlace(c,t.street,u,e,s)).slice(0,5),l("number-not-found")}catch(t){return this.log(`Diagnostics Error: ${t.message}`,"ERROR"),l("not-found")}}formatMessage(t,i){return String(t||"").replace(/\{(\w+)\}/g,(t,e)=>void 0!==i[e]&&null!==i[e]?i[e]:"")}static formatHouseNumber(t){const i=t.ce||t.placeCe;if(i)return`č. ev. ${i}`;const e=RuianClient.splitOrientationNumber(t),s=e.co?e.co+(e.coLetter||""):"",a=t.cp||t.placeCp;return a?s?`${a}/${s}`:String(a):s}static splitOrientationNumber(t){const i=void 0!==t.co&&null!==t.co?t.co:t.placeCo,e=t.coLetter||t.placeCoLetter||null;if(null==i||""===i)return{co:null,coLetter:e};const s=String(i).trim().match(/^(\d+)\s*([a-z])?$/i);return s?{co:s[1],coLetter:(s[2]||e||"").toLowerCase()||null}:{co:String(i),coLetter:e}}static readCoordinates(t){const i=t&&t.coordinates&&"object"==typeof t.coordinates?t.coordinates:t||{},e=(...t)=>{const e=t.find(t=>void 0!==i[t]&&null!==i[t]&&""!==i[t]&&isFinite(i[t]));return e?Number(i[e]):null},s=e("x","placeX"),a=e("y","placeY");let n=e("lat","latitude"),r=e("lon","lng","longitude");if(null!==s&&null!==a){if(null===n||null===r){const t=sjtskToWgs84(s,a);n=t.lat,r=t.lon}return{x:-Math.min(Math.abs(s),Math.abs(a)),y:-Math.max(Math.abs(s),Math.abs(a)),lat:n,lon:r}}if(null!==n&&null!==r){const t=wgs84ToSjtsk(n,r);return{x:t.x,y:t.y,lat:n,lon:r}}return null}toValidateQuery(t){return{municipalityName:t.municipalityName,street:t.street,cp:t.cp,co:t.co?t.co+(t.coLetter||""):null,ce:t.ce,zip:t.zip}}async searchMunicipality(t){const i=this.splitZip(t);if(i&&this.canQuery())return this.searchByZip(i.zip,i.rest);if(/^\d/.test(t)||t.length<2||!this.canQuery())return[];const e=await this.getSearchableMunicipalities();this.ensureMunicipalityIndex(e);const s=this.normalizeText(t),a=this.fuzzySearch?this.maxTyposFor(s):0,n=new Map,r=this.lookupMunicipalities(s,a).map(t=>(n.set(t.municipality,t.rank),t.municipality));r.sort((t,i)=>{const e=n.get(t),s=n.get(i);return e.tier!==s.tier?e.tier-s.tier:e.distance!==s.distance?e.distance-s.distance:t.municipalityName.length!==i.municipalityName.length?t.municipalityName.length-i.municipalityName.length:t.municipalityName.localeCompare(i.municipalityName)});const l={};r.forEach(t=>{const i=t.municipalityName.toLowerCase()+"|"+t.regionId;l[i]=(l[i]||0)+1});const o={};r.forEach(t=>{const i=t.municipalityName.toLowerCase();o[i]=(o[i]||0)+1});const c=r.slice(0,15),u=r.length?n.get(r[0]).tier:4,h=c.map(async t=>{const i=t.municipalityName.toLowerCase()+"|"+t.regionId;return l[i]>1?await this.fetchMunicipalityZip(t.municipalityId):null}),d=await Promise.all(h),p=c.map((t,i)=>{const e=o[t.municipalityName.toLowerCase()]>1,s=t.municipalityName.toLowerCase()+"|"+t.regionId,a=l[s]>1,n=d[i];let r;const c=this.formatZip(n);return r=a&&c?`${t.municipalityName}, ${c} (${t.regionName})`:e?`${t.municipalityName} (${t.regionName})`:t.municipalityName,{type:"municipality",label:r,value:t.municipalityName,data:{municipalityId:t.municipalityId,municipalityName:t.municipalityName,regionId:t.regionId,regionName:t.regionName,zip:n}}}),m=(await this.searchParts(s,a,e)).sort((t,i)=>t.rank.tier-i.rank.tier||t.rank.distance-i.rank.distance||t.part.name.length-i.part.name.length||t.part.name.localeCompare(i.part.name)).slice(0,10),g=this.buildPartSuggestions(m.map(t=>t.part)),y=g.filter((t,i)=>m[i].rank.tier<u),f=g.filter((t,i)=>m[i].rank.tier>=u);return y.concat(p,f).slice(0,15)}loadDirectory(t){return this.directoryPromises.has(t)||this.directoryPromises.set(t,fetch(t).then(t=>{if(!t.ok)throw new Error(`HTTP ${t.status}`);return t.json()}).then(i=>(this.log(`Loaded ${i.length} directory entries from ${t}`,"SUCCESS"),i)).catch(i=>(this.log(`Failed to load ${t}: ${i.message}`,"WARN"),this.directoryPromises.delete(t),[]))),this.directoryPromises.get(t)}async withCoordinates(t){if(!t||!this.pointsData||RuianClient.readCoordinates(t))return t;const i=t.id||t.placeId||t.ruianId;if(!i)return t;this.pointPromises.has(String(i))||this.pointPromises.set(String(i),this.lookupPoint(i,t).catch(t=>(this.log(`Address point lookup of ${i} failed: ${t.message}`,"WARN"),this.pointPromises.delete(String(i)),null)));const e=await this.pointPromises.get(String(i)),s=e&&RuianClient.readCoordinates(e);return s?Object.assign({},t,{coordinates:s}):t}async lookupPoint(t,i){if("function"==typeof this.pointsData)return this.pointsData(i);if(this.pointsData.includes("{id}")){const i=await fetch(this.pointsData.replace("{id}",encodeURIComponent(t)));if(!i.ok)throw new Error(`HTTP ${i.status}`);return i.json()}return(await this.loadDirectory(this.pointsData)).find(i=>String(i.ruianId||i.id)===String(t))||null}toParts(t,i){const e=new Map(i.map(t=>[String(t.municipalityId),t])),s=new Map,a=(t,i,e,a)=>{const n=`${t}|${e.municipalityId}|${i}`;let r=s.get(n);r||(r={kind:t,name:i,municipalityId:e.municipalityId,municipalityName:e.municipalityName,regionId:e.regionId,regionName:e.regionName,municipalityPartId:"part"===t&&a.municipalityPartId||null,zips:[]},s.set(n,r));const l=a.zip?String(a.zip).replace(/\s/g,""):null;l&&!r.zips.includes(l)&&r.zips.push(l)},n=[];return Object.keys(RuianClient.cityDistricts).forEach(t=>{RuianClient.cityDistricts[t].forEach(i=>n.push({municipalityId:t,cityDistrictName:i}))}),t.concat(n).forEach(t=>{const i=t&&e.get(String(t.municipalityId));i&&(t.municipalityPartName&&t.municipalityPartName!==i.municipalityName&&a("part",t.municipalityPartName,i,t),t.cityDistrictName&&a("district",t.cityDistrictName,i,t))}),Array.from(s.values())}async searchParts(t,i,e){if("function"==typeof this.partsData){let s=[];try{s=await this.partsData(t)||[]}catch(t){this.log(`Part lookup failed: ${t.message}`,"WARN")}return this.toParts(s,e).map(e=>({part:e,rank:this.rankName(this.normalizeText(e.name),t,i)})).filter(t=>t.rank)}const s=this.partsData||("string"==typeof this.zipData?this.zipData:null),a=s?await this.loadDirectory(s):[],n=this.partIndex;return n&&n.entries===a&&n.municipalities===e||(this.partIndex=this.buildMunicipalityIndex(this.toParts(a,e),"name"),this.partIndex.entries=a,this.partIndex.municipalities=e),this.lookupMunicipalities(t,i,this.partIndex).map(t=>({part:t.municipality,rank:t.rank}))}buildPartSuggestions(t){const i=t.map(t=>({type:"part",label:this.normalizeText(t.name).startsWith(this.normalizeText(t.municipalityName))?t.name:`${t.name} (${t.municipalityName})`,value:t.name,data:{municipalityId:t.municipalityId,municipalityName:t.municipalityName,municipalityPartId:t.municipalityPartId,municipalityPartName:"part"===t.kind?t.name:null,cityDistrictName:"district"===t.kind?t.name:null,regionId:t.regionId,regionName:t.regionName,zip:1===t.zips.length?t.zips[0]:null,partZips:t.zips}})),e={};return i.forEach(t=>{e[t.label]=(e[t.label]||0)+1}),i.forEach(t=>{e[t.label]>1&&(t.label+=` – ${this.formatZip(t.data.zip)||t.data.regionName}`)}),i}splitZip(t){const i=String(t||"").trim().match(/^(\d{3})\s?(\d{0,2})(?:\s+(\D.*))?$/);return i?{zip:i[1]+i[2],rest:(i[3]||"").trim()}:null}async getZipEntries(t){let i=[];if("function"==typeof this.zipData)try{i=await this.zipData(t)||[]}catch(t){this.log(`ZIP lookup failed: ${t.message}`,"WARN")}else this.zipData&&(i=await this.loadDirectory(this.zipData));await this.zipCacheReady;const e=Object.keys(this.zipCache).map(t=>({zip:this.zipCache[t],municipalityId:t})),s=i.concat(e,Array.from(this.seenZips.values())).filter(i=>i&&String(i.zip).replace(/\s/g,"").startsWith(t)),a=new Set(s.map(t=>String(t.municipalityId)));return Object.keys(RuianClient.zipAreas).forEach(i=>{!a.has(i)&&RuianClient.zipAreas[i].some(i=>t.startsWith(i))&&s.push({zip:t,municipalityId:i})}),s}rememberZip(t){const i=t&&t.zip?String(t.zip).replace(/\s/g,""):"";if(5!==i.length||!t.municipalityId)return;const e=t.municipalityPartName||null;this.seenZips.set(`${i}|${t.municipalityId}|${e||""}`,{zip:i,municipalityId:t.municipalityId,municipalityPartName:e})}async searchByZip(t,i){const e=await this.getSearchableMunicipalities(),s=new Map(e.map(t=>[String(t.municipalityId),t])),a=this.normalizeText(i),n=new Set,r=[];(await this.getZipEntries(t)).forEach(t=>{const i=s.get(String(t.municipalityId));if(!i)return;const e=String(t.zip).replace(/\s/g,""),l=t.municipalityPartName&&t.municipalityPartName!==i.municipalityName?t.municipalityPartName:null;if(a&&!this.normalizeText(i.municipalityName).startsWith(a)&&(!l||!this.normalizeText(l).startsWith(a)))return;const o=`${e}|${i.municipalityId}|${l||""}`;n.has(o)||(n.add(o),r.push({m:i,zip:e,part:l}))}),r.sort((t,i)=>t.zip.localeCompare(i.zip)||t.m.municipalityName.localeCompare(i.m.municipalityName)||(t.part||"").localeCompare(i.part||""));const l=r.slice(0,15).map(t=>({type:t.part?"part":"municipality",label:`${this.formatZip(t.zip)} ${t.m.municipalityName}${t.part?` – ${t.part}`:""}`,value:t.m.municipalityName,data:{municipalityId:t.m.municipalityId,municipalityName:t.m.municipalityName,municipalityPartName:t.part,regionId:t.m.regionId,regionName:t.m.regionName,zip:5===t.zip.length?t.zip:null,zipFirst:!0}}));if(!i||i.length<2)return l;const o=await this.searchMunicipality(i),c=t.substring(0,3),u=o.filter(t=>this.normalizeText(t.value)===a).slice(0,5),h=await Promise.all(u.map(t=>this.fetchMunicipalityZip(t.data.municipalityId))),d=t=>{const i=u.indexOf(t);return i>-1&&h[i]?String(h[i]):null},p=t=>{const i=d(t);return i&&i.startsWith(c)?0:1},m=new Set(l.map(t=>t.data.municipalityId));return o.filter(t=>!m.has(t.data.municipalityId)).sort((t,i)=>p(t)-p(i)).forEach(i=>{const e=5===t.length&&0===p(i)?t:i.data.zip||d(i);l.push({type:"municipality",label:e?`${this.formatZip(e)} ${i.value}`:i.label,value:i.value,data:Object.assign({},i.data,{zip:e,zipFirst:!0})})}),l.slice(0,15)}async searchStreet(t,i,e,s){if(!this.canQuery())return[];const a=await this.cachedRequest("ruian/build/streets",{municipalityId:t},e);if(!a||!a.data)return[];const n=this.normalizeText(i);return a.data.filter(t=>{const i=t.streetName||t.streetLessPartName;return i&&this.normalizeText(i).includes(n)&&this.inSelectedPart(t,s)}).slice(0,10).map(t=>({type:"street",label:t.streetName||t.streetLessPartName,value:t.streetName||t.streetLessPartName,data:t}))}async searchPlace(t,i,e,s,a){if(!this.canQuery())return[];const n=await this.cachedRequest("ruian/build/places",{municipalityId:t,streetName:i},s);if(!n||!n.data)return[];let r=this.normalizeText(e);const l=/^(?:c\.?\s*)?ev\.?\s*/.exec(r);r=r.replace(/^(?:c\.?\s*)?(?:ev|p|o)\.?\s*/,"");return n.data.map(t=>{const i=RuianClient.formatHouseNumber(t);return{type:"place",label:i,value:i,data:t}}).filter(t=>{if(!this.inSelectedPart(t.data,a))return!1;if(l)return Boolean(t.data.placeCe)&&String(t.data.placeCe).startsWith(r);if(!r)return!0;if(t.label.toLowerCase().startsWith(r))return!0;const i=RuianClient.splitOrientationNumber(t.data);if((i.co?i.co+(i.coLetter||""):"").startsWith(r))return!0;return!!(t.data.placeCp?String(t.data.placeCp).toLowerCase():"").startsWith(r)}).slice(0,10)}inSelectedPart(t,i){const e=i&&i.municipalityPartName,s=i&&i.cityDistrictName,a=t.municipalityPartName||t.streetLessPartName;if(e&&a&&this.normalizeText(a)!==this.normalizeText(e))return!1;if(s&&t.cityDistrictName&&this.normalizeText(t.cityDistrictName)!==this.normalizeText(s))return!1;const n=(e||s)&&i.partZips;return!(n&&t.placeZip&&!n.includes(String(t.placeZip).replace(/\s/g,"")))}cleanParams(t){const i={};return Object.keys(t||{}).forEach(e=>{const s=t[e];null!=s&&""!==s&&(i[e]=s)}),i}buildUrl(t,i){const e=[];return this.apiKey&&e.push(`apiKey=${encodeURIComponent(this.apiKey)}`),Object.keys(i).forEach(t=>{e.push(`${t}=${encodeURIComponent(i[t])}`)}),this.baseUrl+t+(e.length?`?${e.join("&")}`:"")}async apiRequest(t,i,e){const s=this.cleanParams(i);for(let i=0;;i++)try{return await this.requestOnce(t,s,e)}catch(s){if(e&&e.aborted)return this.log(`Aborted ${t}`,"INFO"),null;const a=RuianError.from(s,t);if(a.retryable&&i<this.retries){const t=null!==a.retryAfter?1e3*a.retryAfter:this.retryDelay*Math.pow(2,i)*(1+.25*Math.random());if(this.log(`${a.message}, retrying in ${Math.round(t)} ms (${i+1}/${this.retries})`,"WARN"),await new Promise(i=>setTimeout(i,t)),e&&e.aborted)return null;continue}return this.handleError(a),null}}async requestOnce(t,i,e){const s="undefined"!=typeof AbortController?new AbortController:null,a=()=>s&&s.abort();e&&e.addEventListener("abort",a,{once:!0});let n=null;const r=new Promise((i,e)=>{this.timeout&&(n=setTimeout(()=>{a(),e(new RuianError(RuianError.TIMEOUT,`Request timed out after ${this.timeout} ms`,{path:t}))},this.timeout))}),l=s?s.signal:e;let o;this.transport?(this.log(`TRANSPORT ${t} ${JSON.stringify(i)}`,"INFO"),o=Promise.resolve(this.transport(t,i,{signal:l})).then(t=>t||null)):o=this.fetchJson(this.buildUrl(t,i),l,t),o.catch(()=>{});try{return await Promise.race([o,r])}finally{clearTimeout(n),e&&e.removeEventListener("abort",a)}}async fetchJson(t,i,e){const s=this.apiKey?t.split(encodeURIComponent(this.apiKey)).join("***"):t;this.log(`GET ${s}`,"INFO");const a=await fetch(t,i?{signal:i}:void 0);if(!a.ok){this.log(`HTTP Error: ${a.status} ${a.statusText}`,"ERROR");const t=a.headers&&a.headers.get?parseInt(a.headers.get("Retry-After"),10):NaN;throw RuianError.fromStatus(a.status,`HTTP ${a.status} ${a.statusText}`.trim(),{path:e,retryAfter:isNaN(t)?null:t})}let n;try{n=await a.json()}catch(t){throw new RuianError(RuianError.SERVER,`Invalid JSON response: ${t.message}`,{path:e,cause:t})}let r=JSON.stringify(n);return r.length>200&&(r=r.substring(0,200)+"..."),this.log(`Response: ${r}`,"INFO"),n}handleError(t){this.lastError=t,this.log(`${t.type} error: ${t.message}`,"ERROR");try{this.onError(t)}catch(t){this.log(`onError callback failed: ${t.message}`,"WARN")}this.emit("error",{error:t})}normalizeText(t){return String(t||"").toLowerCase().normalize("NFD").replace(/[\u0300-\u036f]/g,"").replace(/\s+/g," ").trim()}maxTyposFor(t){return t.length<4?0:t.length<8?1:2}rankName(t,i,e){if(t===i)return{tier:0,distance:0};if(t.startsWith(i))return{tier:1,distance:0};if(t.includes(i))return{tier:2,distance:0};if(!e)return null;const s=[t].concat(t.split(/[\s-]+/).filter(i=>i&&i!==t));let a=e+1;return s.forEach(t=>{for(let s=i.length-e;s<=i.length+e;s++)s<1||s>t.length||(a=Math.min(a,this.editDistance(t.substring(0,s),i,e)))}),a<=e?{tier:3,distance:a}:null}editDistance(t,i,e){if(Math.abs(t.length-i.length)>e)return e+1;let s=null,a=[];for(let t=0;t<=i.length;t++)a[t]=t;for(let n=1;n<=t.length;n++){const r=[n];let l=n;for(let e=1;e<=i.length;e++){const o=t[n-1]===i[e-1]?0:1;let c=Math.min(a[e]+1,r[e-1]+1,a[e-1]+o);s&&e>1&&t[n-1]===i[e-2]&&t[n-2]===i[e-1]&&(c=Math.min(c,s[e-2]+1)),r[e]=c,c<l&&(l=c)}if(l>e)return e+1;s=a,a=r}return a[i.length]}}RuianClient.zipAreas={554782:["1"],582786:["602","603","612","613","614","615","616","617","618","619","620","621","623","624","625","627","628","634","635","637","638","639","640","641","642","644"],554821:["700","701","702","703","704","705","706","708","709","710","711","712","713","714","715","716","717","718","719","720","721","722","723","724","725"],554791:["301","312","314","316","317","318","319","320","321","322","323","326"]},RuianClient.cityDistricts={554782:Array.from({length:22},(t,i)=>`Praha ${i+1}`),582786:["Bohunice","Bosonohy","Bystrc","Černovice","Chrlice","Ivanovice","Jehnice","jih","Jundrov","Kníničky","Kohoutovice","Komín","Královo Pole","Líšeň","Maloměřice a Obřany","Medlánky","Nový Lískovec","Ořešín","Řečkovice a Mokrá Hora","sever","Slatina","Starý Lískovec","střed","Tuřany","Útěchov","Vinohrady","Žabovřesky","Žebětín","Židenice"].map(t=>`Brno-${t}`),554821:["Hošťálkovice","Hrabová","Jih","Krásné Pole","Lhotka","Mariánské Hory a Hulváky","Martinov","Michálkovice","Moravská Ostrava a Přívoz","Nová Bělá","Nová Ves","Petřkovice","Plesná","Polanka nad Odrou","Poruba","Proskovice","Pustkovec","Radvanice a Bartovice","Slezská Ostrava","Stará Bělá","Svinov","Třebovice","Vítkovice"].map(t=>`Ostrava-${t}`),554791:["Plzeň 1","Plzeň 2-Slovany","Plzeň 3","Plzeň 4","Plzeň 5-Křimice","Plzeň 6-Litice","Plzeň 7-Radčice","Plzeň 8-Černice","Plzeň 9-Malesice","Plzeň 10-Lhota"]};class RuianAddressWidget{constructor(t){if(this.inputElement=t.inputElement,this.suggestionBox=t.suggestionElement,this.fields=null,this.suggestionBoxes=null,this.activeField=null,t.inputs){if(this.fields={},["city","street","number","zip"].forEach(i=>{t.inputs[i]&&(this.fields[i]=t.inputs[i])}),!this.fields.city||!this.fields.number)throw new Error("RuianAddressWidget: inputs.city and inputs.number are required");const i=t.suggestionElement;i&&"function"!=typeof i.appendChild&&(this.suggestionBoxes=i),this.setActiveField("city")}this.onValidationChange=t.onValidationChange||function(){},this.onLog=t.onLog||console.log,this.onError=t.onError||function(){},this.client=t.client||new RuianClient(Object.assign({},t,{onLog:(t,i)=>this.log(t,i),onError:null})),this.clientHandlers={error:t=>this.handleError(t.error),"cache-loaded":t=>this.emit("cache-loaded",t)},Object.keys(this.clientHandlers).forEach(t=>this.client.on(t,this.clientHandlers[t])),this.showErrors=t.showErrors||!1,this.errorMessages=Object.assign({auth:"Address lookup is unavailable: the API key was rejected.","rate-limit":"Address lookup is temporarily unavailable: request limit reached.",server:"The address service is temporarily unavailable.",network:"Address lookup is unavailable: check your internet connection.",timeout:"The address service is not responding.",request:"Address lookup failed."},t.errorMessages||{}),this.lastError=null;const i=this.getInputs()[0];this.form=t.form||i&&i.form||null,this.hiddenInputs=new Map,this.hiddenFields=this.normalizeHiddenFields(t.hiddenFields),this.nativeValidation=t.nativeValidation||!1,this.required=void 0!==t.required?!!t.required:!(!i||!i.required),this.allowUnvalidated=t.allowUnvalidated||!1,this.validityMessages=Object.assign({required:"Please enter an address.",invalid:"Please select a valid address from the suggestions."},t.validityMessages||{}),this.validPlace=null,this.initialRuianId=t.initialRuianId||null,this.a11yMessages=Object.assign({suggestions:"{count} suggestions available, use the up and down arrows to choose.",valid:"Valid address: {address}",invalid:"The address is not valid. {message}"},t.a11yMessages||{}),this.idPrefix="ruian-widget-"+ ++RuianAddressWidget.instanceCount,this.liveRegion=null,this.announceTimer=null,this.validationDiagnostics=void 0===t.validationDiagnostics||!!t.validationDiagnostics,this.outputFormat=t.outputFormat||"single-line","function"==typeof this.outputFormat||["single-line","envelope","vcard"].includes(this.outputFormat)||(this.log(`outputFormat "${this.outputFormat}" is not text, using 'single-line'`,"WARN"),this.outputFormat="single-line"),this.writeBackPending=!1,this.renderItem="function"==typeof t.renderItem?t.renderItem:null,this.highlightMatches=void 0===t.highlightMatches||!!t.highlightMatches;const e=t.classNames||{};this.classNames=Object.assign({item:"list-group-item list-group-item-action suggestion-item d-flex align-items-center justify-content-between",active:"active",complete:"suggestion-complete",label:"",badge:"badge badge-type",highlight:"suggestion-match",message:"list-group-item suggestion-message text-danger"},e),this.classNames.badgeTypes=Object.assign({municipality:"bg-primary",part:"bg-dark",street:"bg-warning text-dark",place:"bg-info text-dark",complete:"bg-success",default:"bg-secondary"},e.badgeTypes||{}),this.badgesLabels={municipality:"municipality",part:"part",street:"street",place:"place",complete:"complete"},"object"==typeof t.badgesLabels&&null!==t.badgesLabels&&(this.badgesLabels=Object.assign(this.badgesLabels,t.badgesLabels)),this.preloadMunicipalities=t.preloadMunicipalities||!1,this.state={municipalityId:null,municipalityName:null,municipalityPartName:null,cityDistrictName:null,partZips:null,zip:null,streetName:null},this.debounceTimer=null,this.listeners=[],this.eventHandlers={},this.disabled=!1,this.destroyed=!1,this.lastValidation=null,this.inputGeneration=0,this.abortController=null,this.suggestionsData=[],this.activeIndex=-1,this.init()}setApiKey(t){this.client.setApiKey(t)}async validate(t,i){if(i=i||{},this.destroyed)return null;clearTimeout(this.debounceTimer),void 0!==t&&(this.resetState(),this.fields?this.writeFieldValues("string"==typeof t?this.textToFieldValues(t):t):this.inputElement.value=t),this.fields?await this.handleFieldInput("number",this.fields.number.value):await this.handleInput(this.inputElement.value);if((!this.lastValidation||null===this.lastValidation.valid)&&!this.destroyed&&this.getInputText().trim()){const t=this.cancelPending(),i={context:this.state,signal:this.abortController?this.abortController.signal:void 0,diagnostics:this.validationDiagnostics},e=this.fields?await this.client.validateParams(this.client.fieldsToValidateParams(this.getFieldValues(),this.state),i):await this.client.validate(this.inputElement.value,i);if(this.destroyed)return null;if(this.isStale(t))return this.lastValidation;e.valid?this.triggerCallback(this.mapToRuianPlace(e.place)):this.triggerCallback(!1,e.diagnostics)}return i.showSuggestions||this.closeSuggestions(),this.lastValidation}async setAddress(t,i){return t&&"object"==typeof t&&(t.municipalityId||t.ruianId||t.id)?this.destroyed?null:(clearTimeout(this.debounceTimer),this.cancelPending(),this.fields?this.fillFields(t):(this.inputElement.value=this.formatOutput(t),this.setMunicipalityContext(t),this.state.streetName=t.streetName||null),this.closeSuggestions(),this.triggerCallback(this.mapToRuianPlace(t)),this.lastValidation):this.validate(t||"",i)}async loadByRuianId(t){if(this.destroyed||!t)return null;if(!this.client.canQuery())return this.log("Missing API Key!","ERROR"),null;clearTimeout(this.debounceTimer);const i=this.cancelPending(),e=this.abortController?this.abortController.signal:void 0,s=await this.client.apiRequest("ruian/validate",{placeId:t},e);if(this.isStale(i))return null;const a=s&&(s.place||(Array.isArray(s.data)?s.data[0]:null));if(!a||String(a.id||a.placeId)!==String(t))return this.log(`RUIAN ID ${t} not found`,"WARN"),null;this.log(`Loaded RUIAN ID ${t}`,"SUCCESS");const n=await this.client.withCoordinates(this.client.normalizePlace(a));return await this.client.ensureAdministrativeData(),this.isStale(i)?null:this.setAddress(n)}getState(){return{value:this.getInputText(),fields:this.fields?this.getFieldValues():null,context:Object.assign({},this.state),valid:this.lastValidation?this.lastValidation.valid:null,place:this.validPlace,diagnostics:this.lastValidation?this.lastValidation.diagnostics:null,disabled:this.disabled}}getSelectedPlace(){return this.validPlace}toGeoJSON(){return this.validPlace?formatAddress(this.validPlace,"geojson"):null}clear(){clearTimeout(this.debounceTimer),this.cancelPending(),this.getInputs().forEach(t=>{t.value=""}),this.resetState(),this.closeSuggestions(),this.triggerCallback(null)}enable(){this.disabled=!1,this.getInputs().forEach(t=>{t.disabled=!1})}disable(){this.disabled=!0,clearTimeout(this.debounceTimer),this.cancelPending(),this.closeSuggestions(),this.getInputs().forEach(t=>{t.disabled=!0})}destroy(){clearTimeout(this.debounceTimer),this.cancelPending(),this.closeSuggestions(),this.listeners.forEach(t=>t.target.removeEventListener(t.type,t.handler)),this.listeners=[],Object.keys(this.clientHandlers).forEach(t=>this.client.off(t,this.clientHandlers[t])),clearTimeout(this.announceTimer),this.liveRegion&&this.liveRegion.parentNode&&this.liveRegion.parentNode.removeChild(this.liveRegion),this.liveRegion=null,this.destroyed=!0,this.log("Widget destroyed","INFO")}init(){this.log("Initializing RUIAN Widget v1.1...","INFO"),this.fields?this.initFields():this.initSingleInput(),this.initAccessibility(),this.listen(document,"click",t=>{const i="function"==typeof t.composedPath?t.composedPath():[t.target];i.some(t=>this.getInputs().includes(t))||this.getSuggestionBoxes().some(e=>i.includes(e)||e.contains(t.target))||this.closeSuggestions()}),this.nativeValidation&&this.form&&this.listen(this.form,"submit",t=>{this.getValidityMessage()&&(t.preventDefault(),this.inputElement.reportValidity&&this.inputElement.reportValidity())}),this.updateForm(null),this.preloadMunicipalities&&this.client.canQuery()&&this.client.loadAllMunicipalities(),this.initialRuianId&&this.loadByRuianId(this.initialRuianId)}initSingleInput(){this.listen(this.inputElement,"input",t=>{clearTimeout(this.debounceTimer),this.cancelPending(),this.inputElement.classList.remove("is-valid","is-invalid"),this.updateForm(null),this.debounceTimer=setTimeout(()=>{this.handleInput(t.target.value)},400)}),this.listen(this.inputElement,"keydown",t=>this.handleKeydown(t))}initFields(){Object.keys(this.fields).forEach(t=>{const i=this.fields[t];this.listen(i,"focus",()=>this.setActiveField(t)),this.listen(i,"input",i=>{clearTimeout(this.debounceTimer),this.cancelPending(),this.setActiveField(t),this.getInputs().forEach(t=>t.classList.remove("is-valid","is-invalid")),this.updateForm(null),this.debounceTimer=setTimeout(()=>{this.handleFieldInput(t,i.target.value)},400)}),this.listen(i,"keydown",i=>{this.setActiveField(t),this.handleKeydown(i)})})}initAccessibility(){this.getSuggestionBoxes().forEach((t,i)=>{t.id||(t.id=`${this.idPrefix}-listbox-${i}`),t.setAttribute("role","listbox")});(this.fields?Object.keys(this.fields):[null]).forEach(t=>{const i=t?this.fields[t]:this.inputElement,e=t&&this.suggestionBoxes?this.suggestionBoxes[t]:this.suggestionBox;i.setAttribute("role","combobox"),i.setAttribute("aria-autocomplete","list"),i.setAttribute("aria-expanded","false"),i.hasAttribute("autocomplete")||i.setAttribute("autocomplete","off"),e&&i.setAttribute("aria-controls",e.id)});const t=document.createElement("div");t.id=`${this.idPrefix}-status`,t.className="ruian-live-region",t.setAttribute("role","status"),t.setAttribute("aria-live","polite"),t.setAttribute("aria-atomic","true"),t.style.cssText="position:absolute;width:1px;height:1px;margin:-1px;padding:0;overflow:hidden;clip:rect(0,0,0,0);white-space:nowrap;border:0;";(this.getInputs()[0].parentNode||document.body).appendChild(t),this.liveRegion=t}announce(t){this.liveRegion&&t&&(clearTimeout(this.announceTimer),this.liveRegion.textContent="",this.announceTimer=setTimeout(()=>{this.liveRegion&&(this.liveRegion.textContent=t.trim())},100))}updateComboboxState(t){const i=t&&this.suggestionBox&&this.activeIndex>-1?this.suggestionBox.children[this.activeIndex]:null;this.getInputs().forEach(e=>{const s=t&&e===this.inputElement;e.setAttribute("aria-expanded",s?"true":"false"),s&&i&&i.id?e.setAttribute("aria-activedescendant",i.id):e.removeAttribute("aria-activedescendant")})}listen(t,i,e){t.addEventListener(i,e),this.listeners.push({target:t,type:i,handler:e})}setActiveField(t){this.activeField!==t&&(this.activeField&&this.suggestionBoxes&&this.closeSuggestions(),this.activeField=t,this.inputElement=this.fields[t],this.suggestionBoxes&&(this.suggestionBox=this.suggestionBoxes[t]||null))}getInputs(){return this.fields?Object.keys(this.fields).map(t=>this.fields[t]):[this.inputElement]}getSuggestionBoxes(){return(this.suggestionBoxes?Object.keys(this.suggestionBoxes).map(t=>this.suggestionBoxes[t]):[this.suggestionBox]).filter(Boolean)}normalizeHiddenFields(t){if(!t)return null;this.hiddenFieldsExplicit=!0!==t;if(!0===t&&(t=["ruianId","municipalityId","municipalityName","municipalityPartId","municipalityPartName","cityDistrictName","streetName","cp","co","coLetter","ce","zip","regionId","regionName","districtId","districtName","orpId","orpName","pouId","pouName","lat","lon"]),Array.isArray(t)){const i={};return t.forEach(t=>{i[t]=t}),i}return t}updateForm(t){if(this.validPlace=t||null,this.writeHiddenFields(this.validPlace),!this.nativeValidation)return;const i=this.getValidityMessage();this.getInputs().forEach(t=>{t.setCustomValidity&&t.setCustomValidity(i)})}getValidityMessage(){return this.getInputText().trim()?this.validPlace||this.allowUnvalidated?"":this.validityMessages.invalid:this.required?this.validityMessages.required:""}writeHiddenFields(t){this.hiddenFields&&this.form&&Object.keys(this.hiddenFields).forEach(i=>{const e=this.getHiddenInput(this.hiddenFields[i]);if(!e)return;const s=t&&["lat","lon","x","y"].includes(i)?t.coordinates:t,a=s?s[i]:null;e.value=null==a?"":a})}getHiddenInput(t){if(this.hiddenInputs.has(t))return this.hiddenInputs.get(t);const i=this.form.elements?this.form.elements.namedItem(t):null,e=i?i.tagName?[i]:Array.from(i):[],s=this.getInputs(),a=e.find(t=>"INPUT"===String(t.tagName).toUpperCase()&&"hidden"===t.type&&!s.includes(t));let n=null;return e.length?a&&this.hiddenFieldsExplicit?n=a:this.log(`hiddenFields: the form already has a "${t}" field, its value is left alone`,"WARN"):(n=document.createElement("input"),n.type="hidden",n.name=t,this.form.appendChild(n)),this.hiddenInputs.set(t,n),n}getInputText(){if(!this.fields)return this.inputElement.value;const t=this.getFieldValues();return[[t.street,t.number].filter(Boolean).join(" "),[t.zip,t.city].filter(Boolean).join(" ")].filter(Boolean).join(", ")}getFieldValues(){const t={};return["city","street","number","zip"].forEach(i=>{t[i]=this.fields[i]?this.fields[i].value.trim():""}),t}cancelPending(){return this.abortController&&this.abortController.abort(),this.abortController="undefined"!=typeof AbortController?new AbortController:null,++this.inputGeneration}isStale(t){return t!==this.inputGeneration}async handleInput(t){const i=this.cancelPending(),e=this.abortController?this.abortController.signal:void 0;this.lastError=null,this.lastValidation=null;const s=this.writeBackPending;if(this.writeBackPending=!1,!t||t.trim().length<1)return this.closeSuggestions(),void this.triggerCallback(null);const a=t.split(",").map(t=>t.trim()),n=a.length-1,r=a[n];if(0===n&&this.state.municipalityName){const i=this.client.normalizeText(t);[this.state.municipalityName,this.state.municipalityPartName,this.state.cityDistrictName].filter(Boolean).map(t=>this.client.normalizeText(t)).some(t=>i.startsWith(t.substring(0,Math.min(i.length,t.length))))||(this.log("Resetting context (Municipality name changed)","WARN"),this.resetState())}if(await this.tryAutoSelectContext(a,i,e),this.isStale(i))return;let l=[];const o=parseAddress(t);if(t.length>5&&(o.cp||o.co||o.ce)){const a=await this.client.validate(t,{context:this.state,signal:e,diagnostics:this.validationDiagnostics});if(this.isStale(i))return;if(a.valid){const i=a.place;s&&(this.inputElement.value=this.formatOutput(i));const e=this.mapToRuianPlace(i);if(this.triggerCallback(e),s)return void this.closeSuggestions();const n=a.label,r=this.formatOutput(i),o=t=>t.replace(/\s+/g," ").trim();return o(t)!==o(r)&&l.unshift({type:"complete",label:n,value:r,data:i}),void this.renderSuggestions(l)}{const t=a.diagnostics;this.triggerCallback(!1,t),t&&(l=t.suggestions.filter(t=>"complete"===t.type))}}try{if(this.state.municipalityId&&0!==n){if(this.state.municipalityId&&!this.isNumber(r)&&1===n){this.log(`Searching street in ID ${this.state.municipalityId}: "${r}"`,"INFO");const t=await this.client.searchStreet(this.state.municipalityId,r,e,this.state);if(l=l.concat(t),0===t.length&&""===r.trim()){const t=await this.client.searchPlace(this.state.municipalityId,null,r,e,this.state);l=l.concat(t)}}else if(this.state.municipalityId){const t=await this.client.searchPlace(this.state.municipalityId,this.state.streetName,r,e,this.state);l=l.concat(t)}}else{const t=await this.client.searchMunicipality(r);if(l=l.concat(t),0===t.length&&a.length>1&&!this.state.municipalityId){const t=await this.client.searchMunicipality(a[0]);t.length>0&&(l=l.concat(t))}}}catch(t){this.log(`Process Error: ${t.message}`,"ERROR")}this.isStale(i)||(0===l.length&&this.showErrors&&this.lastError?this.renderMessage(this.errorMessages[this.lastError.type]||this.errorMessages.request):this.renderSuggestions(l,r))}async tryAutoSelectContext(t,i,e){const s=()=>void 0!==i&&this.isStale(i);if(!this.state.municipalityId&&t.length>1){const i=t[0];if(i.length>1){const t=await this.client.searchMunicipality(i);if(s())return;const e=this.client.splitZip(i),a=e?e.rest:i,n=a?t.find(t=>this.client.normalizeText(t.value)===this.client.normalizeText(a)):5===e.zip.length&&1===t.length?t[0]:null;n&&(this.log(`Auto-selected Municipality: ${n.label}`,"INFO"),this.setMunicipalityContext(n.data))}}if(this.state.municipalityId&&!this.state.streetName&&t.length>2){const i=t[1];if(i.length>0&&!this.isNumber(i)){const t=await this.client.searchStreet(this.state.municipalityId,i,e,this.state);if(s())return;const a=t.find(t=>this.client.normalizeText(t.value)===this.client.normalizeText(i));a&&(this.log(`Auto-selected Street: ${a.value}`,"INFO"),this.state.streetName=a.value)}}}async handleFieldInput(t,i){const e=this.cancelPending(),s=this.abortController?this.abortController.signal:void 0;if(this.lastError=null,this.lastValidation=null,await this.syncFieldContext(e),this.isStale(e))return;const a=(i||"").trim(),n=this.state.municipalityId;let r=[];try{"city"===t&&a?r=await this.client.searchMunicipality(a):"street"===t&&n?r=await this.client.searchStreet(n,a,s,this.state):"number"===t&&n?r=await this.client.searchPlace(n,this.state.streetName,a,s,this.state):"zip"===t&&a&&!n&&(r=await this.client.searchMunicipality(a))}catch(t){this.log(`Process Error: ${t.message}`,"ERROR")}if(this.isStale(e))return;const l=await this.validateFields(s);this.isStale(e)||(l.valid?this.closeSuggestions():(r=l.suggestions.concat(r),0===r.length&&this.showErrors&&this.lastError?this.renderMessage(this.errorMessages[this.lastError.type]||this.errorMessages.request):this.renderSuggestions(r,a)))}async syncFieldContext(t){const i=this.getFieldValues();if(this.state.municipalityName&&this.client.normalizeText(i.city)!==this.client.normalizeText(this.state.municipalityName)&&(this.log("Resetting context (Municipality name changed)","WARN"),this.resetState()),!this.state.municipalityId&&i.city.length>1){const e=await this.client.searchMunicipality(i.city);if(this.isStale(t))return;const s=e.find(t=>this.client.normalizeText(t.value)===this.client.normalizeText(i.city));s&&(this.log(`Auto-selected Municipality: ${s.label}`,"INFO"),this.setMunicipalityContext(s.data))}this.state.streetName=i.street||null}async validateFields(t){const i=this.getFieldValues();if(!i.city||!i.number)return this.triggerCallback(null),{valid:!1,suggestions:[]};const e=this.client.fieldsToValidateParams(i,this.state),s=await this.client.validateParams(e,{context:this.state,signal:t,diagnostics:this.validationDiagnostics});if(t&&t.aborted)return{valid:!1,suggestions:[]};if(s.valid){const t=s.place;return this.fillFields(t),this.triggerCallback(this.mapToRuianPlace(t)),{valid:!0,suggestions:[]}}const a=s.diagnostics;return this.triggerCallback(!1,a),{valid:!1,suggestions:a?a.suggestions.filter(t=>"complete"===t.type):[]}}writeFieldValues(t){Object.keys(this.fields).forEach(i=>{this.fields[i].value=void 0!==t[i]&&null!==t[i]?t[i]:""})}textToFieldValues(t){const i=this.client.buildValidateParams(t,this.state);return{city:i.municipalityName||"",street:i.street||"",number:RuianClient.formatHouseNumber(i),zip:this.client.formatZip(i.zip)}}fillFields(t){const i={city:t.municipalityName,street:t.streetName||"",number:RuianClient.formatHouseNumber(t),zip:this.client.formatZip(t.zip)};Object.keys(i).forEach(t=>{this.fields[t]&&(this.fields[t].value=i[t])}),this.setMunicipalityContext(t),this.state.streetName=t.streetName||null}selectFieldSuggestion(t){const i=t=>{this.fields[t]&&(this.setActiveField(t),this.fields[t].focus())};if("complete"===t.type)this.fillFields(t.data),this.triggerCallback(this.mapToRuianPlace(t.data)),this.closeSuggestions();else if("municipality"===t.type||"part"===t.type){this.setMunicipalityContext(t.data),this.state.streetName=null,this.fields.city.value=t.data.municipalityName,this.fields.street&&(this.fields.street.value=""),this.fields.zip&&t.data.zip&&(this.fields.zip.value=this.client.formatZip(t.data.zip)),this.closeSuggestions();const e=this.fields.street?"street":"number";i(e),this.handleFieldInput(e,this.fields[e].value)}else if("street"===t.type)this.state.streetName=t.value,this.fields.street.value=t.value,this.closeSuggestions(),i("number"),this.handleFieldInput("number",this.fields.number.value);else if("place"===t.type){this.fields.number.value=t.value;const i=t.data.placeZip||this.state.zip;this.fields.zip&&i&&(this.fields.zip.value=this.client.formatZip(i)),this.closeSuggestions(),this.handleFieldInput("number",t.value)}}setMunicipalityContext(t){this.state.municipalityId=t.municipalityId,this.state.municipalityName=t.municipalityName,this.state.zip=t.zip,this.state.municipalityPartName=t.municipalityPartName||null,this.state.cityDistrictName=t.cityDistrictName||null,this.state.partZips=t.partZips&&t.partZips.length?t.partZips:null}on(t,i){return t=t.replace(/^ruian:/,""),(this.eventHandlers[t]=this.eventHandlers[t]||[]).push(i),this}off(t,i){return t=t.replace(/^ruian:/,""),this.eventHandlers[t]&&(this.eventHandlers[t]=this.eventHandlers[t].filter(t=>t!==i)),this}emit(t,i){(this.eventHandlers[t]||[]).slice().forEach(e=>{try{e(i)}catch(i){this.log(`Handler of ${t} failed: ${i.message}`,"WARN")}}),this.inputElement&&"undefined"!=typeof CustomEvent&&this.inputElement.dispatchEvent(new CustomEvent(`ruian:${t}`,{bubbles:!0,composed:!0,detail:i}))}static escapeHtml(t){return String(null==t?"":t).replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;").replace(/"/g,"&quot;").replace(/'/g,"&#39;")}addClasses(t,i){String(i||"").split(/\s+/).filter(Boolean).forEach(i=>t.classList.add(i))}removeClasses(t,i){String(i||"").split(/\s+/).filter(Boolean).forEach(i=>t.classList.remove(i))}renderSuggestions(t,i){this.suggestionBox&&(this.suggestionBox.innerHTML="",this.suggestionsData=t,this.activeIndex=t.length>0&&"complete"===t[0].type?0:-1,this.emit("suggestions",{items:t||[]}),t&&0!==t.length?(t.forEach((t,e)=>{const s=document.createElement("button");if(this.addClasses(s,this.classNames.item),s.type="button",s.id=`${this.suggestionBox.id}-option-${e}`,s.setAttribute("role","option"),s.setAttribute("aria-selected",e===this.activeIndex?"true":"false"),s.tabIndex=-1,e===this.activeIndex&&this.addClasses(s,this.classNames.active),"complete"===t.type&&this.addClasses(s,this.classNames.complete),this.renderItem){const e=this.renderItem(t,i||"");"string"==typeof e?s.innerHTML=e:e&&s.appendChild(e)}else this.renderItemContent(s,t,i||"");s.onmousedown=t=>t.preventDefault(),s.onclick=t=>{t.preventDefault(),this.selectSuggestion(e),this.inputElement.focus()},this.suggestionBox.appendChild(s)}),this.suggestionBox.style.display="block",this.updateComboboxState(!0),this.announce(this.client.formatMessage(this.a11yMessages.suggestions,{count:t.length}))):this.closeSuggestions())}renderItemContent(t,i,e){const s=document.createElement("span");this.addClasses(s,this.classNames.label),this.appendHighlighted(s,String(i.label),this.highlightMatches?e:""),t.appendChild(s);const a=document.createElement("span");this.addClasses(a,this.classNames.badge),this.addClasses(a,this.classNames.badgeTypes[i.type]||this.classNames.badgeTypes.default),a.textContent=this.badgesLabels[i.type]||"",t.appendChild(a)}appendHighlighted(t,i,e){const s=e?this.findMatch(i,e):null;if(!s)return void(t.textContent=i);const a=document.createElement("mark");this.addClasses(a,this.classNames.highlight),a.textContent=i.substring(s.start,s.end),t.appendChild(document.createTextNode(i.substring(0,s.start))),t.appendChild(a),t.appendChild(document.createTextNode(i.substring(s.end)))}findMatch(t,i){const e=this.client.normalizeText(i);if(!e)return null;let s="";const a=[];for(let i=0;i<t.length;i++){const e=/\s/.test(t[i])?" ":t[i].toLowerCase().normalize("NFD").replace(/[\u0300-\u036f]/g,"");for(let t=0;t<e.length;t++)a.push(i);s+=e}const n=s.indexOf(e);return-1===n?null:{start:a[n],end:a[n+e.length-1]+1}}renderMessage(t){if(!this.suggestionBox)return;this.suggestionBox.innerHTML="",this.suggestionsData=[],this.activeIndex=-1;const i=document.createElement("div");this.addClasses(i,this.classNames.message),i.textContent=t,this.suggestionBox.appendChild(i),this.suggestionBox.style.display="block",this.updateComboboxState(!1),this.announce(t)}selectSuggestion(t){const i=this.suggestionsData[t];if(i)if(this.log(`Selected: ${i.type} - ${i.label}`,"SUCCESS"),this.emit("select",{type:i.type,label:i.label,value:i.value,data:i.data}),this.fields)this.selectFieldSuggestion(i);else if("complete"===i.type){this.inputElement.value=i.value;const t=this.mapToRuianPlace(i.data);this.triggerCallback(t),this.setMunicipalityContext(i.data),this.state.streetName=i.data.streetName||null,this.closeSuggestions()}else if("municipality"===i.type||"part"===i.type){if(this.setMunicipalityContext(i.data),this.state.streetName=null,i.data.zipFirst&&i.data.zip){const t=`${this.client.formatZip(i.data.zip)} ${i.data.municipalityName}`,e=this.inputElement.value.split(",").map(t=>t.trim());this.inputElement.value=e.length>1?e.slice(0,-1).concat(t).join(", "):`${t}, `}else this.inputElement.value=`${"part"===i.type?i.value:i.data.municipalityName}, `;this.handleInput(this.inputElement.value),this.inputElement.focus()}else if("street"===i.type)this.state.streetName=i.value,this.inputElement.value=`${this.getContextText()}, ${i.value}, `,this.handleInput(this.inputElement.value),this.inputElement.focus();else if("place"===i.type){let t=`${this.getContextText()}, `;this.state.streetName&&(t+=`${this.state.streetName}, `);const e=i.data.placeZip||this.state.zip;this.inputElement.value=`${t}${i.value}, ${this.client.formatZip(e)}`,this.writeBackPending=!0,this.handleInput(this.inputElement.value),this.inputElement.focus()}}mapToRuianPlace(t){return Object.assign(this.client.mapToRuianPlace(t,this.state),{originalString:this.getInputText()})}formatOutput(t){return"function"==typeof this.outputFormat?String(this.outputFormat(this.mapToRuianPlace(t))||""):formatAddress(t,this.outputFormat)}handleError(t){this.lastError=t;try{this.onError(t)}catch(t){this.log(`onError callback failed: ${t.message}`,"WARN")}this.emit("error",{error:t})}getContextText(){return this.inputElement.value.split(",")[0].trim()||this.state.municipalityName}closeSuggestions(){this.suggestionBox&&(this.suggestionBox.style.display="none"),this.activeIndex=-1,this.updateComboboxState(!1)}handleKeydown(t){if(!this.suggestionBox||"none"===this.suggestionBox.style.display)return;const i=this.suggestionBox.querySelectorAll('[role="option"]');"ArrowDown"===t.key?(t.preventDefault(),this.activeIndex=(this.activeIndex+1)%i.length,this.highlightItem(i)):"ArrowUp"===t.key?(t.preventDefault(),this.activeIndex=(this.activeIndex-1+i.length)%i.length,this.highlightItem(i)):"Enter"===t.key?(t.preventDefault(),this.activeIndex>-1&&this.selectSuggestion(this.activeIndex)):"Escape"===t.key&&(t.preventDefault(),this.closeSuggestions())}highlightItem(t){t.forEach(t=>{this.removeClasses(t,this.classNames.active),t.setAttribute("aria-selected","false")}),t[this.activeIndex]&&(this.addClasses(t[this.activeIndex],this.classNames.active),t[this.activeIndex].setAttribute("aria-selected","true"),t[this.activeIndex].scrollIntoView({block:"nearest"})),this.updateComboboxState(!0)}isNumber(t){return/^(?:\d|[čc]\.?\s*(?:ev|p|o)(?:\.|\s*\d)|ev(?:\.|\s*\d))/i.test(t.trim())}resetState(){this.state={municipalityId:null,municipalityName:null,municipalityPartName:null,cityDistrictName:null,partZips:null,zip:null,streetName:null}}triggerCallback(t,i){const e=this.getInputs();this.lastValidation={valid:null===t?null:!1!==t,place:t||null,diagnostics:i||null},this.updateForm(t||null),!1===t?(e.forEach(t=>{t.classList.add("is-invalid"),t.classList.remove("is-valid"),t.setAttribute("aria-invalid","true")}),this.announce(this.client.formatMessage(this.a11yMessages.invalid,{message:i?i.message:""})),this.onValidationChange(!1,i?{diagnostics:i}:null),this.emit("invalid",{diagnostics:i||null})):null===t?(e.forEach(t=>{t.classList.remove("is-valid","is-invalid"),t.removeAttribute("aria-invalid")}),this.onValidationChange(null,null),this.emit("clear",{})):(e.forEach(t=>{t.classList.remove("is-invalid"),t.classList.add("is-valid"),t.removeAttribute("aria-invalid")}),this.announce(this.client.formatMessage(this.a11yMessages.valid,{address:this.client.buildPostalLabel(t)})),this.onValidationChange(!0,{RUIANplace:t}),this.emit("validate",{RUIANplace:t}))}log(t,i){this.onLog(t,i)}}RuianAddressWidget.instanceCount=0;class RuianAddressElement extends("undefined"!=typeof HTMLElement?HTMLElement:class{}){static get formAssociated(){return!0}static get observedAttributes(){return["api-key","proxy-url","name","value","ruian-id","placeholder","label","required","disabled"]}constructor(){super(),this.widget=null,this.options={};const t="function"==typeof this.attachInternals?this.attachInternals():null;this.internals=t&&"function"==typeof t.setFormValue?t:null,this.fallbackInputs=null,this.client=null,this.savedPlace=null,this.destroyTimer=null;const i=this.attachShadow({mode:"open",delegatesFocus:!0});i.innerHTML=`<style>${RuianAddressElement.styles}</style>\n            <div class="field" part="field">\n                <input type="text" part="input" autocomplete="off" spellcheck="false">\n                <div class="suggestions" part="listbox"></div>\n            </div>`,this.input=i.querySelector("input"),this.listbox=i.querySelector(".suggestions"),this.partsObserver="undefined"!=typeof MutationObserver?new MutationObserver(()=>this.updateParts()):null}connectedCallback(){if(clearTimeout(this.destroyTimer),this.partsObserver&&this.partsObserver.observe(this.listbox,{childList:!0,subtree:!0,attributes:!0,attributeFilter:["aria-selected"]}),this.widget)return;this.syncAttributes();const t=!!this.client;this.widget=new RuianAddressWidget(Object.assign({inputElement:this.input,suggestionElement:this.listbox,client:this.client||void 0,apiKey:this.getAttribute("api-key")||void 0,baseUrl:this.getAttribute("proxy-url")||void 0,required:this.hasAttribute("required"),initialRuianId:t?null:this.getAttribute("ruian-id")||null,classNames:RuianAddressElement.classNames},this.options)),this.widget.listen(this.input,"input",()=>this.updateValue()),["validate","invalid","clear"].forEach(t=>this.widget.on(t,()=>this.updateValue())),this.hasAttribute("disabled")&&this.widget.disable(),this.savedPlace?this.widget.setAddress(this.savedPlace):t?this.input.value&&this.widget.validate():this.hasAttribute("value")&&!this.hasAttribute("ruian-id")&&this.widget.setAddress(this.getAttribute("value")),this.savedPlace=null,this.updateValue()}disconnectedCallback(){this.partsObserver&&this.partsObserver.disconnect(),clearTimeout(this.destroyTimer),this.destroyTimer=setTimeout(()=>this.destroyWidget(),0)}destroyWidget(){this.widget&&(this.savedPlace=this.widget.getSelectedPlace(),this.client=this.widget.client,this.widget.destroy(),this.widget=null)}attributeChangedCallback(t,i,e){if(i===e)return;const s=this.widget?this.widget.client:this.client;if("placeholder"===t||"label"===t)this.syncAttributes();else if("api-key"===t)s&&s.setApiKey(e);else if("proxy-url"===t)s&&s.setBaseUrl(e);else{if(!this.widget)return;"name"===t?this.updateValue():"value"===t?this.widget.setAddress(e||""):"ruian-id"===t?e&&this.widget.loadByRuianId(e):"required"===t?(this.widget.required=null!==e,this.updateValue()):"disabled"===t&&(null!==e?this.widget.disable():this.widget.enable())}}formResetCallback(){this.widget&&this.widget.clear(),this.updateValue()}formDisabledCallback(t){this.widget&&(t?this.widget.disable():this.hasAttribute("disabled")||this.widget.enable())}formStateRestoreCallback(t){this.widget&&"string"==typeof t&&t&&this.widget.setAddress(t)}syncAttributes(){const t=this.getAttribute("placeholder");null!==t?this.input.setAttribute("placeholder",t):this.input.removeAttribute("placeholder");let i=this.getAttribute("label");null===i&&this.internals&&this.internals.labels&&this.internals.labels.length&&(i=this.internals.labels[0].textContent.trim()),i?this.input.setAttribute("aria-label",i):this.input.removeAttribute("aria-label")}updateValue(){if(!this.widget)return;const t=this.getAttribute("name"),i=this.input.value,e=this.widget.getSelectedPlace(),s=this.widget.getState();if(this.toggleAttribute("valid",!!e),this.toggleAttribute("invalid",!1===s.valid),!this.internals)return void this.writeFallbackInputs(t,i,e);let a=null;t&&i&&(a=new FormData,a.append(t,i),e&&a.append(`${t}_ruianId`,e.ruianId)),this.internals.setFormValue(a,i);const n=this.widget.getValidityMessage();n?this.internals.setValidity({customError:!0},n,this.input):this.internals.setValidity({})}writeFallbackInputs(t,i,e){if(!t)return(this.fallbackInputs||[]).forEach(t=>t.remove()),void(this.fallbackInputs=null);this.fallbackInputs||(this.fallbackInputs=[0,1].map(()=>{const t=document.createElement("input");return t.type="hidden",this.appendChild(t),t})),this.fallbackInputs[0].name=t,this.fallbackInputs[1].name=`${t}_ruianId`,this.fallbackInputs[0].value=i,this.fallbackInputs[1].value=e?e.ruianId:""}updateParts(){Array.from(this.listbox.children).forEach(t=>{if("option"!==t.getAttribute("role"))return void t.setAttribute("part","message");const i=["option"];"true"===t.getAttribute("aria-selected")&&i.push("option-active"),t.classList.contains("complete")&&i.push("option-complete"),t.setAttribute("part",i.join(" "));const e=t.querySelector(".badge");e&&e.setAttribute("part","badge");const s=t.querySelector("mark");s&&s.setAttribute("part","match")})}get value(){return this.input.value}set value(t){this.widget?this.widget.setAddress(t||""):(this.savedPlace=null,this.input.value=t||"",this.setAttribute("value",t||""))}get place(){return this.widget?this.widget.getSelectedPlace():null}get name(){return this.getAttribute("name")}get form(){return this.internals?this.internals.form:this.closest("form")}get validity(){return this.internals?this.internals.validity:null}get validationMessage(){return this.internals?this.internals.validationMessage:""}checkValidity(){return!this.internals||this.internals.checkValidity()}reportValidity(){return!this.internals||this.internals.reportValidity()}}RuianAddressElement.classNames={item:"item",active:"active",complete:"complete",label:"label",badge:"badge",badgeTypes:{municipality:"badge-municipality",part:"badge-part",street:"badge-street",place:"badge-place",complete:"badge-complete",default:""},highlight:"match",message:"message"},RuianAddressElement.styles="\n    :host { display: inline-block; width: 20em; font: inherit; }\n    :host([hidden]) { display: none; }\n    .field { position: relative; }\n    input {\n        box-sizing: border-box; width: 100%; font: inherit; color: inherit;\n        padding: var(--ruian-padding, .375rem .75rem);\n        border: 1px solid var(--ruian-border-color, #ced4da); border-radius: var(--ruian-radius, .375rem);\n        background: var(--ruian-background, #fff);\n    }\n    input:focus { outline: 2px solid var(--ruian-focus-color, #86b7fe); outline-offset: 0; }\n    :host([valid]) input { border-color: var(--ruian-valid-color, #198754); }\n    :host([invalid]) input { border-color: var(--ruian-invalid-color, #dc3545); }\n    .suggestions {\n        display: none; position: absolute; z-index: 1000; left: 0; right: 0; top: 100%; margin-top: 2px;\n        max-height: 18em; overflow-y: auto; background: var(--ruian-background, #fff);\n        border: 1px solid var(--ruian-border-color, #ced4da); border-radius: var(--ruian-radius, .375rem);\n        box-shadow: 0 .5rem 1rem rgba(0, 0, 0, .15);\n    }\n    .item {\n        display: flex; align-items: center; justify-content: space-between; gap: .5em; width: 100%;\n        padding: .5em .75em; border: 0; background: none; font: inherit; color: inherit; text-align: left; cursor: pointer;\n    }\n    .item:hover, .item.active { background: var(--ruian-active-background, #e9ecef); }\n    .item.complete { font-weight: 600; }\n    .badge {\n        flex: none; padding: .15em .5em; border-radius: 1em; font-size: .75em;\n        background: var(--ruian-badge-background, #6c757d); color: var(--ruian-badge-color, #fff);\n    }\n    .badge-complete { background: var(--ruian-valid-color, #198754); }\n    .match { background: none; color: inherit; font-weight: 700; }\n    .message { padding: .5em .75em; color: var(--ruian-invalid-color, #dc3545); }\n","undefined"==typeof customElements||customElements.get("ruian-address")||customElements.define("ruian-address",RuianAddressElement),"undefined"!=typeof module&&module.exports&&(module.exports={RuianClient:RuianClient,RuianAddressWidget:RuianAddressWidget,RuianAddressElement:RuianAddressElement,RuianError:RuianError,parseAddress:parseAddress,formatAddress:formatAddress,sjtskToWgs84:sjtskToWgs84,wgs84ToSjtsk:wgs84ToSjtsk});
\ No newline at end of file
@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { RuianClient } = require('../ruian-widget.js');
+
+const vodickova = {
+    id: 21704975, municipalityId: 554782, municipalityName: 'Praha', streetName: 'Vodičkova', cp: '704', co: '36', zip: '11000'
+};
+
+// /validate knows Vodičkova 704/36, fails on the street "Výpadek" while `broken` is set
+function stubClient(storage) {
+    const calls = [];
+    const state = { broken: true };
+    const transport = async (path, params) => {
+        if (path !== 'ruian/validate') return { data: [] };
+        calls.push(params.street);
+        if (params.street === 'Výpadek' && state.broken) throw new Error('connection reset');
+        return params.street === 'Vodičkova' && params.cp === '704' ? { status: 'MATCH', place: vodickova } : { status: 'NOT_FOUND' };
+    };
+    const client = new RuianClient({ transport: transport, storage: storage || RuianClient.memoryStorage(), retries: 0 });
+    return { client: client, calls: calls, state: state };
+}
+
+async function collect(iterator) {
+    const items = [];
+    for await (const item of iterator) items.push(item);
+    return items;
+}
+
+const addresses = ['Vodičkova 704/36, Praha', '', 'Neznámá 1, Praha', 'Výpadek 2, Praha'];
+
+test('classifies every row as MATCH, EMPTY, NO-MATCH or ERROR in input order', async () => {
+    const { client } = stubClient();
+    const results = await collect(client.validateMany(addresses, { rateLimit: 0 }));
+    assert.deepStrictEqual(results.map(r => [r.index, r.status]), [[0, 'MATCH'], [1, 'EMPTY'], [2, 'NO-MATCH'], [3, 'ERROR']]);
+    assert.strictEqual(results[0].ruianId, vodickova.id);
+    assert.strictEqual(results[0].label, 'Vodičkova 704/36, 110 00 Praha');
+    assert.strictEqual(results[2].apiStatus, 'NOT_FOUND');
+    assert.strictEqual(results[3].apiStatus, null);
+});
+
+test('validates field values like the multi-field mode', async () => {
+    const { client } = stubClient();
+    const [result] = await collect(client.validateMany([{ city: 'Praha', street: 'Vodičkova', number: '704/36' }], { rateLimit: 0 }));
+    assert.strictEqual(result.status, 'MATCH');
+});
+
+test('a resumed job validates only the rows that failed', async () => {
+    const storage = RuianClient.memoryStorage();
+    const first = stubClient(storage);
+    await collect(first.client.validateMany(addresses, { rateLimit: 0, resume: 'import' }));
+    assert.deepStrictEqual(first.calls, ['Vodičkova', 'Neznámá', 'Výpadek']);
+
+    const second = stubClient(storage);
+    second.state.broken = false;
+    const results = await collect(second.client.validateMany(addresses, { rateLimit: 0, resume: 'import' }));
+    assert.deepStrictEqual(second.calls, ['Výpadek']);
+    assert.deepStrictEqual(results.map(r => r.status), ['MATCH', 'EMPTY', 'NO-MATCH', 'NO-MATCH']);
+
+    // A changed row is validated again, a cleared job starts over
+    const third = stubClient(storage);
+    await collect(third.client.validateMany(['Vodičkova 704/36, Praha', '', 'Neznámá 3, Praha', 'Výpadek 2, Praha'], { rateLimit: 0, resume: 'import' }));
+    assert.deepStrictEqual(third.calls, ['Neznámá']);
+    await third.client.clearBatch('import');
+    const fourth = stubClient(storage);
+    await collect(fourth.client.validateMany(addresses, { rateLimit: 0, resume: 'import' }));
+    assert.strictEqual(fourth.calls.length, 3);
+});
+
+test('an aborted batch stops yielding and starts no further validations', async () => {
+    const { client, calls } = stubClient();
+    const controller = new AbortController();
+    const rows = Array.from({ length: 20 }, (v, i) => `Vodičkova ${i + 1}, Praha`);
+    const results = [];
+    for await (const result of client.validateMany(rows, { rateLimit: 0, concurrency: 1, signal: controller.signal })) {
+        results.push(result);
+        controller.abort();
+    }
+    assert.strictEqual(results.length, 1);
+    assert.ok(calls.length <= 2, `${calls.length} validations after the abort`);
+});
+
+test('validateCsv keeps quoted fields and the detected delimiter', async () => {
+    const { client } = stubClient();
+    const csv = '\uFEFFJméno;Adresa\r\n"Novák; Jan";"Vodičkova 704/36, Praha"\r\n"Firma ""A""";"Neznámá 1\nPraha"\r\nPrázdná;\r\n\r\n';
+    const lines = await collect(client.validateCsv(csv, { columns: { address: 'adresa' }, rateLimit: 0 }));
+    assert.deepStrictEqual(lines, [
+        'Jméno;Adresa;ruian_status;ruian_label;ruian_id;ruian_message\r\n',
+        '"Novák; Jan";Vodičkova 704/36, Praha;MATCH;Vodičkova 704/36, 110 00 Praha;21704975;\r\n',
+        '"Firma ""A""";"Neznámá 1\nPraha";NO-MATCH;;;\r\n',
+        'Prázdná;;EMPTY;;;\r\n'
+    ]);
+});
+
+test('validateCsv reads field columns by name or index, comma separated', async () => {
+    const { client } = stubClient();
+    const csv = 'mesto,ulice,cislo\nPraha,Vodičkova,704/36\n"Praha, hlavní město",Neznámá,"1"\n';
+    const lines = await collect(client.validateCsv(csv, {
+        columns: { city: 0, street: 'ULICE', number: 'cislo' }, output: { message: null }, rateLimit: 0
+    }));
+    assert.deepStrictEqual(lines.map(line => RuianClient.parseCsv(line, ',')[0]), [
+        ['mesto', 'ulice', 'cislo', 'ruian_status', 'ruian_label', 'ruian_id'],
+        ['Praha', 'Vodičkova', '704/36', 'MATCH', 'Vodičkova 704/36, 110 00 Praha', '21704975'],
+        ['Praha, hlavní město', 'Neznámá', '1', 'NO-MATCH', '', '']
+    ]);
+});
+
+test('validateCsv rejects unknown or missing columns', async () => {
+    const { client } = stubClient();
+    const csv = 'mesto;cislo\nPraha;1\n';
+    await assert.rejects(client.validateCsv(csv, { columns: { address: 'adresa' } }).next(), /CSV column "adresa" not found/);
+    await assert.rejects(client.validateCsv(csv, { columns: { city: 'mesto', number: 5 } }).next(), /CSV column "5" not found/);
+    await assert.rejects(client.validateCsv(csv, { columns: { city: 'mesto' } }).next(), /need 'address', or 'city' and 'number'/);
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { RuianClient, sjtskToWgs84, wgs84ToSjtsk } = require('../ruian-widget.js');
+
+// [place, EPSG:5514 x, y, WGS84 lat, lon]; WGS84 by proj4 with the EPSG:1623 parameters
+// (+towgs84=570.8,85.7,462.8,4.998,1.587,5.261,3.56)
+const points = [
+    ['Praha', -743563.8, -1043390.7, 50.0831750, 14.4115345],
+    ['Brno', -598158.4, -1160574.2, 49.1967116, 16.6077819],
+    ['Ostrava', -470000, -1101000, 49.8410564, 18.2902628],
+    ['Aš', -907000, -1020000, 50.0680574, 12.1049451],
+    ['Jablunkov', -447000, -1150000, 49.4191594, 18.6637880]
+];
+// 1e-6° is about 0.1 m
+const DEGREES = 1e-6;
+const METRES = 0.1;
+
+const near = (actual, expected, tolerance, what) => {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${what}: ${actual} is not within ${tolerance} of ${expected}`);
+};
+
+points.forEach(([name, x, y, lat, lon]) => {
+    test(`converts ${name} between S-JTSK and WGS84`, () => {
+        const wgs = sjtskToWgs84(x, y);
+        near(wgs.lat, lat, DEGREES, 'lat');
+        near(wgs.lon, lon, DEGREES, 'lon');
+
+        const sjtsk = wgs84ToSjtsk(lat, lon);
+        near(sjtsk.x, x, METRES, 'x');
+        near(sjtsk.y, y, METRES, 'y');
+    });
+});
+
+test('accepts the positive RUIAN pair in either order', () => {
+    const [, x, y, lat, lon] = points[0];
+    [[-x, -y], [-y, -x], [y, x]].forEach(([a, b]) => {
+        const wgs = sjtskToWgs84(a, b);
+        near(wgs.lat, lat, DEGREES, `lat of ${a}, ${b}`);
+        near(wgs.lon, lon, DEGREES, `lon of ${a}, ${b}`);
+    });
+});
+
+test('readCoordinates completes either system', () => {
+    const [, x, y, lat, lon] = points[1];
+    // The positive RUIAN pair under the place keys
+    const fromPlace = RuianClient.readCoordinates({ placeX: -y, placeY: -x });
+    assert.strictEqual(fromPlace.x, x);
+    assert.strictEqual(fromPlace.y, y);
+    near(fromPlace.lat, lat, DEGREES, 'lat');
+    near(fromPlace.lon, lon, DEGREES, 'lon');
+
+    const fromWgs = RuianClient.readCoordinates({ coordinates: { latitude: lat, lng: lon } });
+    near(fromWgs.x, x, METRES, 'x');
+    near(fromWgs.y, y, METRES, 'y');
+    assert.strictEqual(RuianClient.readCoordinates({ x: '', y: null }), null);
+});
@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { RuianClient, formatAddress } = require('../ruian-widget.js');
+
+const plzenska = { municipalityId: 554782, municipalityName: 'Praha', streetName: 'Plzeňská', cp: '1', zip: '15000' };
+
+// [place, expected single-line label]
+const fixtures = [
+    [plzenska, 'Plzeňská 1, 150 00 Praha'],
+    [Object.assign({}, plzenska, { cityDistrictName: 'Praha 5' }), 'Plzeňská 1, 150 00 Praha 5'],
+    [Object.assign({}, plzenska, { municipalityPartName: 'Smíchov', cityDistrictName: 'Praha 5' }), 'Plzeňská 1, Smíchov, 150 00 Praha 5'],
+    [{ municipalityName: 'Brno', streetName: 'Masarykova', cp: '427', co: '31', zip: '60200', cityDistrictName: 'Brno-střed' }, 'Masarykova 427/31, Brno-střed, 602 00 Brno'],
+    [{ municipalityName: 'Lhota', municipalityPartName: 'Lhota', cp: '12', zip: '27201' }, 'Lhota 12, 272 01 Lhota']
+];
+
+fixtures.forEach(([place, expected]) => {
+    test(`formats "${expected}"`, () => assert.strictEqual(formatAddress(place, 'single-line'), expected));
+});
+
+test('labels a validated address with the city district chosen in the context', async () => {
+    const client = new RuianClient({ apiKey: 'test' });
+    client.apiRequest = async () => ({ status: 'MATCH', place: Object.assign({ id: 1 }, plzenska) });
+    const result = await client.validate('Plzeňská 1', {
+        context: { municipalityId: 554782, municipalityName: 'Praha', cityDistrictName: 'Praha 5' }
+    });
+    assert.strictEqual(result.valid, true);
+    assert.strictEqual(result.place.cityDistrictName, 'Praha 5');
+    assert.strictEqual(result.label, 'Plzeňská 1, 150 00 Praha 5');
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { RuianClient } = require('../ruian-widget.js');
+
+const names = ['Praha', 'Brno', 'Ostrava', 'Plzeň', 'Liberec', 'Olomouc', 'Most', 'Teplice', 'Písek', 'Lhota',
+    'Lhota pod Libčany', 'Prachatice', 'Přerov', 'Brnířov', 'Opava', 'Frýdek-Místek', 'Ústí nad Labem',
+    'Hradec Králové', 'České Budějovice', 'Karlovy Vary', 'Jablonec nad Nisou', 'Havlíčkův Brod', 'Kutná Hora',
+    'Nové Město na Moravě', 'Moravská Ostrava', 'Mostek', 'Pardubice', 'Jihlava', 'Zlín', 'Kladno'];
+const municipalities = names.map((name, i) => ({ municipalityId: i + 1, municipalityName: name }));
+
+const queries = [
+    // Adjacent transpositions break three bigrams, but count as one typo
+    'parha', 'msot', 'bnro', 'lhtoa', 'ostarva', 'teplcie', 'piesk',
+    // Substitutions, insertions, deletions, prefixes and words inside names
+    'praah', 'prha', 'prahha', 'ostrva', 'liberc', 'olomuoc', 'hradec kralvoe', 'budejovcie', 'jihlvaa',
+    'pra', 'lhota', 'nad labem', 'kralove', 'frydek', 'mistek', 'nove mesto na morave'
+];
+
+const client = new RuianClient({ storage: RuianClient.memoryStorage() });
+client.setMunicipalities(municipalities);
+
+const sortKey = match => `${match.rank.tier}|${match.rank.distance}|${match.municipality.municipalityName}`;
+queries.forEach(raw => test(`index finds what a full scan finds for "${raw}"`, () => {
+    const query = client.normalizeText(raw);
+    const maxTypos = client.maxTyposFor(query);
+
+    const indexed = client.lookupMunicipalities(query, maxTypos).map(sortKey).sort();
+    const scanned = municipalities
+        .map(m => ({ municipality: m, rank: client.rankName(client.normalizeText(m.municipalityName), query, maxTypos) }))
+        .filter(match => match.rank)
+        .map(sortKey)
+        .sort();
+
+    assert.deepStrictEqual(indexed, scanned);
+}));
+
+test('finds municipalities typed with transposed letters', () => {
+    [['parha', 'Praha'], ['msot', 'Most'], ['bnro', 'Brno'], ['lhtoa', 'Lhota'], ['ostarva', 'Ostrava'],
+        ['teplcie', 'Teplice'], ['piesk', 'Písek']].forEach(([query, name]) => {
+        const found = client.lookupMunicipalities(query, client.maxTyposFor(query)).map(m => m.municipality.municipalityName);
+        assert.ok(found.includes(name), `"${query}" should find ${name}, found ${found.join(', ') || 'nothing'}`);
+    });
+});
+
+// Village names in the pattern of the real list: "Horní Lhota", "Lhota u Brna", "Nová Ves nad Nisou"...
+const bases = ['Lhota', 'Ves', 'Újezd', 'Podhradí', 'Dvůr', 'Hora', 'Lažany', 'Bukovina', 'Kostelec', 'Zahrádky',
+    'Chlum', 'Hrádek', 'Petrovice', 'Radim', 'Skalice', 'Veselí', 'Těšetice', 'Březí', 'Olešnice', 'Jamné'];
+const qualifiers = ['', 'Horní ', 'Dolní ', 'Nová ', 'Stará ', 'Velká ', 'Malá '];
+const suffixes = ['', ' u Brna', ' nad Labem', ' pod Horou', ' u Jihlavy', ' nad Nisou', ' u Písku', ' v Podlesí'];
+const villages = [];
+bases.forEach(base => qualifiers.forEach(qualifier => suffixes.forEach(suffix => {
+    villages.push({ municipalityId: villages.length + 1, municipalityName: qualifier + base + suffix });
+})));
+
+test('the bigram prefilter keeps short queries to a fraction of the list', () => {
+    const index = client.buildMunicipalityIndex(villages);
+    ['pra', 'lho', 'lhota', 'lhtoa', 'ujezd', 'kostlec', 'skalice u brna', 'olesnice nad nisou'].forEach(raw => {
+        const query = client.normalizeText(raw);
+        const maxTypos = client.maxTyposFor(query);
+        const candidates = client.indexCandidates(query, maxTypos, index);
+        assert.ok(candidates.length < villages.length / 6, `"${raw}": ${candidates.length} of ${villages.length} names ranked`);
+
+        const found = client.lookupMunicipalities(query, maxTypos, index).length;
+        const scanned = index.names.filter(name => client.rankName(name, query, maxTypos)).length;
+        assert.strictEqual(found, scanned, `"${raw}": index and full scan differ`);
+    });
+});
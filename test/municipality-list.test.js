@@ -0,0 +1,15 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { RuianClient } = require('../ruian-widget.js');
+
+test('searches during a failed municipality load leave no waiters behind', async () => {
+    const client = new RuianClient({
+        transport: async () => { throw new Error('offline'); },
+        retries: 0,
+        storage: RuianClient.memoryStorage()
+    });
+    for (const query of ['Pr', 'Pra', 'Prah', 'Praha']) {
+        assert.deepStrictEqual(await client.searchMunicipality(query), []);
+    }
+    assert.strictEqual(client.regionWaiters.length, 0);
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { RuianClient } = require('../ruian-widget.js');
+
+const praha = { municipalityId: 554782, municipalityName: 'Praha', zip: '11000' };
+const parts = [
+    { municipalityId: 554782, municipalityPartName: 'Smíchov', municipalityPartId: 490121, cityDistrictName: 'Praha 5', zip: '15000' },
+    { municipalityId: 554782, municipalityPartName: 'Košíře', municipalityPartId: 490083, cityDistrictName: 'Praha 5', zip: '15000' },
+    { municipalityId: 554782, municipalityPartName: 'Nové Město', municipalityPartId: 490105, cityDistrictName: 'Praha 2', zip: '12000' }
+];
+// Shaped like the API: streets and places carry no part, places only their ZIP
+const streets = [{ streetName: 'Plzeňská' }, { streetName: 'Vodičkova' }, { streetLessPartName: 'Smíchov' }, { streetLessPartName: 'Nové Město' }];
+const places = [
+    { placeId: 1, placeCp: 1, placeCo: null, placeZip: 15000 },
+    { placeId: 2, placeCp: 14, placeCo: 2, placeZip: 15000 },
+    { placeId: 3, placeCp: 100, placeCo: 7, placeZip: 12000 }
+];
+const transport = async (path, params) => {
+    if (path === 'ruian/build/municipalities') return { data: params.regionId === 'CZ031' ? [praha] : [] };
+    if (path === 'ruian/build/streets') return { data: streets };
+    if (path === 'ruian/build/places') return { data: places };
+    return { data: [] };
+};
+const newClient = () => new RuianClient({ transport: transport, storage: RuianClient.memoryStorage(), partsData: async () => parts });
+
+test('a chosen municipality part narrows house numbers by its ZIPs', async () => {
+    const client = newClient();
+    const smichov = (await client.searchMunicipality('Smíchov')).find(s => s.type === 'part');
+    assert.deepStrictEqual(smichov.data.partZips, ['15000']);
+
+    const context = Object.assign({}, smichov.data);
+    const numbers = await client.searchPlace(554782, 'Plzeňská', '', null, context);
+    assert.deepStrictEqual(numbers.map(s => s.data.placeId), [1, 2]);
+
+    const all = await client.searchPlace(554782, 'Plzeňská', '', null, { municipalityId: 554782 });
+    assert.strictEqual(all.length, 3);
+});
+
+test('a chosen municipality part drops the streetless entries of other parts', async () => {
+    const client = newClient();
+    const smichov = (await client.searchMunicipality('Smíchov')).find(s => s.type === 'part');
+    const names = (await client.searchStreet(554782, '', null, smichov.data)).map(s => s.value);
+    assert.deepStrictEqual(names, ['Plzeňská', 'Vodičkova', 'Smíchov']);
+});
+
+test('a city district narrows house numbers by the ZIPs of its parts', async () => {
+    const client = newClient();
+    const district = (await client.searchMunicipality('Praha 2')).find(s => s.type === 'part');
+    assert.strictEqual(district.data.cityDistrictName, 'Praha 2');
+    const numbers = await client.searchPlace(554782, 'Vodičkova', '', null, district.data);
+    assert.deepStrictEqual(numbers.map(s => s.data.placeId), [3]);
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseAddress } = require('../ruian-widget.js');
+
+const PARTS = ['street', 'cp', 'co', 'coLetter', 'ce', 'zip', 'municipality', 'part', 'cityDistrict'];
+
+// [input, expected parts]; parts left out are expected to be null
+const fixtures = [
+    ['Vodičkova 704/36, Praha 1, 110 00', { street: 'Vodičkova', cp: '704', co: '36', zip: '11000', municipality: 'Praha', cityDistrict: 'Praha 1' }],
+    ['Vodičkova 704/36, 110 00 Praha 1', { street: 'Vodičkova', cp: '704', co: '36', zip: '11000', municipality: 'Praha', cityDistrict: 'Praha 1' }],
+    ['110 00 Praha, Vodičkova 704/36', { street: 'Vodičkova', cp: '704', co: '36', zip: '11000', municipality: 'Praha' }],
+    ['Praha, Vodičkova, 704/36', { street: 'Vodičkova', cp: '704', co: '36', municipality: 'Praha' }],
+    ['Vodičkova 704/36, Nové Město, 110 00 Praha 1', { street: 'Vodičkova', cp: '704', co: '36', zip: '11000', municipality: 'Praha', part: 'Nové Město', cityDistrict: 'Praha 1' }],
+    ['Jan Novák\nVodičkova 704/36\n110 00 Praha 1\nČeská republika', { street: 'Vodičkova', cp: '704', co: '36', zip: '11000', municipality: 'Praha', cityDistrict: 'Praha 1' }],
+    ['Plzeňská 1, Smíchov, 150 00 Praha 5', { street: 'Plzeňská', cp: '1', zip: '15000', municipality: 'Praha', part: 'Smíchov', cityDistrict: 'Praha 5' }],
+    ['náměstí Míru 820/9, Praha 2', { street: 'náměstí Míru', cp: '820', co: '9', municipality: 'Praha', cityDistrict: 'Praha 2' }],
+    ['č.p. 12, Lhota', { cp: '12', municipality: 'Lhota' }],
+    ['ev. 15, Lhota', { ce: '15', municipality: 'Lhota' }],
+    ['K Cihelně ev. 3, 252 42 Jesenice', { street: 'K Cihelně', ce: '3', zip: '25242', municipality: 'Jesenice' }],
+    // A name in front of a lone number may be a street or a village; buildValidateParams decides with the context
+    ['Lhota 12', { street: 'Lhota', cp: '12' }],
+    ['Nádražní 12a Brno', { street: 'Nádražní', co: '12', coLetter: 'a', municipality: 'Brno' }],
+    ['Masarykova 1234/56b, 301 00 Plzeň', { street: 'Masarykova', cp: '1234', co: '56', coLetter: 'b', zip: '30100', municipality: 'Plzeň' }],
+    ['Kobližná 47/4, 602 00 Brno', { street: 'Kobližná', cp: '47', co: '4', zip: '60200', municipality: 'Brno' }],
+    ['PSČ 602 00 Brno, Kobližná 4', { street: 'Kobližná', cp: '4', zip: '60200', municipality: 'Brno' }],
+    ['Hlavní 15, 397 01 Písek', { street: 'Hlavní', cp: '15', zip: '39701', municipality: 'Písek' }],
+    ['U Lesa 5, Lhota u Příbramě', { street: 'U Lesa', cp: '5', municipality: 'Lhota u Příbramě' }],
+    ['Dlouhá 7 Opava', { street: 'Dlouhá', cp: '7', municipality: 'Opava' }],
+    ['Dlouhá 7/b, Opava', { street: 'Dlouhá', co: '7', coLetter: 'b', municipality: 'Opava' }],
+    ['Kubelíkova 1224/42, Praha 3 - Žižkov', { street: 'Kubelíkova', cp: '1224', co: '42', municipality: 'Praha', part: 'Žižkov', cityDistrict: 'Praha 3' }],
+    ['Vodičkova 704/36, Praha-Nové Město', { street: 'Vodičkova', cp: '704', co: '36', municipality: 'Praha', part: 'Nové Město' }],
+    ['Masarykova 427/31, 602 00 Brno-střed', { street: 'Masarykova', cp: '427', co: '31', zip: '60200', municipality: 'Brno', cityDistrict: 'Brno-střed' }],
+    ['Slovanská 10, Plzeň 2-Slovany', { street: 'Slovanská', cp: '10', municipality: 'Plzeň', cityDistrict: 'Plzeň 2-Slovany' }],
+    ['Vinohradská 12, Praha 3 - Žižkov, Česká republika', { street: 'Vinohradská', cp: '12', municipality: 'Praha', part: 'Žižkov', cityDistrict: 'Praha 3' }],
+    ['Frýdek-Místek, 28. října 1', { street: '28. října', cp: '1', municipality: 'Frýdek-Místek' }],
+    ['Vodičkova, Praha 1', { street: 'Vodičkova', municipality: 'Praha', cityDistrict: 'Praha 1' }]
+];
+
+const pick = (parts, fill) => Object.fromEntries(PARTS.map(key => [key, parts[key] !== undefined ? parts[key] : fill]));
+
+fixtures.forEach(([input, expected]) => {
+    test(`parses ${JSON.stringify(input)}`, () => {
+        assert.deepStrictEqual(pick(parseAddress(input)), pick(expected, null));
+    });
+});
+
+test('reports recipient and country lines instead of parsing them', () => {
+    const pasted = parseAddress('Jan Novák\nVodičkova 704/36\n110 00 Praha 1\nČeská republika');
+    assert.deepStrictEqual(pasted.ignored, ['Jan Novák']);
+    assert.ok(pasted.formats.includes('multiline') && pasted.formats.includes('country'));
+});
+
+test('lowers the confidence for missing parts', () => {
+    assert.ok(parseAddress('Vodičkova').confidence < parseAddress('Vodičkova 704/36, 110 00 Praha').confidence);
+    assert.strictEqual(parseAddress('').municipality, null);
+});
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+// Just enough DOM for the widget: elements with attributes, classes, children and listeners
+function element(tagName) {
+    const attributes = {};
+    const listeners = {};
+    const classes = new Set();
+    return {
+        tagName: tagName.toUpperCase(),
+        children: [],
+        style: {},
+        dataset: {},
+        value: '',
+        classList: {
+            add: (...names) => names.forEach(name => classes.add(name)),
+            remove: (...names) => names.forEach(name => classes.delete(name)),
+            contains: name => classes.has(name),
+            toggle: (name, force) => ((force === undefined ? !classes.has(name) : force) ? classes.add(name) : classes.delete(name))
+        },
+        setAttribute: (name, value) => { attributes[name] = String(value); },
+        getAttribute: name => (name in attributes ? attributes[name] : null),
+        hasAttribute: name => name in attributes,
+        removeAttribute: name => { delete attributes[name]; },
+        addEventListener: (type, handler) => { (listeners[type] = listeners[type] || []).push(handler); },
+        removeEventListener: (type, handler) => { listeners[type] = (listeners[type] || []).filter(h => h !== handler); },
+        dispatchEvent: event => { (listeners[event.type] || []).forEach(handler => handler(event)); return true; },
+        appendChild(child) { this.children.push(child); child.parentNode = this; return child; },
+        removeChild(child) { this.children = this.children.filter(c => c !== child); return child; },
+        contains(node) { return node === this || this.children.some(c => c.contains && c.contains(node)); },
+        querySelectorAll() { return this.children; },
+        closest: () => null,
+        focus() { },
+        scrollIntoView() { },
+        setCustomValidity() { },
+        set innerHTML(html) { if (html === '') this.children = []; },
+        get innerHTML() { return ''; },
+        set textContent(text) { this.text = text; this.children = []; },
+        get textContent() { return this.text || ''; }
+    };
+}
+global.document = Object.assign(element('html'), {
+    body: element('body'),
+    createElement: element,
+    createTextNode: text => ({ nodeType: 3, textContent: text })
+});
+
+const { RuianAddressWidget } = require('../ruian-widget.js');
+
+const vodickova = {
+    id: 21704975, municipalityId: 554782, municipalityName: 'Praha', municipalityPartName: 'Nové Město',
+    streetName: 'Vodičkova', cp: '704', co: '36', zip: '11000'
+};
+// /validate knows only Vodičkova 704/36
+const transport = async (path, params) => {
+    if (path !== 'ruian/validate') return { data: [] };
+    return params.cp === '704' && params.municipalityName === 'Praha' ? { status: 'MATCH', place: vodickova } : { status: 'NOT_FOUND' };
+};
+
+test('a place restored from its hidden fields keeps the RUIAN ID', async () => {
+    const form = element('form');
+    const hiddenInputs = {};
+    form.elements = { namedItem: name => hiddenInputs[name] || null };
+    form.appendChild = input => { hiddenInputs[input.name] = input; return input; };
+    const input = Object.assign(element('input'), { form: form });
+    const widget = new RuianAddressWidget({
+        inputElement: input, suggestionElement: element('div'), transport: transport, hiddenFields: true, onLog() { }
+    });
+
+    await widget.validate('Vodičkova 704/36, Praha');
+    const saved = widget.getSelectedPlace();
+    assert.ok(saved);
+
+    // What a submitted form hands back: strings under the hiddenFields keys, no `id`
+    const stored = {};
+    Object.keys(hiddenInputs).forEach(name => { if (hiddenInputs[name].value !== '') stored[name] = String(hiddenInputs[name].value); });
+    assert.strictEqual(stored.id, undefined);
+
+    widget.clear();
+    await widget.setAddress(stored);
+    const restored = widget.getSelectedPlace();
+    ['ruianId', 'id', 'municipalityId', 'municipalityName', 'streetName', 'cp', 'co', 'zip'].forEach(key => {
+        assert.strictEqual(String(restored[key]), String(saved[key]), key);
+    });
+    assert.strictEqual(String(hiddenInputs.ruianId.value), String(vodickova.id));
+});
+
+test('validate() reports an incomplete multi-field address as invalid', async () => {
+    const inputs = { city: element('input'), street: element('input'), number: element('input'), zip: element('input') };
+    const widget = new RuianAddressWidget({
+        inputs: inputs, suggestionElement: element('div'), transport: transport, onLog() { }
+    });
+
+    const cityOnly = await widget.validate({ city: 'Praha' });
+    assert.strictEqual(cityOnly.valid, false);
+    assert.strictEqual(cityOnly.diagnostics.reason, 'missing-number');
+
+    const numberOnly = await widget.validate({ number: '704/36' });
+    assert.strictEqual(numberOnly.valid, false);
+    assert.strictEqual(numberOnly.diagnostics.reason, 'missing-municipality');
+
+    assert.strictEqual((await widget.validate({})).valid, null);
+    assert.strictEqual((await widget.validate({ city: 'Praha', street: 'Vodičkova', number: '704/36' })).valid, true);
+});
+
+test('validate() reports text without a house number as invalid', async () => {
+    const widget = new RuianAddressWidget({
+        inputElement: element('input'), suggestionElement: element('div'), transport: transport, onLog() { }
+    });
+    const result = await widget.validate('Praha');
+    assert.strictEqual(result.valid, false);
+    assert.strictEqual(result.diagnostics.reason, 'missing-number');
+    widget.destroy();
+    assert.strictEqual(await widget.validate('Praha'), null);
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { RuianClient } = require('../ruian-widget.js');
+
+// Two municipalities named Lhota with different post areas
+const municipalities = [
+    { municipalityId: 549444, municipalityName: 'Lhota', zip: '39701' },
+    { municipalityId: 570214, municipalityName: 'Lhota', zip: '50001' },
+    { municipalityId: 549240, municipalityName: 'Písek', zip: '39701' },
+    { municipalityId: 582786, municipalityName: 'Brno', zip: '60200' }
+];
+const transport = async (path, params) => {
+    if (path === 'ruian/build/municipalities') return { data: params.regionId === 'CZ031' ? municipalities : [] };
+    if (path === 'ruian/validate') {
+        const m = municipalities.find(item => String(item.municipalityId) === String(params.municipalityId) ||
+            item.municipalityName === params.municipalityName);
+        return m ? { status: 'MATCH', place: { id: 1, municipalityId: m.municipalityId, municipalityName: m.municipalityName, cp: '1', zip: m.zip } } : { status: 'NOT_FOUND' };
+    }
+    return { data: [] };
+};
+const newClient = () => new RuianClient({ transport: transport, storage: RuianClient.memoryStorage() });
+
+test('"ZIP City" gives the typed ZIP only to the municipality in its post area', async () => {
+    const suggestions = (await newClient().searchMunicipality('397 01 Lhota')).filter(s => s.value === 'Lhota');
+    assert.deepStrictEqual(suggestions.map(s => [s.data.municipalityId, s.data.zip, s.label]), [
+        [549444, '39701', '397 01 Lhota'],
+        [570214, '50001', '500 01 Lhota']
+    ]);
+});
+
+test('a typed ZIP outside every post area is not stamped on a municipality', async () => {
+    const suggestions = (await newClient().searchMunicipality('602 00 Lhota')).filter(s => s.value === 'Lhota');
+    assert.deepStrictEqual(suggestions.map(s => s.data.zip).sort(), ['39701', '50001']);
+});
+
+test('a bare ZIP of a city post area finds the city on a fresh client', async () => {
+    const client = newClient();
+    const whole = await client.searchMunicipality('602 00');
+    assert.deepStrictEqual(whole.map(s => [s.label, s.data.municipalityId, s.data.zip]), [['602 00 Brno', 582786, '60200']]);
+
+    // A prefix is shown as typed and leaves the ZIP of the context open
+    const prefix = await client.searchMunicipality('602');
+    assert.deepStrictEqual(prefix.map(s => [s.label, s.data.zip]), [['602 Brno', null]]);
+});
+
+test('a bare ZIP finds municipalities of validated addresses', async () => {
+    const client = newClient();
+    assert.deepStrictEqual(await client.searchMunicipality('397 01'), []);
+    await client.validate('Písek 1');
+    assert.deepStrictEqual((await client.searchMunicipality('397 01')).map(s => s.label), ['397 01 Písek']);
+});